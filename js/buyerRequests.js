@@ -0,0 +1,390 @@
+// buyerRequests.js - Buyer "wanted" posts and listing matching for Mkulima Connect
+
+class BuyerRequestManager {
+    constructor() {
+        this.requests = JSON.parse(localStorage.getItem('mkulima_buyer_requests') || '[]');
+        this.init();
+    }
+
+    init() {
+        this.expireOldRequests();
+        this.setupEventListeners();
+        this.renderRequests();
+        this.renderFeaturedBuyers();
+    }
+
+    setupEventListeners() {
+        // Wanted post form submission
+        const requestForm = document.getElementById('buyerRequestForm');
+        if (requestForm) {
+            requestForm.addEventListener('submit', (e) => this.handleCreateRequest(e));
+        }
+    }
+
+    async handleCreateRequest(e) {
+        e.preventDefault();
+
+        const formData = new FormData(e.target);
+        const requestData = Object.fromEntries(formData);
+
+        try {
+            this.validateRequest(requestData);
+
+            const request = await this.createRequest(requestData);
+
+            e.target.reset();
+
+            const matchCount = request.matches.length;
+            this.showNotification(
+                matchCount > 0
+                    ? `Request posted. ${matchCount} matching listing(s) found!`
+                    : 'Request posted. We will notify you when matching produce is listed.',
+                'success'
+            );
+
+            this.renderRequests();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    validateRequest(data) {
+        const errors = [];
+
+        if (!data.cropType) errors.push('Crop type is required');
+        if (!data.quantity || data.quantity <= 0) errors.push('Valid quantity is required');
+        if (!data.maxPrice || data.maxPrice <= 0) errors.push('Valid maximum price is required');
+        if (data.deadline && new Date(data.deadline) <= new Date()) {
+            errors.push('Deadline must be in the future');
+        }
+
+        if (errors.length > 0) {
+            throw new Error(errors.join(', '));
+        }
+    }
+
+    async createRequest(requestData) {
+        const user = window.userManager?.getCurrentUser();
+        if (!user) {
+            throw new Error('You must be logged in to post a buyer request');
+        }
+
+        const request = {
+            id: this.generateRequestId(),
+            buyerId: user.id,
+            buyerName: user.name,
+            buyerLocation: user.location,
+            cropType: requestData.cropType,
+            quality: requestData.quality || '',
+            quantity: parseFloat(requestData.quantity),
+            unit: requestData.unit || 'kg',
+            maxPrice: parseFloat(requestData.maxPrice),
+            region: requestData.region || '',
+            deadline: requestData.deadline || null,
+            notes: requestData.notes || '',
+            status: 'open',
+            matches: [],
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        this.requests.unshift(request);
+        this.saveRequests();
+
+        // Match against produce that is already listed
+        const listings = window.listingManager?.listings ||
+            JSON.parse(localStorage.getItem('mkulima_listings') || '[]');
+
+        for (const listing of listings) {
+            if (this.isMatch(request, listing)) {
+                this.recordMatch(request, listing, 'buyer');
+            }
+        }
+
+        return request;
+    }
+
+    // Called by ListingManager whenever a new listing is created
+    async matchListing(listing) {
+        this.expireOldRequests();
+
+        const openRequests = this.requests.filter(r => r.status === 'open');
+        let matchCount = 0;
+
+        for (const request of openRequests) {
+            if (this.isMatch(request, listing)) {
+                this.recordMatch(request, listing, 'farmer');
+                matchCount++;
+            }
+        }
+
+        return matchCount;
+    }
+
+    isMatch(request, listing) {
+        if (request.status !== 'open') return false;
+        if (request.matches.includes(listing.id)) return false;
+        if (request.buyerId === listing.farmerId) return false;
+        if (listing.status && !['available', 'partially_sold'].includes(listing.status)) return false;
+
+        if (listing.cropType !== request.cropType) return false;
+        if (request.quality && listing.quality !== request.quality) return false;
+        if (this.pricePerKg(listing.price, listing.unit, listing.cropType) >
+            this.pricePerKg(request.maxPrice, request.unit, request.cropType)) return false;
+        if (!(parseFloat(listing.quantity) > 0)) return false;
+
+        if (request.region) {
+            const location = (listing.location || '').toLowerCase();
+            if (!location.includes(request.region.toLowerCase())) return false;
+        }
+
+        return true;
+    }
+
+    recordMatch(request, listing, initiatedBy) {
+        request.matches.push(listing.id);
+        request.updatedAt = new Date().toISOString();
+        this.saveRequests();
+
+        const cropName = this.formatCropName(request.cropType);
+
+        this.notifyUser(
+            request.buyerId,
+            `New match: ${listing.quantity} ${listing.unit || 'kg'} of ${cropName} at ${listing.price} TSH in ${listing.location}`,
+            'success',
+            { requestId: request.id, listingId: listing.id }
+        );
+        this.notifyUser(
+            listing.farmerId,
+            `A buyer is looking for ${request.quantity} ${request.unit} of ${cropName} matching your listing`,
+            'success',
+            { requestId: request.id, listingId: listing.id }
+        );
+
+        // Leave an unsent draft for whichever side triggered the match; they decide whether to send it
+        if (window.messagingManager) {
+            try {
+                if (initiatedBy === 'buyer') {
+                    window.messagingManager.saveDraft(
+                        listing.farmerId,
+                        `Hello, I am looking for ${request.quantity} ${request.unit} of ${cropName} (max ${request.maxPrice} TSH per ${request.unit}). Is your listing in ${listing.location} still available?`
+                    );
+                } else {
+                    window.messagingManager.saveDraft(
+                        request.buyerId,
+                        `Hello, I have just listed ${listing.quantity} ${listing.unit || 'kg'} of ${cropName} at ${listing.price} TSH in ${listing.location}, which matches your request.`
+                    );
+                }
+            } catch (error) {
+                console.error('Failed to draft match message:', error);
+            }
+        }
+    }
+
+    // Listings and requests may use different units (bags vs kg)
+    pricePerKg(price, unit, cropType) {
+        return window.unitRegistry?.pricePerKg(price, unit || 'kg', cropType) ?? parseFloat(price);
+    }
+
+    expireOldRequests() {
+        const now = new Date();
+        let changed = false;
+
+        this.requests.forEach(request => {
+            if (request.status === 'open' && request.deadline && new Date(request.deadline) < now) {
+                request.status = 'expired';
+                request.updatedAt = now.toISOString();
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            this.saveRequests();
+        }
+    }
+
+    async closeRequest(requestId) {
+        const request = this.requests.find(r => r.id === requestId);
+        if (!request) {
+            throw new Error('Request not found');
+        }
+
+        const user = window.userManager?.getCurrentUser();
+        if (!user || request.buyerId !== user.id) {
+            throw new Error('You can only close your own requests');
+        }
+
+        request.status = 'closed';
+        request.updatedAt = new Date().toISOString();
+        this.saveRequests();
+
+        this.showNotification('Request closed', 'success');
+        this.renderRequests();
+    }
+
+    renderRequests() {
+        const container = document.getElementById('myBuyerRequests');
+        if (!container) return;
+
+        const user = window.userManager?.getCurrentUser();
+        const userRequests = user ? this.requests.filter(r => r.buyerId === user.id) : [];
+
+        container.innerHTML = '';
+
+        if (userRequests.length === 0) {
+            container.innerHTML = '<div class="no-listings">You have no buyer requests</div>';
+            return;
+        }
+
+        userRequests.forEach(request => {
+            const item = document.createElement('div');
+            item.className = 'listing-item';
+            item.dataset.id = request.id;
+
+            item.innerHTML = `
+                <div class="item-info">
+                    <h4>${this.formatCropName(request.cropType)} - ${request.quantity} ${request.unit}</h4>
+                    <p>Max ${request.maxPrice} TSH • ${request.region || 'Any region'} • ${request.matches.length} match(es)</p>
+                    <span class="listing-status ${request.status}">${request.status}</span>
+                </div>
+                <div class="item-actions">
+                    ${request.status === 'open' ?
+                `<button class="btn btn-sm btn-outline" onclick="buyerRequestManager.closeRequest('${request.id}')">Close</button>` : ''}
+                </div>
+            `;
+
+            container.appendChild(item);
+        });
+    }
+
+    renderFeaturedBuyers() {
+        const container = document.getElementById('featuredBuyers');
+        if (!container) return;
+
+        const openRequests = this.getOpenRequests().slice(0, 4);
+
+        if (openRequests.length === 0) {
+            container.innerHTML = '<div class="no-listings">No buyer requests right now</div>';
+            return;
+        }
+
+        container.innerHTML = '';
+
+        openRequests.forEach(request => {
+            const stats = window.userManager?.getUserStats(request.buyerId);
+            const rating = stats?.rating || 0;
+
+            const card = document.createElement('div');
+            card.className = 'buyer-card';
+            card.dataset.id = request.id;
+
+            card.innerHTML = `
+                <div class="buyer-avatar">
+                    <i class="fas fa-store"></i>
+                </div>
+                <div class="buyer-info">
+                    <h4>${request.buyerName}</h4>
+                    <p class="buyer-location"><i class="fas fa-map-marker-alt"></i> ${request.region || request.buyerLocation || 'Any region'}</p>
+                    <p class="buyer-need">Looking for: ${request.quantity} ${request.unit} of ${this.formatCropName(request.cropType)}${request.quality ? ` (${request.quality})` : ''}</p>
+                    <div class="buyer-rating">
+                        ${this.renderStars(rating)}
+                        <span>${rating.toFixed(1)}</span>
+                    </div>
+                </div>
+                <button class="btn btn-sm btn-outline" onclick="buyerRequestManager.contactBuyer('${request.id}')">Contact Buyer</button>
+            `;
+
+            container.appendChild(card);
+        });
+    }
+
+    renderStars(rating) {
+        let stars = '';
+        for (let i = 1; i <= 5; i++) {
+            if (rating >= i) {
+                stars += '<i class="fas fa-star"></i>';
+            } else if (rating >= i - 0.5) {
+                stars += '<i class="fas fa-star-half-alt"></i>';
+            } else {
+                stars += '<i class="far fa-star"></i>';
+            }
+        }
+        return stars;
+    }
+
+    contactBuyer(requestId) {
+        const request = this.requests.find(r => r.id === requestId);
+        if (!request) return;
+
+        if (window.location.pathname.includes('messages.html') && window.messagingManager) {
+            window.messagingManager.startConversation(
+                request.buyerId,
+                `Regarding your request for ${this.formatCropName(request.cropType)}`
+            );
+        } else {
+            window.location.href = `messages.html?contact=${request.buyerId}`;
+        }
+    }
+
+    formatCropName(cropType) {
+        return window.cropCatalog?.getCropName(cropType) || cropType.charAt(0).toUpperCase() + cropType.slice(1);
+    }
+
+    saveRequests() {
+        localStorage.setItem('mkulima_buyer_requests', JSON.stringify(this.requests));
+    }
+
+    generateRequestId() {
+        return 'req_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    notifyUser(userId, message, type, meta) {
+        if (window.mkulimaApp && window.mkulimaApp.notifyUser) {
+            window.mkulimaApp.notifyUser(userId, message, type, meta);
+        }
+    }
+
+    showNotification(message, type) {
+        if (window.mkulimaApp && window.mkulimaApp.showNotification) {
+            window.mkulimaApp.showNotification(message, type);
+        } else {
+            alert(`${type}: ${message}`);
+        }
+    }
+
+    // Public API
+    getRequests(filters = {}) {
+        let filtered = this.requests;
+
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value) {
+                filtered = filtered.filter(request => request[key] === value);
+            }
+        });
+
+        return filtered;
+    }
+
+    getOpenRequests() {
+        this.expireOldRequests();
+        return this.requests.filter(r => r.status === 'open');
+    }
+
+    getRequestById(id) {
+        return this.requests.find(r => r.id === id);
+    }
+
+    getUserRequests(userId) {
+        return this.requests.filter(r => r.buyerId === userId);
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.buyerRequestManager = new BuyerRequestManager();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BuyerRequestManager;
+}
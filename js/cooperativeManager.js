@@ -0,0 +1,548 @@
+// cooperativeManager.js - Cooperative members, group listings and payouts for Mkulima Connect
+
+class CooperativeManager {
+    constructor() {
+        this.members = JSON.parse(localStorage.getItem('mkulima_coop_members') || '[]');
+        this.payouts = JSON.parse(localStorage.getItem('mkulima_coop_payouts') || '[]');
+        // Better grades earn a larger share of a mixed lot's proceeds; per-grade overrides of the catalog's factors
+        this.GRADE_WEIGHTS = JSON.parse(localStorage.getItem('mkulima_coop_grade_weights') || '{}');
+        // Lowest grade first; a combined lot is sold at its lowest grade. Used when the catalog isn't loaded
+        this.GRADE_ORDER = ['grade_c', 'grade_b', 'grade_a'];
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.setupGroupListingForm();
+        this.renderMembers();
+        this.renderGroupListings();
+        this.renderPayouts();
+    }
+
+    setupEventListeners() {
+        const addMemberBtn = document.getElementById('addMember');
+        if (addMemberBtn) {
+            addMemberBtn.addEventListener('click', () => this.openMemberForm());
+        }
+
+        const addContributionBtn = document.getElementById('addContribution');
+        if (addContributionBtn) {
+            addContributionBtn.addEventListener('click', () => this.addContributionRow());
+        }
+
+        const cropSelect = document.getElementById('cropType');
+        if (cropSelect) {
+            cropSelect.addEventListener('change', () => this.refreshContributionGrades());
+        }
+
+        const listingForm = document.getElementById('listingForm');
+        if (listingForm) {
+            listingForm.addEventListener('reset', () => setTimeout(() => this.resetContributions(), 0));
+        }
+    }
+
+    isCooperative(user = window.userManager?.getCurrentUser()) {
+        return user?.userType === 'cooperative';
+    }
+
+    // Members
+    addMember(memberData) {
+        const user = window.userManager?.getCurrentUser();
+        if (!this.isCooperative(user)) {
+            throw new Error('Only cooperative accounts can manage members');
+        }
+
+        const name = (memberData.name || '').trim();
+        if (!name) {
+            throw new Error('Member name is required');
+        }
+
+        const member = {
+            id: this.generateId('mbr'),
+            cooperativeId: user.id,
+            name,
+            phone: (memberData.phone || '').trim(),
+            joinedAt: new Date().toISOString()
+        };
+
+        this.members.push(member);
+        this.saveMembers();
+        this.renderMembers();
+        this.refreshContributionRows();
+
+        return member;
+    }
+
+    getMembers(cooperativeId = window.userManager?.getCurrentUser()?.id) {
+        return this.members.filter(m => m.cooperativeId === cooperativeId);
+    }
+
+    // Group listing form (sell.html?coop=true)
+    setupGroupListingForm() {
+        const section = document.getElementById('coopContributions');
+        if (!section) return;
+
+        const isCoopMode = new URLSearchParams(window.location.search).get('coop') === 'true';
+        if (!isCoopMode) return;
+
+        if (!this.isCooperative()) {
+            this.showNotification('Sign in with a cooperative account to create group listings', 'error');
+            return;
+        }
+
+        section.hidden = false;
+
+        const heading = document.querySelector('.listing-form h2');
+        if (heading) {
+            heading.textContent = 'Create Group Listing';
+        }
+
+        // Quantity and grade come from the contributions
+        const quantityInput = document.getElementById('quantity');
+        if (quantityInput) {
+            quantityInput.readOnly = true;
+        }
+
+        this.addContributionRow();
+    }
+
+    addContributionRow() {
+        const rows = document.getElementById('contributionRows');
+        if (!rows) return;
+
+        const members = this.getMembers();
+        if (members.length === 0) {
+            rows.innerHTML = '<div class="no-listings">Add cooperative members before creating a group listing</div>';
+            return;
+        }
+
+        rows.querySelector('.no-listings')?.remove();
+
+        const row = document.createElement('div');
+        row.className = 'contribution-row';
+        row.innerHTML = `
+            <select class="contribution-member">
+                ${members.map(m => `<option value="${m.id}">${m.name}</option>`).join('')}
+            </select>
+            <input type="number" class="contribution-quantity" min="0" step="any" placeholder="Quantity">
+            <select class="contribution-quality">
+                ${this.renderGradeOptions()}
+            </select>
+            <button type="button" class="btn btn-sm btn-outline">&times;</button>
+        `;
+
+        row.querySelectorAll('select, input').forEach(field => {
+            field.addEventListener('change', () => this.updateContributions());
+        });
+        row.querySelector('button').addEventListener('click', () => {
+            row.remove();
+            this.updateContributions();
+        });
+
+        rows.appendChild(row);
+    }
+
+    // Rebuild member options after a member is added
+    refreshContributionRows() {
+        const rows = document.getElementById('contributionRows');
+        if (!rows || document.getElementById('coopContributions')?.hidden) return;
+
+        if (rows.querySelector('.no-listings')) {
+            this.addContributionRow();
+        }
+    }
+
+    readContributions() {
+        const members = this.getMembers();
+
+        return [...document.querySelectorAll('.contribution-row')]
+            .map(row => {
+                const member = members.find(m => m.id === row.querySelector('.contribution-member').value);
+                return {
+                    memberId: member?.id,
+                    memberName: member?.name,
+                    quantity: parseFloat(row.querySelector('.contribution-quantity').value) || 0,
+                    quality: row.querySelector('.contribution-quality').value
+                };
+            })
+            .filter(c => c.memberId && c.quantity > 0);
+    }
+
+    // Keep the listing's quantity, grade and hidden contributions field in step with the rows
+    updateContributions() {
+        const contributions = this.readContributions();
+        const total = contributions.reduce((sum, c) => sum + c.quantity, 0);
+
+        const quantityInput = document.getElementById('quantity');
+        const qualitySelect = document.getElementById('quality');
+        const hiddenInput = document.getElementById('contributions');
+
+        if (quantityInput) quantityInput.value = total || '';
+        if (qualitySelect && contributions.length > 0) {
+            qualitySelect.value = this.getLotQuality(contributions);
+            qualitySelect.dispatchEvent(new Event('change'));
+        }
+        if (hiddenInput) hiddenInput.value = contributions.length > 0 ? JSON.stringify(contributions) : '';
+    }
+
+    resetContributions() {
+        const rows = document.getElementById('contributionRows');
+        if (!rows || document.getElementById('coopContributions')?.hidden) return;
+
+        rows.innerHTML = '';
+        this.addContributionRow();
+    }
+
+    getLotQuality(contributions, cropType = document.getElementById('cropType')?.value) {
+        const order = this.getGradeOrder(cropType);
+        const ranks = contributions.map(c => order.indexOf(c.quality)).filter(rank => rank !== -1);
+        return ranks.length > 0 ? order[Math.min(...ranks)] : order[Math.floor((order.length - 1) / 2)];
+    }
+
+    getGradeWeight(quality, cropType) {
+        return this.GRADE_WEIGHTS[quality] ?? window.cropCatalog?.getGradeFactor(cropType, quality) ?? 1;
+    }
+
+    // Catalog grades are listed best first
+    getGradeOrder(cropType) {
+        const grades = window.cropCatalog?.getGrades(cropType);
+        return grades?.length ? grades.map(g => g.id).reverse() : this.GRADE_ORDER;
+    }
+
+    // Middle grade preselected, as a typical contribution
+    renderGradeOptions(cropType = document.getElementById('cropType')?.value, selected = null) {
+        const order = this.getGradeOrder(cropType);
+        const current = order.includes(selected) ? selected : order[Math.floor((order.length - 1) / 2)];
+
+        return [...order].reverse()
+            .map(id => `<option value="${id}" ${id === current ? 'selected' : ''}>${this.formatGrade(id, cropType)}</option>`)
+            .join('');
+    }
+
+    // A different crop has a different grade scale
+    refreshContributionGrades() {
+        const selects = document.querySelectorAll('.contribution-quality');
+        if (selects.length === 0) return;
+
+        selects.forEach(select => {
+            select.innerHTML = this.renderGradeOptions(undefined, select.value);
+        });
+        this.updateContributions();
+    }
+
+    // Called from ListingManager.buildListing; returns the extra fields for a group listing
+    buildGroupFields(listingData, user) {
+        if (!listingData.contributions) return {};
+
+        if (!this.isCooperative(user)) {
+            throw new Error('Only cooperative accounts can create group listings');
+        }
+
+        const contributions = typeof listingData.contributions === 'string'
+            ? JSON.parse(listingData.contributions)
+            : listingData.contributions;
+        const memberIds = this.getMembers(user.id).map(m => m.id);
+
+        if (contributions.length === 0) {
+            throw new Error('Add at least one member contribution');
+        }
+        if (contributions.some(c => !memberIds.includes(c.memberId))) {
+            throw new Error('Contributions must come from cooperative members');
+        }
+
+        const total = contributions.reduce((sum, c) => sum + parseFloat(c.quantity), 0);
+        if (Math.abs(total - parseFloat(listingData.quantity)) > 0.001) {
+            throw new Error('Listing quantity must equal the total of member contributions');
+        }
+
+        return {
+            isGroupListing: true,
+            cooperativeId: user.id,
+            contributions: contributions.map(c => ({
+                memberId: c.memberId,
+                memberName: c.memberName,
+                quantity: parseFloat(c.quantity),
+                quality: c.quality
+            }))
+        };
+    }
+
+    // Payouts
+    // Split an order's total across contributors by quantity, weighted by grade
+    attributeSale(order, listing) {
+        if (!listing?.isGroupListing || this.payouts.some(p => p.orderId === order.id)) return [];
+
+        const totalQuantity = listing.contributions.reduce((sum, c) => sum + c.quantity, 0);
+        const weights = listing.contributions.map(c => c.quantity * this.getGradeWeight(c.quality, listing.cropType));
+        const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+        const now = new Date().toISOString();
+
+        const payouts = listing.contributions.map((c, i) => ({
+            id: this.generateId('pay'),
+            cooperativeId: listing.cooperativeId,
+            listingId: listing.id,
+            orderId: order.id,
+            cropType: listing.cropType,
+            unit: listing.unit || 'kg',
+            memberId: c.memberId,
+            memberName: c.memberName,
+            quantity: order.quantity * (c.quantity / totalQuantity),
+            share: weights[i] / totalWeight,
+            amount: Math.round(order.total * (weights[i] / totalWeight)),
+            // Held until the buyer confirms delivery and escrow is released
+            status: 'held',
+            createdAt: now,
+            updatedAt: now
+        }));
+
+        // Rounding remainder goes to the largest share so payouts add up to the order total
+        const remainder = Math.round(order.total) - payouts.reduce((sum, p) => sum + p.amount, 0);
+        if (remainder !== 0) {
+            payouts.reduce((largest, p) => (p.share > largest.share ? p : largest)).amount += remainder;
+        }
+
+        this.payouts.unshift(...payouts);
+        this.savePayouts();
+
+        return payouts;
+    }
+
+    // Escrow released: members' shares can now be paid out
+    releasePayouts(orderId) {
+        const released = this.payouts.filter(p => p.orderId === orderId && p.status === 'held');
+
+        released.forEach(payout => {
+            payout.status = 'due';
+            payout.updatedAt = new Date().toISOString();
+        });
+
+        if (released.length > 0) {
+            this.savePayouts();
+            this.renderPayouts();
+        }
+
+        return released;
+    }
+
+    markPayoutPaid(payoutId) {
+        const payout = this.payouts.find(p => p.id === payoutId);
+        const user = window.userManager?.getCurrentUser();
+
+        try {
+            if (!payout) {
+                throw new Error('Payout not found');
+            }
+            if (!user || payout.cooperativeId !== user.id) {
+                throw new Error('Only the cooperative can record payouts');
+            }
+            if (payout.status !== 'due') {
+                throw new Error('Payout is not due yet');
+            }
+
+            payout.status = 'paid';
+            payout.paidAt = new Date().toISOString();
+            payout.updatedAt = payout.paidAt;
+            this.savePayouts();
+
+            // Members may not use the app, so let them know by SMS
+            const member = this.members.find(m => m.id === payout.memberId);
+            if (member?.phone && window.offlineManager) {
+                window.offlineManager.sendSMSFallback(
+                    member.phone,
+                    `Mkulima Connect: ${user.name} paid you ${payout.amount.toLocaleString()} TSH for your ${payout.cropType}`,
+                    'alert'
+                );
+            }
+
+            this.showNotification('Payout recorded', 'success');
+            this.renderPayouts();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    getMemberTotals(cooperativeId) {
+        const totals = {};
+
+        this.payouts.filter(p => p.cooperativeId === cooperativeId).forEach(p => {
+            const total = totals[p.memberId] = totals[p.memberId] || { memberName: p.memberName, quantity: 0, earned: 0, paid: 0 };
+            total.quantity += p.quantity;
+            total.earned += p.amount;
+            if (p.status === 'paid') total.paid += p.amount;
+        });
+
+        return totals;
+    }
+
+    // UI
+    openMemberForm() {
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+
+        modal.innerHTML = `
+            <div class="modal">
+                <div class="modal-header">
+                    <h2>Add Member</h2>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <form class="modal-body" id="memberForm">
+                    <div class="form-group">
+                        <label for="memberName">Name*</label>
+                        <input type="text" id="memberName" name="name" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="memberPhone">Phone</label>
+                        <input type="tel" id="memberPhone" name="phone" placeholder="For payout SMS">
+                    </div>
+                    <div class="modal-footer">
+                        <button type="submit" class="btn btn-primary">Add Member</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        modal.querySelector('.modal-close').addEventListener('click', () => modal.remove());
+        modal.querySelector('#memberForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            try {
+                this.addMember(Object.fromEntries(new FormData(e.target)));
+                this.showNotification('Member added', 'success');
+                modal.remove();
+            } catch (error) {
+                this.showNotification(error.message, 'error');
+            }
+        });
+    }
+
+    renderMembers() {
+        const container = document.getElementById('memberList');
+        if (!container) return;
+
+        const user = window.userManager?.getCurrentUser();
+        const members = this.getMembers(user?.id);
+        const totals = this.getMemberTotals(user?.id);
+
+        if (members.length === 0) {
+            container.innerHTML = '<div class="no-listings">No members yet</div>';
+            return;
+        }
+
+        container.innerHTML = members.map(member => {
+            const total = totals[member.id];
+            return `
+                <div class="member">
+                    <span class="member-name">${member.name}</span>
+                    <span class="member-contribution">
+                        ${total ? `${total.earned.toLocaleString()} TSH earned • ${total.paid.toLocaleString()} TSH paid` : 'No sales yet'}
+                    </span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    renderGroupListings() {
+        const container = document.getElementById('coopListings');
+        if (!container) return;
+
+        const user = window.userManager?.getCurrentUser();
+        const listings = this.getListings().filter(l => l.isGroupListing && l.cooperativeId === user?.id);
+
+        if (listings.length === 0) {
+            container.innerHTML = '<div class="no-listings">No group listings yet</div>';
+            return;
+        }
+
+        container.innerHTML = listings.map(listing => `
+            <div class="listing-item">
+                <div class="item-info">
+                    <h4>${listing.cropType} - ${listing.quantity} ${listing.unit || 'kg'}</h4>
+                    <p>${parseFloat(listing.price).toLocaleString()} TSH per ${listing.unit || 'kg'} • ${listing.soldQuantity || 0} sold</p>
+                    <small>${listing.contributions.map(c => `${c.memberName}: ${c.quantity} (${this.formatGrade(c.quality, listing.cropType)})`).join(' • ')}</small>
+                </div>
+                <span class="listing-status ${listing.status}">${window.listingManager?.formatStatus(listing.status) || listing.status}</span>
+            </div>
+        `).join('');
+    }
+
+    renderPayouts() {
+        const container = document.getElementById('coopPayouts');
+        if (!container) return;
+
+        const user = window.userManager?.getCurrentUser();
+        const payouts = this.payouts.filter(p => p.cooperativeId === user?.id);
+
+        if (payouts.length === 0) {
+            container.innerHTML = '<div class="no-listings">No payouts yet</div>';
+            return;
+        }
+
+        container.innerHTML = payouts.map(payout => `
+            <div class="listing-item">
+                <div class="item-info">
+                    <h4>${payout.memberName} - ${payout.amount.toLocaleString()} TSH</h4>
+                    <p>${payout.quantity.toFixed(1)} ${payout.unit} ${payout.cropType} • ${(payout.share * 100).toFixed(1)}% of order ${payout.orderId}</p>
+                    <span class="listing-status ${payout.status}">${payout.status}</span>
+                </div>
+                <div class="item-actions">
+                    ${payout.status === 'due' ? `<button class="btn btn-sm btn-primary" onclick="cooperativeManager.markPayoutPaid('${payout.id}')">Mark Paid</button>` : ''}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    formatGrade(quality, cropType = null) {
+        if (quality && cropType && window.cropCatalog) {
+            return window.cropCatalog.getGradeLabel(cropType, quality);
+        }
+        return { grade_a: 'Grade A', grade_b: 'Grade B', grade_c: 'Grade C' }[quality] || quality;
+    }
+
+    renderGroupBadge(listing) {
+        if (!listing.isGroupListing) return '';
+        return `<span class="badge badge-coop">Cooperative lot • ${listing.contributions.length} farmers</span>`;
+    }
+
+    getListings() {
+        return window.listingManager?.listings || JSON.parse(localStorage.getItem('mkulima_listings') || '[]');
+    }
+
+    saveMembers() {
+        localStorage.setItem('mkulima_coop_members', JSON.stringify(this.members));
+    }
+
+    savePayouts() {
+        localStorage.setItem('mkulima_coop_payouts', JSON.stringify(this.payouts));
+    }
+
+    generateId(prefix) {
+        return prefix + '_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    showNotification(message, type) {
+        if (window.mkulimaApp && window.mkulimaApp.showNotification) {
+            window.mkulimaApp.showNotification(message, type);
+        } else {
+            alert(`${type}: ${message}`);
+        }
+    }
+
+    // Public API
+    getListingPayouts(listingId) {
+        return this.payouts.filter(p => p.listingId === listingId);
+    }
+
+    getMemberPayouts(memberId) {
+        return this.payouts.filter(p => p.memberId === memberId);
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.cooperativeManager = new CooperativeManager();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CooperativeManager;
+}
@@ -0,0 +1,364 @@
+// cropCatalog.js - Crop catalog (names, varieties, grade scales, shelf life) for Mkulima Connect
+
+class CropCatalog {
+    constructor() {
+        // Last copy of data/crops.json, so selects and names work offline
+        this.baseCrops = JSON.parse(localStorage.getItem('mkulima_crop_catalog') || '[]');
+        // Rains seasons per country from crops.json
+        this.seasonalCalendar = JSON.parse(localStorage.getItem('mkulima_seasonal_calendar') || '{}');
+        // Crops, varieties and grade scales added by admins and extension officers on top of crops.json
+        this.customCrops = JSON.parse(localStorage.getItem('mkulima_custom_crops') || '[]');
+        this.EDITOR_TYPES = ['admin', 'extension_officer'];
+        // Grade scale for crops without their own; ids are what listings store, factors are price relative to standard
+        this.DEFAULT_GRADES = [
+            { id: 'grade_a', label: 'Grade A (Premium)', factor: 1.1 },
+            { id: 'grade_b', label: 'Grade B (Standard)', factor: 1.0 },
+            { id: 'grade_c', label: 'Grade C (Fair)', factor: 0.85 }
+        ];
+        // Best and lowest grade factors when a crop's own scale doesn't give any
+        this.GRADE_FACTOR_RANGE = { best: 1.1, lowest: 0.85 };
+        // First run without network
+        this.FALLBACK_CROPS = [
+            { id: 'maize', name: 'Maize', swahiliName: 'Mahindi', shelfLife: '6-12 months' },
+            { id: 'beans', name: 'Beans', swahiliName: 'Maharage', shelfLife: '1-2 years' },
+            { id: 'rice', name: 'Rice', swahiliName: 'Mchele', shelfLife: '1-2 years' },
+            { id: 'coffee', name: 'Coffee', swahiliName: 'Kahawa', shelfLife: '1-2 years' }
+        ];
+        this.FALLBACK_CALENDAR = {
+            longRains: ['March', 'April', 'May'],
+            shortRains: ['October', 'November', 'December']
+        };
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.populateSelects();
+        this.renderCatalogAdmin();
+        this.loadCatalog();
+    }
+
+    async loadCatalog() {
+        try {
+            const response = await fetch('data/crops.json');
+            const data = await response.json();
+            this.baseCrops = data.crops;
+            this.seasonalCalendar = data.seasonalCalendar || {};
+            localStorage.setItem('mkulima_crop_catalog', JSON.stringify(this.baseCrops));
+            localStorage.setItem('mkulima_seasonal_calendar', JSON.stringify(this.seasonalCalendar));
+        } catch (error) {
+            console.error('Failed to load crop catalog, using cached values:', error);
+        }
+
+        this.populateSelects();
+        this.renderCatalogAdmin();
+    }
+
+    setupEventListeners() {
+        // Sell form: grades and varieties follow the chosen crop
+        const cropSelect = document.getElementById('cropType');
+        if (cropSelect) {
+            cropSelect.addEventListener('change', (e) => this.populateCropFields(e.target.value));
+        }
+
+        // Other grade selects name the crop select they follow, e.g. data-grade-select="filterCrop"
+        document.querySelectorAll('select[data-grade-select]').forEach(gradeSelect => {
+            const source = gradeSelect.dataset.gradeSelect;
+            if (!source || source === 'cropType') return;
+
+            document.getElementById(source)?.addEventListener('change', (e) => {
+                const before = gradeSelect.value;
+                this.populateGradeSelect(gradeSelect, e.target.value);
+                // A grade the new crop doesn't have falls back to "any"; let filters know
+                if (gradeSelect.value !== before) {
+                    gradeSelect.dispatchEvent(new Event('change'));
+                }
+            });
+        });
+
+        const catalogForm = document.getElementById('cropCatalogForm');
+        if (catalogForm) {
+            catalogForm.addEventListener('submit', (e) => this.handleSaveCrop(e));
+        }
+    }
+
+    // Admin additions extend or override the crops.json entry with the same id
+    getCrops() {
+        const base = this.baseCrops.length > 0 ? this.baseCrops : this.FALLBACK_CROPS;
+        const crops = base.map(crop => {
+            const custom = this.customCrops.find(c => c.id === crop.id);
+            return custom ? this.mergeCrop(crop, custom) : crop;
+        });
+
+        this.customCrops
+            .filter(custom => !base.some(crop => crop.id === custom.id))
+            .forEach(custom => crops.push(custom));
+
+        return crops;
+    }
+
+    mergeCrop(crop, custom) {
+        return {
+            ...crop,
+            ...custom,
+            synonyms: [...new Set([...(crop.synonyms || []), ...(custom.synonyms || [])])],
+            commonVarieties: [...new Set([...(crop.commonVarieties || []), ...(custom.commonVarieties || [])])],
+            grades: custom.grades?.length ? custom.grades : crop.grades
+        };
+    }
+
+    getCrop(cropId) {
+        return this.getCrops().find(crop => crop.id === cropId) || null;
+    }
+
+    getCropName(cropId, lang = window.translationManager?.getCurrentLanguage() || localStorage.getItem('mkulima_lang') || 'en') {
+        if (!cropId) return '';
+
+        const crop = this.getCrop(cropId);
+        if (!crop) {
+            return cropId.charAt(0).toUpperCase() + cropId.slice(1).replace(/_/g, ' ');
+        }
+
+        return lang === 'sw' && crop.swahiliName ? crop.swahiliName : crop.name;
+    }
+
+    getGrades(cropId) {
+        return this.getCrop(cropId)?.grades?.length ? this.getCrop(cropId).grades : this.DEFAULT_GRADES;
+    }
+
+    // Grades are listed best first; without a stored factor, spread them evenly by rank
+    getGradeFactor(cropId, gradeId) {
+        const grades = this.getGrades(cropId);
+        const index = grades.findIndex(g => g.id === gradeId);
+        if (index === -1) return 1;
+        if (grades[index].factor) return grades[index].factor;
+        if (grades.length === 1) return 1;
+
+        const { best, lowest } = this.GRADE_FACTOR_RANGE;
+        return best - (best - lowest) * index / (grades.length - 1);
+    }
+
+    getGradeLabel(cropId, gradeId) {
+        return this.getGrades(cropId).find(g => g.id === gradeId)?.label || gradeId;
+    }
+
+    getVarieties(cropId) {
+        return this.getCrop(cropId)?.commonVarieties || [];
+    }
+
+    // "6-12 months", "1-2 weeks", "1-2 days (fresh)" - use the lower bound to stay safe
+    getShelfLifeDays(cropId) {
+        return this.parseDays(this.getCrop(cropId)?.shelfLife);
+    }
+
+    // "90-120 days", "3-4 years to first harvest" - lower bound, like shelf life
+    getGrowingPeriodDays(cropId) {
+        return this.parseDays(this.getCrop(cropId)?.growingPeriod);
+    }
+
+    parseDays(text) {
+        const match = /(\d+)(?:\s*-\s*\d+)?\s*(day|week|month|year)/i.exec(text || '');
+        if (!match) return null;
+
+        const daysPerUnit = { day: 1, week: 7, month: 30, year: 365 };
+        return parseInt(match[1]) * daysPerUnit[match[2].toLowerCase()];
+    }
+
+    // { longRains: ['March', ...], shortRains: [...] }; Uganda's first/second seasons map onto long/short
+    getSeasonalCalendar(country = 'tanzania') {
+        const calendar = this.seasonalCalendar[(country || '').toLowerCase()] || this.seasonalCalendar.tanzania;
+        if (!calendar) return this.FALLBACK_CALENDAR;
+
+        return {
+            longRains: calendar.longRains || calendar.firstSeason || [],
+            shortRains: calendar.shortRains || calendar.secondSeason || []
+        };
+    }
+
+    // Crop id from an id, English or Swahili name, or a listed synonym
+    findCrop(text) {
+        const lower = (text || '').trim().toLowerCase();
+        if (!lower) return null;
+
+        return this.getCrops().find(crop =>
+            [crop.id, crop.name, crop.swahiliName, ...(crop.synonyms || [])]
+                .some(term => term && term.toLowerCase() === lower)) || null;
+    }
+
+    canEdit(user = window.userManager?.getCurrentUser()) {
+        return this.EDITOR_TYPES.includes(user?.userType);
+    }
+
+    saveCustomCrop(cropData) {
+        if (!this.canEdit()) {
+            throw new Error('Only admins and extension officers can change the crop catalog');
+        }
+
+        const id = (cropData.id || '').trim().toLowerCase().replace(/\s+/g, '_');
+        if (!/^[a-z][a-z0-9_]*$/.test(id)) {
+            throw new Error('Crop id must be lowercase letters, numbers or underscores');
+        }
+
+        const existing = this.getCrop(id);
+        const name = (cropData.name || '').trim() || existing?.name;
+        if (!name) {
+            throw new Error('Enter the crop name');
+        }
+
+        const list = (value) => (value || '').split(',').map(v => v.trim()).filter(Boolean);
+        const crop = {
+            id,
+            name,
+            ...(cropData.swahiliName?.trim() ? { swahiliName: cropData.swahiliName.trim() } : {}),
+            ...(cropData.category ? { category: cropData.category } : {}),
+            ...(cropData.shelfLife?.trim() ? { shelfLife: cropData.shelfLife.trim() } : {}),
+            synonyms: list(cropData.synonyms),
+            commonVarieties: list(cropData.varieties),
+            // "Grade A, Grade B" keeps the grade_a ids other features understand
+            grades: list(cropData.grades).map(label => ({
+                id: label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, ''),
+                label
+            })),
+            updatedBy: window.userManager.getCurrentUser().id,
+            updatedAt: new Date().toISOString()
+        };
+
+        this.customCrops = [...this.customCrops.filter(c => c.id !== id), crop];
+        this.saveCustomCrops();
+
+        this.populateSelects();
+        this.renderCatalogAdmin();
+        return this.getCrop(id);
+    }
+
+    removeCustomCrop(cropId) {
+        if (!this.canEdit()) return;
+
+        this.customCrops = this.customCrops.filter(c => c.id !== cropId);
+        this.saveCustomCrops();
+        this.populateSelects();
+        this.renderCatalogAdmin();
+    }
+
+    // UI
+    // Any <select data-crop-select> keeps its first "all"/"select" option and lists the catalog
+    populateSelects() {
+        document.querySelectorAll('select[data-crop-select]').forEach(select => {
+            const current = select.value;
+            const placeholder = select.querySelector('option[value=""], option[value="all"]');
+
+            select.innerHTML = `
+                ${placeholder ? placeholder.outerHTML : ''}
+                ${this.getCrops().map(crop => `<option value="${crop.id}">${this.getCropName(crop.id)}</option>`).join('')}
+            `;
+
+            if (current && select.querySelector(`option[value="${current}"]`)) {
+                select.value = current;
+            }
+        });
+
+        document.querySelectorAll('select[data-grade-select]').forEach(gradeSelect => {
+            const source = gradeSelect.dataset.gradeSelect || 'cropType';
+            this.populateGradeSelect(gradeSelect, document.getElementById(source)?.value || '');
+        });
+
+        const cropSelect = document.getElementById('cropType');
+        if (cropSelect) {
+            this.populateCropFields(cropSelect.value);
+        }
+    }
+
+    // Keeps an "Any quality" first option; "all crops" gets the default scale
+    populateGradeSelect(gradeSelect, cropId, selectedGrade = null) {
+        const current = selectedGrade || gradeSelect.value;
+        const placeholder = gradeSelect.querySelector('option[value=""]');
+
+        gradeSelect.innerHTML = `
+            ${placeholder ? placeholder.outerHTML : ''}
+            ${this.getGrades(cropId).map(grade => `<option value="${grade.id}">${grade.label}</option>`).join('')}
+        `;
+
+        if (current && gradeSelect.querySelector(`option[value="${current}"]`)) {
+            gradeSelect.value = current;
+        }
+    }
+
+    populateCropFields(cropId, selectedGrade = null) {
+        document.querySelectorAll('select[data-grade-select=""], select[data-grade-select="cropType"]').forEach(gradeSelect => {
+            this.populateGradeSelect(gradeSelect, cropId, selectedGrade);
+        });
+
+        const varietyList = document.getElementById('varietyOptions');
+        if (varietyList) {
+            varietyList.innerHTML = this.getVarieties(cropId).map(v => `<option value="${v}">`).join('');
+        }
+    }
+
+    renderCatalogAdmin() {
+        const container = document.getElementById('customCrops');
+        if (!container) return;
+
+        if (!this.canEdit()) {
+            container.closest('section')?.setAttribute('hidden', '');
+            return;
+        }
+
+        if (this.customCrops.length === 0) {
+            container.innerHTML = '<div class="no-listings">No catalog changes yet</div>';
+            return;
+        }
+
+        container.innerHTML = this.customCrops.map(crop => `
+            <div class="listing-item">
+                <div class="item-info">
+                    <h4>${crop.name}${crop.swahiliName ? ` (${crop.swahiliName})` : ''}</h4>
+                    <p>${this.baseCrops.some(c => c.id === crop.id) ? 'Extends catalog crop' : 'New crop'} • ${crop.id}</p>
+                    ${crop.commonVarieties.length ? `<small>Varieties: ${crop.commonVarieties.join(', ')}</small>` : ''}
+                    ${crop.grades.length ? `<small>Grades: ${crop.grades.map(g => g.label).join(', ')}</small>` : ''}
+                </div>
+                <div class="item-actions">
+                    <button class="btn btn-sm btn-outline" onclick="cropCatalog.removeCustomCrop('${crop.id}')">Remove</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    handleSaveCrop(e) {
+        e.preventDefault();
+
+        try {
+            const crop = this.saveCustomCrop(Object.fromEntries(new FormData(e.target)));
+            this.showNotification(`${crop.name} saved to the crop catalog`, 'success');
+            e.target.reset();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    saveCustomCrops() {
+        localStorage.setItem('mkulima_custom_crops', JSON.stringify(this.customCrops));
+    }
+
+    showNotification(message, type) {
+        if (window.mkulimaApp && window.mkulimaApp.showNotification) {
+            window.mkulimaApp.showNotification(message, type);
+        } else {
+            alert(`${type}: ${message}`);
+        }
+    }
+
+    // Public API
+    getCropIds() {
+        return this.getCrops().map(crop => crop.id);
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.cropCatalog = new CropCatalog();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CropCatalog;
+}
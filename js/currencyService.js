@@ -0,0 +1,293 @@
+// currencyService.js - Dated exchange rates and display currency for Mkulima Connect
+
+class CurrencyService {
+    constructor() {
+        // Dated rate tables: { effectiveDate, base, rates: { TSH: 2480, ... }, source, updatedBy, updatedAt }
+        this.rateTables = JSON.parse(localStorage.getItem('mkulima_exchange_rates') || '[]');
+        // Chosen display currency per user id ('guest' when logged out)
+        this.preferences = JSON.parse(localStorage.getItem('mkulima_currency_preferences') || '{}');
+        this.CURRENCIES = ['TSH', 'KES', 'UGX', 'RWF', 'USD'];
+        this.DEFAULT_CURRENCY = 'TSH';
+        // Extension officers already maintain the crop catalog; admins are set up by the platform team
+        this.EDITOR_TYPES = ['admin', 'extension_officer'];
+        // First run without network
+        this.FALLBACK_TABLE = {
+            effectiveDate: '2025-01-01',
+            base: 'USD',
+            rates: { USD: 1, TSH: 2480, KES: 129, UGX: 3680, RWF: 1390 },
+            source: 'Built-in'
+        };
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.populateCurrencySelects();
+        this.renderRateAdmin();
+        this.loadRateFile();
+    }
+
+    // data/exchangeRates.json is the shipped table; admin tables for the same date win
+    async loadRateFile() {
+        try {
+            const response = await fetch('data/exchangeRates.json');
+            const table = this.validateRateTable(await response.json());
+
+            if (!this.rateTables.some(t => t.effectiveDate === table.effectiveDate)) {
+                this.addRateTable({ ...table, source: table.source || 'data/exchangeRates.json' });
+            }
+        } catch (error) {
+            console.error('Failed to load exchange rates, using stored values:', error);
+        }
+
+        this.renderRateAdmin();
+    }
+
+    setupEventListeners() {
+        document.querySelectorAll('select[data-currency-select]').forEach(select => {
+            select.addEventListener('change', (e) => this.handleCurrencyChange(e.target.value));
+        });
+
+        const rateForm = document.getElementById('exchangeRateForm');
+        if (rateForm) {
+            rateForm.addEventListener('submit', (e) => this.handleSaveRates(e));
+        }
+
+        const rateFile = document.getElementById('exchangeRateFile');
+        if (rateFile) {
+            rateFile.addEventListener('change', (e) => this.handleRateFileSelected(e));
+        }
+    }
+
+    // Rates are units of each currency per one unit of the base currency
+    validateRateTable(data) {
+        const base = data?.base || 'USD';
+        if (!this.CURRENCIES.includes(base)) {
+            throw new Error(`Unknown base currency: ${base}`);
+        }
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(data.effectiveDate || '') || isNaN(new Date(data.effectiveDate))) {
+            throw new Error('Exchange rates need an effective date (YYYY-MM-DD)');
+        }
+
+        const rates = { [base]: 1 };
+        this.CURRENCIES.filter(currency => currency !== base).forEach(currency => {
+            const rate = parseFloat(data.rates?.[currency]);
+            if (isNaN(rate) || rate <= 0) {
+                throw new Error(`Missing or invalid rate for ${currency}`);
+            }
+            rates[currency] = rate;
+        });
+
+        return { effectiveDate: data.effectiveDate, base, rates, source: data.source || null };
+    }
+
+    // Replaces any table with the same effective date
+    addRateTable(table) {
+        this.rateTables = [
+            ...this.rateTables.filter(t => t.effectiveDate !== table.effectiveDate),
+            table
+        ].sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate));
+
+        this.saveRateTables();
+        return table;
+    }
+
+    saveRates(data, source = 'Admin') {
+        const user = window.userManager?.getCurrentUser();
+        if (!this.canEdit(user)) {
+            throw new Error('Only admins and extension officers can change exchange rates');
+        }
+
+        const table = this.addRateTable({
+            ...this.validateRateTable(data),
+            source: data.source || source,
+            updatedBy: user.id,
+            updatedAt: new Date().toISOString()
+        });
+
+        this.refreshPrices();
+        this.renderRateAdmin();
+        return table;
+    }
+
+    removeRateTable(effectiveDate) {
+        if (!this.canEdit()) return;
+
+        this.rateTables = this.rateTables.filter(t => t.effectiveDate !== effectiveDate);
+        this.saveRateTables();
+        this.refreshPrices();
+        this.renderRateAdmin();
+    }
+
+    // Latest table in effect on the date; the oldest one for dates before any table
+    getRateTable(date = new Date()) {
+        if (this.rateTables.length === 0) return this.FALLBACK_TABLE;
+
+        const parsed = new Date(date);
+        const day = (isNaN(parsed) ? new Date() : parsed).toISOString().split('T')[0];
+        const inEffect = this.rateTables.filter(t => t.effectiveDate <= day);
+        return inEffect.length > 0 ? inEffect[inEffect.length - 1] : this.rateTables[0];
+    }
+
+    // null when either currency has no rate
+    convert(amount, from, to, date = new Date()) {
+        if (amount === null || amount === undefined || isNaN(amount)) return null;
+        if (from === to) return amount;
+
+        const { rates } = this.getRateTable(date);
+        if (!rates[from] || !rates[to]) return null;
+
+        return amount / rates[from] * rates[to];
+    }
+
+    canEdit(user = window.userManager?.getCurrentUser()) {
+        return this.EDITOR_TYPES.includes(user?.userType);
+    }
+
+    getDisplayCurrency(userId = window.userManager?.getCurrentUser()?.id) {
+        return this.preferences[userId || 'guest'] || this.DEFAULT_CURRENCY;
+    }
+
+    setDisplayCurrency(currency, userId = window.userManager?.getCurrentUser()?.id) {
+        if (!this.CURRENCIES.includes(currency)) {
+            throw new Error(`Unsupported currency: ${currency}`);
+        }
+
+        this.preferences[userId || 'guest'] = currency;
+        localStorage.setItem('mkulima_currency_preferences', JSON.stringify(this.preferences));
+
+        this.populateCurrencySelects();
+        this.refreshPrices();
+    }
+
+    // Price lists and summaries are recomputed in the new currency
+    refreshPrices() {
+        window.marketDataManager?.updateUIWithCachedData();
+    }
+
+    // UI
+    populateCurrencySelects() {
+        const current = this.getDisplayCurrency();
+
+        document.querySelectorAll('select[data-currency-select]').forEach(select => {
+            select.innerHTML = this.CURRENCIES
+                .map(currency => `<option value="${currency}">${currency}</option>`)
+                .join('');
+            select.value = current;
+        });
+    }
+
+    handleCurrencyChange(currency) {
+        try {
+            this.setDisplayCurrency(currency);
+            this.showNotification(`Prices are now shown in ${currency}`, 'success');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    renderRateAdmin() {
+        const container = document.getElementById('exchangeRateTables');
+        if (!container) return;
+
+        if (!this.canEdit()) {
+            container.closest('section')?.setAttribute('hidden', '');
+            return;
+        }
+
+        // Start the form from the rates in effect today
+        const form = document.getElementById('exchangeRateForm');
+        const current = this.getRateTable();
+        if (form) {
+            this.CURRENCIES.forEach(currency => {
+                const input = form.elements[currency];
+                if (input && !input.value) {
+                    input.value = this.convert(1, current.base, currency, current.effectiveDate);
+                }
+            });
+        }
+
+        if (this.rateTables.length === 0) {
+            container.innerHTML = '<div class="no-listings">No exchange rates saved yet; using built-in rates</div>';
+            return;
+        }
+
+        container.innerHTML = [...this.rateTables].reverse().map(table => `
+            <div class="listing-item">
+                <div class="item-info">
+                    <h4>Effective ${new Date(table.effectiveDate).toLocaleDateString()}</h4>
+                    <p>${Object.entries(table.rates)
+            .filter(([currency]) => currency !== table.base)
+            .map(([currency, rate]) => `${rate.toLocaleString()} ${currency}`)
+            .join(' • ')} per 1 ${table.base}</p>
+                    <small>${table.source || 'Unknown source'}${table.updatedAt ? ` • ${new Date(table.updatedAt).toLocaleString()}` : ''}</small>
+                    ${table === current ? '<span class="listing-status available">In use</span>' : ''}
+                </div>
+                <div class="item-actions">
+                    <button class="btn btn-sm btn-outline" onclick="currencyService.removeRateTable('${table.effectiveDate}')">Remove</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    handleSaveRates(e) {
+        e.preventDefault();
+
+        try {
+            const values = Object.fromEntries(new FormData(e.target));
+            const table = this.saveRates({
+                effectiveDate: values.effectiveDate,
+                base: 'USD',
+                rates: Object.fromEntries(this.CURRENCIES.map(currency => [currency, values[currency]]))
+            });
+            this.showNotification(`Exchange rates from ${table.effectiveDate} saved`, 'success');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    // Same JSON shape as data/exchangeRates.json, or a list of such tables
+    async handleRateFileSelected(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        try {
+            const data = JSON.parse(await file.text());
+            const tables = Array.isArray(data) ? data : [data];
+            tables.forEach(table => this.saveRates(table, file.name));
+            this.showNotification(`Loaded ${tables.length} exchange rate table(s) from ${file.name}`, 'success');
+        } catch (error) {
+            this.showNotification(error instanceof SyntaxError ? 'The file is not valid JSON' : error.message, 'error');
+        } finally {
+            e.target.value = '';
+        }
+    }
+
+    saveRateTables() {
+        localStorage.setItem('mkulima_exchange_rates', JSON.stringify(this.rateTables));
+    }
+
+    showNotification(message, type) {
+        if (window.mkulimaApp && window.mkulimaApp.showNotification) {
+            window.mkulimaApp.showNotification(message, type);
+        } else {
+            alert(`${type}: ${message}`);
+        }
+    }
+
+    // Public API
+    getCurrencies() {
+        return [...this.CURRENCIES];
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.currencyService = new CurrencyService();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CurrencyService;
+}
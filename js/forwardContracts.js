@@ -0,0 +1,696 @@
+// forwardContracts.js - Forward contracts for future harvests in Mkulima Connect
+
+class ForwardContractManager {
+    constructor() {
+        this.contracts = JSON.parse(localStorage.getItem('mkulima_forward_contracts') || '[]');
+        this.MAX_DEPOSIT_PERCENT = 50;
+        this.SETTLEMENT_DAYS = 7; // After harvest, the least time a buyer gets to take delivery and pay
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.checkOverdueContracts();
+        this.renderContracts();
+    }
+
+    setupEventListeners() {
+        // Sell form: show the contract terms for future harvests
+        const forwardToggle = document.getElementById('isForward');
+        const forwardFields = document.getElementById('forwardFields');
+        if (forwardToggle && forwardFields) {
+            const update = () => { forwardFields.hidden = !forwardToggle.checked; };
+            forwardToggle.addEventListener('change', update);
+            forwardToggle.form?.addEventListener('reset', () => setTimeout(update, 0));
+        }
+    }
+
+    // Called from ListingManager.buildListing; the listing quantity is the least the farmer expects
+    buildForwardFields(listingData) {
+        if (listingData.isForward !== 'on' && listingData.isForward !== true) return {};
+
+        const today = new Date().toISOString().split('T')[0];
+        const minQuantity = parseFloat(listingData.quantity);
+        const maxQuantity = parseFloat(listingData.expectedQuantityMax) || minQuantity;
+        const depositPercent = parseFloat(listingData.depositPercent) || 0;
+        const { harvestDate, deliveryStart, deliveryEnd } = listingData;
+        const errors = [];
+
+        if (!harvestDate || harvestDate <= today) errors.push('Forward contracts need a future harvest date');
+        if (maxQuantity < minQuantity) errors.push('Expected maximum must be at least the listed quantity');
+        if (!deliveryStart || !deliveryEnd) errors.push('Delivery window is required');
+        if (deliveryStart && harvestDate && deliveryStart < harvestDate) errors.push('Delivery cannot start before harvest');
+        if (deliveryStart && deliveryEnd && deliveryEnd < deliveryStart) errors.push('Delivery window ends before it starts');
+        if (depositPercent < 0 || depositPercent > this.MAX_DEPOSIT_PERCENT) {
+            errors.push(`Deposit must be between 0 and ${this.MAX_DEPOSIT_PERCENT}%`);
+        }
+
+        if (errors.length > 0) {
+            throw new Error(errors.join(', '));
+        }
+
+        return {
+            saleType: 'forward',
+            expectedQuantityMin: minQuantity,
+            expectedQuantityMax: maxQuantity,
+            deliveryStart,
+            deliveryEnd,
+            depositPercent,
+            // Commitments stay open until the delivery window closes
+            expiresAt: listingData.status === 'draft' ? null : this.endOfDay(deliveryEnd).toISOString()
+        };
+    }
+
+    // Forward until the farmer confirms the harvest, then ordinary stock
+    isForwardListing(listing) {
+        return listing?.saleType === 'forward' && !listing.harvest;
+    }
+
+    async commit(listingId, quantity, paymentData = {}) {
+        const user = window.userManager?.getCurrentUser();
+        if (!user) {
+            throw new Error('You must be logged in to commit to a contract');
+        }
+
+        const listing = window.listingManager?.getListingById(listingId);
+        if (!this.isForwardListing(listing)) {
+            throw new Error('This listing is not open for forward contracts');
+        }
+
+        if (listing.farmerId === user.id) {
+            throw new Error('You cannot commit to your own contract');
+        }
+
+        quantity = parseFloat(quantity);
+        if (!quantity || quantity <= 0) {
+            throw new Error('Valid quantity is required');
+        }
+
+        const price = parseFloat(listing.price);
+        const total = price * quantity;
+        const depositAmount = Math.round(total * (listing.depositPercent || 0) / 100);
+        const now = new Date().toISOString();
+
+        const contract = {
+            id: this.generateContractId(),
+            listingId,
+            cropType: listing.cropType,
+            unit: listing.unit || 'kg',
+            farmerId: listing.farmerId,
+            farmerName: listing.farmerName,
+            buyerId: user.id,
+            buyerName: user.name,
+            quantity,
+            price,
+            total,
+            harvestDate: listing.harvestDate,
+            deliveryStart: listing.deliveryStart,
+            deliveryEnd: listing.deliveryEnd,
+            depositPercent: listing.depositPercent || 0,
+            depositAmount,
+            depositTransactionId: null,
+            depositStatus: 'none',
+            status: 'committed',
+            settlement: null,
+            milestones: [],
+            createdAt: now,
+            updatedAt: now
+        };
+
+        const deposit = {
+            ...paymentData,
+            amount: depositAmount,
+            // Deposits are always held until delivery
+            useEscrow: 'on',
+            contractId: contract.id,
+            listingId,
+            description: `Deposit for contract ${contract.id}: ${quantity} ${contract.unit} ${listing.cropType}`
+        };
+
+        if (depositAmount > 0) {
+            if (!window.paymentService) {
+                throw new Error('Payments are not available on this page');
+            }
+            window.paymentService.validatePayment(deposit);
+        }
+
+        await window.listingManager.reserveQuantity(listingId, quantity);
+        this.addMilestone(contract, 'committed', { quantity, price });
+
+        try {
+            if (depositAmount > 0) {
+                const transaction = await window.paymentService.processPayment(deposit);
+                contract.depositTransactionId = transaction.id;
+                contract.depositStatus = 'held';
+                this.addMilestone(contract, 'deposit_held', { amount: depositAmount, transactionId: transaction.id });
+            }
+        } catch (error) {
+            await window.listingManager.releaseQuantity(listingId, quantity);
+            throw error;
+        }
+
+        this.contracts.unshift(contract);
+        this.saveContracts();
+
+        this.notifyUser(
+            contract.farmerId,
+            `${user.name} committed to buy ${quantity} ${contract.unit} of your ${contract.cropType} harvest`,
+            'success',
+            { contractId: contract.id, listingId }
+        );
+
+        this.renderContracts();
+        window.listingManager.renderListings();
+
+        return contract;
+    }
+
+    // Farmer reports the real harvest; short harvests are shared pro rata across buyers
+    async confirmHarvest(listingId, actualQuantity) {
+        const user = window.userManager?.getCurrentUser();
+        const listing = window.listingManager?.getListingById(listingId);
+
+        if (!this.isForwardListing(listing)) {
+            throw new Error('Harvest already confirmed for this listing');
+        }
+
+        if (!user || listing.farmerId !== user.id) {
+            throw new Error('Only the farmer can confirm the harvest');
+        }
+
+        actualQuantity = parseFloat(actualQuantity);
+        if (isNaN(actualQuantity) || actualQuantity < 0) {
+            throw new Error('Enter the quantity harvested');
+        }
+
+        const contracts = this.getListingContracts(listingId).filter(c => c.status === 'committed');
+        const committedTotal = contracts.reduce((sum, c) => sum + c.quantity, 0);
+        const ratio = committedTotal > 0 ? Math.min(1, actualQuantity / committedTotal) : 1;
+        let deliverableTotal = 0;
+
+        for (const contract of contracts) {
+            const deliverable = Math.floor(contract.quantity * ratio * 100) / 100;
+            const value = deliverable * contract.price;
+            // A deposit larger than the goods delivered goes back to the buyer in full
+            const depositApplied = contract.depositAmount <= value ? contract.depositAmount : 0;
+
+            contract.settlement = {
+                expectedQuantity: contract.quantity,
+                actualQuantity: deliverable,
+                shortfall: contract.quantity - deliverable,
+                value,
+                depositApplied,
+                balanceDue: value - depositApplied
+            };
+            deliverableTotal += deliverable;
+
+            if (contract.depositStatus === 'held' && depositApplied === 0) {
+                await this.refundDeposit(contract, 'harvest_shortfall');
+            }
+
+            if (deliverable === 0) {
+                this.setStatus(contract, 'failed', { reason: 'No harvest to deliver' });
+                this.notifyUser(contract.buyerId, `${contract.farmerName}'s ${contract.cropType} harvest failed; your contract is void`, 'warning', {
+                    contractId: contract.id
+                });
+            } else {
+                this.setStatus(contract, 'harvest_confirmed', { actualQuantity: deliverable });
+                contract.settleBy = this.getSettlementDeadline(contract).toISOString();
+                this.notifyUser(
+                    contract.buyerId,
+                    `${contract.farmerName} harvested: ${deliverable} of ${contract.quantity} ${contract.unit} ${contract.cropType} ready, ${contract.settlement.balanceDue.toLocaleString()} TSH due on delivery by ${new Date(contract.settleBy).toLocaleDateString()}`,
+                    'info',
+                    { contractId: contract.id }
+                );
+            }
+        }
+
+        this.saveContracts();
+
+        // Uncommitted harvest becomes ordinary stock
+        await window.listingManager.applyHarvest(listingId, actualQuantity, committedTotal - deliverableTotal);
+
+        this.renderContracts();
+        return contracts;
+    }
+
+    // Buyer pays the balance on delivery; the deposit is released to the farmer
+    async completeDelivery(contractId, paymentData = {}) {
+        const user = window.userManager?.getCurrentUser();
+        const contract = this.getContractById(contractId);
+
+        if (!contract) {
+            throw new Error('Contract not found');
+        }
+
+        if (!user || contract.buyerId !== user.id) {
+            throw new Error('Only the buyer can confirm delivery');
+        }
+
+        await this.checkOverdueContracts();
+
+        if (contract.status === 'defaulted') {
+            throw new Error('The settlement deadline for this contract has passed');
+        }
+
+        if (contract.status !== 'harvest_confirmed') {
+            throw new Error('The harvest has not been confirmed yet');
+        }
+
+        const { balanceDue, actualQuantity } = contract.settlement;
+
+        if (balanceDue > 0) {
+            if (!window.paymentService) {
+                throw new Error('Payments are not available on this page');
+            }
+
+            const payment = {
+                ...paymentData,
+                amount: balanceDue,
+                contractId,
+                listingId: contract.listingId,
+                description: `Balance for contract ${contractId}: ${actualQuantity} ${contract.unit} ${contract.cropType}`
+            };
+            window.paymentService.validatePayment(payment);
+
+            const transaction = await window.paymentService.processPayment(payment);
+            contract.balanceTransactionId = transaction.id;
+        }
+
+        if (contract.depositStatus === 'held') {
+            await window.paymentService.releaseEscrow(contract.depositTransactionId, 'contract_delivered');
+            contract.depositStatus = 'released';
+        }
+
+        await window.listingManager?.recordSale(contract.listingId, actualQuantity, true);
+
+        this.setStatus(contract, 'completed', { quantity: actualQuantity, paid: balanceDue });
+        this.saveContracts();
+
+        this.notifyUser(contract.farmerId, `${contract.buyerName} confirmed delivery for contract ${contract.id}`, 'success', {
+            contractId
+        });
+
+        this.renderContracts();
+        return contract;
+    }
+
+    // Before harvest: a buyer who walks away forfeits the deposit, a farmer who does refunds it
+    async cancelContract(contractId) {
+        const user = window.userManager?.getCurrentUser();
+        const contract = this.getContractById(contractId);
+
+        try {
+            if (!contract) {
+                throw new Error('Contract not found');
+            }
+
+            const isBuyer = contract.buyerId === user?.id;
+            if (!isBuyer && contract.farmerId !== user?.id) {
+                throw new Error('You are not part of this contract');
+            }
+
+            if (contract.status !== 'committed') {
+                throw new Error('Only contracts awaiting harvest can be cancelled');
+            }
+
+            if (contract.depositStatus === 'held') {
+                if (isBuyer) {
+                    await window.paymentService.releaseEscrow(contract.depositTransactionId, 'buyer_cancelled');
+                    contract.depositStatus = 'released';
+                } else {
+                    await this.refundDeposit(contract, 'farmer_cancelled');
+                }
+            }
+
+            await window.listingManager?.releaseQuantity(contract.listingId, contract.quantity);
+
+            this.setStatus(contract, 'cancelled', { by: isBuyer ? 'buyer' : 'farmer' });
+            this.saveContracts();
+
+            this.notifyUser(
+                isBuyer ? contract.farmerId : contract.buyerId,
+                `${user.name} cancelled the ${contract.cropType} contract ${contract.id}`,
+                'warning',
+                { contractId }
+            );
+
+            this.showNotification('Contract cancelled', 'success');
+            this.renderContracts();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    // Contracts with no confirmed harvest by the end of the delivery window, or harvested but not settled in time
+    async checkOverdueContracts() {
+        const now = new Date();
+        const overdue = this.contracts.filter(c => c.status === 'committed' && this.endOfDay(c.deliveryEnd) < now);
+        const unsettled = this.contracts.filter(c => c.status === 'harvest_confirmed' && this.getSettlementDeadline(c) < now);
+
+        for (const contract of overdue) {
+            try {
+                if (contract.depositStatus === 'held') {
+                    await this.refundDeposit(contract, 'not_delivered');
+                }
+                await window.listingManager?.releaseQuantity(contract.listingId, contract.quantity);
+            } catch (error) {
+                console.error('Failed to settle overdue contract:', error);
+            }
+
+            this.setStatus(contract, 'defaulted', { reason: 'Delivery window passed' });
+            this.notifyUser(contract.buyerId, `Contract ${contract.id} was not delivered in time; your deposit is refunded`, 'warning', {
+                contractId: contract.id
+            });
+        }
+
+        // The buyer didn't take delivery and pay: the deposit goes to the farmer and the harvest back on sale
+        for (const contract of unsettled) {
+            try {
+                if (contract.depositStatus === 'held') {
+                    await window.paymentService.releaseEscrow(contract.depositTransactionId, 'not_settled');
+                    contract.depositStatus = 'released';
+                }
+                await window.listingManager?.releaseQuantity(contract.listingId, contract.settlement.actualQuantity);
+            } catch (error) {
+                console.error('Failed to settle unpaid contract:', error);
+            }
+
+            this.setStatus(contract, 'defaulted', { reason: 'Balance not paid by the settlement deadline' });
+            this.notifyUser(contract.buyerId, `Contract ${contract.id} was not settled in time and has been closed`, 'warning', {
+                contractId: contract.id
+            });
+            this.notifyUser(contract.farmerId, `${contract.buyerName} did not settle contract ${contract.id}; the harvest is back on sale`, 'warning', {
+                contractId: contract.id
+            });
+        }
+
+        if (overdue.length > 0 || unsettled.length > 0) {
+            this.saveContracts();
+            this.renderContracts();
+        }
+    }
+
+    // End of the delivery window, but never sooner than SETTLEMENT_DAYS after the harvest was confirmed
+    getSettlementDeadline(contract) {
+        if (contract.settleBy) return new Date(contract.settleBy);
+
+        const confirmed = contract.milestones.find(m => m.type === 'harvest_confirmed');
+        const graceEnd = new Date(new Date(confirmed?.at || Date.now()).getTime() + this.SETTLEMENT_DAYS * 24 * 60 * 60 * 1000);
+        const windowEnd = this.endOfDay(contract.deliveryEnd);
+        return windowEnd > graceEnd ? windowEnd : graceEnd;
+    }
+
+    async refundDeposit(contract, reason) {
+        if (!window.paymentService) {
+            throw new Error('Payments are not available on this page');
+        }
+
+        await window.paymentService.refundEscrow(contract.depositTransactionId, reason);
+        contract.depositStatus = 'refunded';
+        this.addMilestone(contract, 'deposit_refunded', { amount: contract.depositAmount, reason });
+    }
+
+    setStatus(contract, status, details = {}) {
+        contract.status = status;
+        this.addMilestone(contract, status, details);
+    }
+
+    addMilestone(contract, type, details = {}) {
+        const now = new Date().toISOString();
+        contract.milestones.push({ type, at: now, ...details });
+        contract.updatedAt = now;
+    }
+
+    endOfDay(date) {
+        return new Date(`${date}T23:59:59`);
+    }
+
+    // UI
+    renderForwardInfo(listing) {
+        if (!this.isForwardListing(listing)) return '';
+
+        const unit = listing.unit || 'kg';
+        return `
+            <p class="forward-info">
+                <span class="badge badge-primary">Forward contract</span>
+                Harvest ${new Date(listing.harvestDate).toLocaleDateString()} •
+                Delivery ${new Date(listing.deliveryStart).toLocaleDateString()} - ${new Date(listing.deliveryEnd).toLocaleDateString()}
+                <br><small>Expected ${listing.expectedQuantityMin}-${listing.expectedQuantityMax} ${unit}${listing.depositPercent ? ` • ${listing.depositPercent}% deposit` : ''}</small>
+            </p>
+        `;
+    }
+
+    openCommitForm(listingId) {
+        const listing = window.listingManager?.getListingById(listingId);
+        if (!this.isForwardListing(listing)) return;
+
+        const available = window.listingManager.getAvailableQuantity(listing);
+        const unit = listing.unit || 'kg';
+
+        this.openPaymentModal({
+            title: `Commit to ${listing.cropType} Harvest`,
+            intro: `Up to ${available} ${unit} at ${listing.price} TSH per ${unit}, delivered ${listing.deliveryStart} to ${listing.deliveryEnd}`,
+            quantity: { max: available },
+            amount: (quantity) => Math.round(quantity * listing.price * (listing.depositPercent || 0) / 100),
+            amountLabel: 'Deposit now',
+            submitLabel: 'Commit',
+            onSubmit: ({ quantity, ...paymentData }) => this.commit(listingId, quantity, paymentData)
+        });
+    }
+
+    openDeliveryForm(contractId) {
+        const contract = this.getContractById(contractId);
+        if (!contract?.settlement) return;
+
+        const { balanceDue, actualQuantity, depositApplied } = contract.settlement;
+
+        this.openPaymentModal({
+            title: 'Confirm Delivery',
+            intro: `${actualQuantity} ${contract.unit} ${contract.cropType}${depositApplied ? `, less ${depositApplied.toLocaleString()} TSH deposit` : ''}`,
+            amount: () => balanceDue,
+            amountLabel: 'Balance due',
+            submitLabel: 'Pay & Confirm Delivery',
+            onSubmit: (paymentData) => this.completeDelivery(contractId, paymentData)
+        });
+    }
+
+    openPaymentModal({ title, intro, quantity, amount, amountLabel, submitLabel, onSubmit }) {
+        const providers = window.paymentService?.providers || {};
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+
+        modal.innerHTML = `
+            <div class="modal">
+                <div class="modal-header">
+                    <h2>${title}</h2>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p>${intro}</p>
+                    <form class="contract-form">
+                        ${quantity ? `
+                        <div class="form-group">
+                            <label>Quantity*</label>
+                            <input type="number" name="quantity" required min="1" max="${quantity.max}" value="${quantity.max}">
+                        </div>` : ''}
+                        <p class="contract-amount"></p>
+                        <div class="contract-payment">
+                            <div class="form-group">
+                                <label>Payment Provider</label>
+                                <select name="provider">
+                                    ${Object.entries(providers).map(([id, provider]) =>
+            `<option value="${id}">${provider.name}</option>`).join('')}
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label>Phone Number*</label>
+                                <input type="tel" name="phone">
+                            </div>
+                        </div>
+                        <div class="form-actions">
+                            <button type="submit" class="btn btn-primary">${submitLabel}</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const form = modal.querySelector('.contract-form');
+        const amountEl = modal.querySelector('.contract-amount');
+        const paymentFields = modal.querySelector('.contract-payment');
+
+        // Payment details are only needed when there is something to pay
+        const updateAmount = () => {
+            const due = amount(parseFloat(form.quantity?.value) || 0);
+            amountEl.textContent = `${amountLabel}: ${due.toLocaleString()} TSH`;
+            paymentFields.hidden = due <= 0;
+            form.phone.required = due > 0;
+        };
+        form.quantity?.addEventListener('input', updateAmount);
+        updateAmount();
+
+        modal.querySelector('.modal-close').addEventListener('click', () => modal.remove());
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            try {
+                await onSubmit(Object.fromEntries(new FormData(form)));
+                this.showNotification('Contract updated', 'success');
+                modal.remove();
+            } catch (error) {
+                this.showNotification(error.message, 'error');
+            }
+        });
+    }
+
+    openHarvestForm(listingId) {
+        const listing = window.listingManager?.getListingById(listingId);
+        if (!this.isForwardListing(listing)) return;
+
+        const unit = listing.unit || 'kg';
+        const committed = this.getListingContracts(listingId)
+            .filter(c => c.status === 'committed')
+            .reduce((sum, c) => sum + c.quantity, 0);
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+
+        modal.innerHTML = `
+            <div class="modal">
+                <div class="modal-header">
+                    <h2>Confirm Harvest</h2>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <form class="modal-body harvest-form">
+                    <p>Expected ${listing.expectedQuantityMin}-${listing.expectedQuantityMax} ${unit}; buyers have committed to ${committed} ${unit}.</p>
+                    <div class="form-group">
+                        <label>Quantity harvested (${unit})*</label>
+                        <input type="number" name="actualQuantity" required min="0" step="any">
+                    </div>
+                    <div class="modal-footer">
+                        <button type="submit" class="btn btn-primary">Confirm Harvest</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        modal.querySelector('.modal-close').addEventListener('click', () => modal.remove());
+        modal.querySelector('.harvest-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            try {
+                await this.confirmHarvest(listingId, e.target.actualQuantity.value);
+                this.showNotification('Harvest confirmed', 'success');
+                modal.remove();
+            } catch (error) {
+                this.showNotification(error.message, 'error');
+            }
+        });
+    }
+
+    renderContracts() {
+        const container = document.getElementById('myContracts');
+        if (!container) return;
+
+        const user = window.userManager?.getCurrentUser();
+        const contracts = user ? this.getUserContracts(user.id) : [];
+
+        if (contracts.length === 0) {
+            container.innerHTML = '<div class="no-listings">No forward contracts yet</div>';
+            return;
+        }
+
+        container.innerHTML = contracts.map(contract => this.createContractItem(contract, user)).join('');
+    }
+
+    createContractItem(contract, user) {
+        const isBuyer = contract.buyerId === user.id;
+        const counterparty = isBuyer ? contract.farmerName : contract.buyerName;
+        const settlement = contract.settlement;
+
+        return `
+            <div class="listing-item">
+                <div class="item-info">
+                    <h4>${contract.cropType} - ${contract.quantity} ${contract.unit} @ ${contract.price} TSH</h4>
+                    <p>${isBuyer ? 'From' : 'To'} ${counterparty} • Delivery ${contract.deliveryStart} to ${contract.deliveryEnd}</p>
+                    <span class="listing-status ${contract.status}">${this.formatStatus(contract.status)}</span>
+                    ${contract.depositAmount ? `<small>Deposit ${contract.depositAmount.toLocaleString()} TSH (${contract.depositStatus})</small>` : ''}
+                    ${settlement ? `<small>Harvested ${settlement.actualQuantity} of ${settlement.expectedQuantity} ${contract.unit} • ${settlement.balanceDue.toLocaleString()} TSH due on delivery${contract.status === 'harvest_confirmed' ? ` by ${this.getSettlementDeadline(contract).toLocaleDateString()}` : ''}</small>` : ''}
+                    <ul class="contract-milestones">
+                        ${contract.milestones.map(m => `<li>${this.formatStatus(m.type)} - ${new Date(m.at).toLocaleDateString()}</li>`).join('')}
+                    </ul>
+                </div>
+                <div class="item-actions">
+                    ${isBuyer && contract.status === 'harvest_confirmed' ?
+                `<button class="btn btn-sm btn-primary" onclick="forwardContractManager.openDeliveryForm('${contract.id}')">Confirm Delivery</button>` : ''}
+                    ${contract.status === 'committed' ?
+                `<button class="btn btn-sm btn-outline" onclick="forwardContractManager.cancelContract('${contract.id}')">Cancel</button>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    formatStatus(status) {
+        const labels = {
+            committed: 'Committed',
+            deposit_held: 'Deposit held',
+            deposit_refunded: 'Deposit refunded',
+            harvest_confirmed: 'Harvest confirmed',
+            completed: 'Delivered',
+            cancelled: 'Cancelled',
+            defaulted: 'Not delivered',
+            failed: 'Harvest failed'
+        };
+        return labels[status] || status;
+    }
+
+    saveContracts() {
+        localStorage.setItem('mkulima_forward_contracts', JSON.stringify(this.contracts));
+    }
+
+    generateContractId() {
+        return 'fwd_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    notifyUser(userId, message, type, meta) {
+        if (window.mkulimaApp && window.mkulimaApp.notifyUser) {
+            window.mkulimaApp.notifyUser(userId, message, type, meta);
+        }
+    }
+
+    showNotification(message, type) {
+        if (window.mkulimaApp && window.mkulimaApp.showNotification) {
+            window.mkulimaApp.showNotification(message, type);
+        } else {
+            alert(`${type}: ${message}`);
+        }
+    }
+
+    // Public API
+    getContractById(id) {
+        return this.contracts.find(c => c.id === id);
+    }
+
+    getListingContracts(listingId) {
+        return this.contracts.filter(c => c.listingId === listingId);
+    }
+
+    getUserContracts(userId) {
+        return this.contracts.filter(c => c.buyerId === userId || c.farmerId === userId);
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.forwardContractManager = new ForwardContractManager();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ForwardContractManager;
+}
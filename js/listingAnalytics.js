@@ -0,0 +1,270 @@
+// listingAnalytics.js - Per-listing performance analytics for Mkulima Connect
+
+class ListingAnalytics {
+    constructor() {
+        // { listingId: { views: { 'YYYY-MM-DD': count }, inquiries: { ... } } }
+        this.events = JSON.parse(localStorage.getItem('mkulima_listing_analytics') || '{}');
+        this.HISTORY_DAYS = 14;
+        this.init();
+    }
+
+    init() {
+        this.renderAnalyticsTable();
+    }
+
+    recordEvent(listingId, type) {
+        const day = new Date().toISOString().split('T')[0];
+
+        this.events[listingId] = this.events[listingId] || { views: {}, inquiries: {} };
+        const counts = this.events[listingId][type] = this.events[listingId][type] || {};
+        counts[day] = (counts[day] || 0) + 1;
+
+        localStorage.setItem('mkulima_listing_analytics', JSON.stringify(this.events));
+    }
+
+    getDailyCounts(listingId, type, days = this.HISTORY_DAYS) {
+        const counts = this.events[listingId]?.[type] || {};
+        const series = [];
+
+        for (let i = days - 1; i >= 0; i--) {
+            const date = new Date();
+            date.setDate(date.getDate() - i);
+            const day = date.toISOString().split('T')[0];
+            series.push({ date: day, count: counts[day] || 0 });
+        }
+
+        return series;
+    }
+
+    getListingStats(listing) {
+        const offers = this.readStore('mkulima_offers').filter(o => o.listingId === listing.id);
+        const orders = this.readStore('mkulima_orders').filter(o => o.listingId === listing.id);
+        const sales = orders.filter(o => ['paid', 'completed'].includes(o.status));
+        const views = listing.views || 0;
+
+        const publishedAt = this.getPublishedAt(listing);
+        const firstSaleAt = sales.length > 0
+            ? Math.min(...sales.map(o => new Date(o.createdAt).getTime()))
+            : null;
+        const soldOutAt = (listing.statusHistory || []).find(h => h.to === 'sold')?.at;
+
+        return {
+            views,
+            inquiries: listing.inquiries || 0,
+            offers: offers.length,
+            acceptedOffers: offers.filter(o => ['accepted', 'paid'].includes(o.status)).length,
+            sales: sales.length,
+            // Share of viewers who went on to buy
+            conversionRate: views > 0 ? (sales.length / views) * 100 : 0,
+            sellThrough: listing.quantity > 0 ? ((listing.soldQuantity || 0) / parseFloat(listing.quantity)) * 100 : 0,
+            daysToFirstSale: publishedAt && firstSaleAt ? this.daysBetween(publishedAt, firstSaleAt) : null,
+            daysToSellOut: publishedAt && soldOutAt ? this.daysBetween(publishedAt, new Date(soldOutAt).getTime()) : null,
+            market: this.compareWithMarket(listing)
+        };
+    }
+
+    getPublishedAt(listing) {
+        const published = (listing.statusHistory || []).find(h => h.to === 'available');
+        const at = published?.at || listing.createdAt;
+        return at ? new Date(at).getTime() : null;
+    }
+
+    daysBetween(from, to) {
+        return Math.max(0, (to - from) / (24 * 60 * 60 * 1000));
+    }
+
+    // Listing price per kg against the TSH market average for the crop
+    compareWithMarket(listing) {
+        const manager = window.marketDataManager;
+        const registry = window.unitRegistry;
+        const localPrices = manager?.getCurrentPrices()?.local || [];
+        if (!manager || !registry || localPrices.length === 0) return null;
+
+        // Listings are priced in TSH, so summarise every market's per-kg price in TSH
+        const summary = manager.createPriceSummary(localPrices, 'TSH');
+        const marketAvg = summary[listing.cropType]?.avg;
+        if (!marketAvg) return null;
+
+        const pricePerKg = registry.getListingPricePerKg(listing);
+
+        return {
+            marketAvg,
+            pricePerKg,
+            difference: ((pricePerKg - marketAvg) / marketAvg) * 100,
+            markets: summary[listing.cropType].markets.length
+        };
+    }
+
+    // UI
+    renderSummary(listing) {
+        const stats = this.getListingStats(listing);
+
+        return `
+            <small class="listing-analytics-summary">
+                ${stats.views} views • ${stats.inquiries} inquiries • ${stats.offers} offers • ${stats.sales} sales
+                ${stats.market ? ` • ${this.formatDifference(stats.market.difference)} market` : ''}
+            </small>
+        `;
+    }
+
+    showDashboard(listingId) {
+        const listing = this.getListings().find(l => l.id === listingId);
+        if (!listing) return;
+
+        const stats = this.getListingStats(listing);
+        const views = this.getDailyCounts(listingId, 'views');
+        const inquiries = this.getDailyCounts(listingId, 'inquiries');
+        const maxCount = Math.max(1, ...views.map(d => d.count), ...inquiries.map(d => d.count));
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+
+        modal.innerHTML = `
+            <div class="modal">
+                <div class="modal-header">
+                    <h2>${listing.cropType} Listing Performance</h2>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div class="analytics-stats">
+                        ${this.renderStat('Views', stats.views)}
+                        ${this.renderStat('Inquiries', stats.inquiries)}
+                        ${this.renderStat('Offers', `${stats.offers} (${stats.acceptedOffers} accepted)`)}
+                        ${this.renderStat('Sales', stats.sales)}
+                        ${this.renderStat('Conversion', `${stats.conversionRate.toFixed(1)}%`)}
+                        ${this.renderStat('Sold', `${stats.sellThrough.toFixed(0)}%`)}
+                        ${this.renderStat('Time to first sale', this.formatDays(stats.daysToFirstSale))}
+                        ${this.renderStat('Time to sell out', this.formatDays(stats.daysToSellOut))}
+                    </div>
+
+                    <h4>Last ${this.HISTORY_DAYS} days</h4>
+                    <div class="analytics-chart">
+                        ${views.map((day, i) => `
+                            <div class="analytics-bar-group" title="${day.date}: ${day.count} views, ${inquiries[i].count} inquiries">
+                                <div class="analytics-bar views" style="height: ${(day.count / maxCount) * 100}%"></div>
+                                <div class="analytics-bar inquiries" style="height: ${(inquiries[i].count / maxCount) * 100}%"></div>
+                            </div>
+                        `).join('')}
+                    </div>
+                    <p class="analytics-legend">
+                        <span class="analytics-key views"></span> Views
+                        <span class="analytics-key inquiries"></span> Inquiries
+                    </p>
+
+                    <h4>Market Comparison</h4>
+                    ${this.renderMarketComparison(stats.market)}
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        modal.querySelector('.modal-close').addEventListener('click', () => modal.remove());
+    }
+
+    renderStat(label, value) {
+        return `
+            <div class="analytics-stat">
+                <span class="analytics-value">${value}</span>
+                <span class="analytics-label">${label}</span>
+            </div>
+        `;
+    }
+
+    renderMarketComparison(market) {
+        if (!market) {
+            return '<p>No market prices available for this crop yet.</p>';
+        }
+
+        return `
+            <p>Your price: <strong>${Math.round(market.pricePerKg).toLocaleString()} TSH/kg</strong>
+                • Market average: <strong>${Math.round(market.marketAvg).toLocaleString()} TSH/kg</strong>
+                (${market.markets} market${market.markets === 1 ? '' : 's'})</p>
+            <p class="${market.difference > 0 ? 'trend-up' : 'trend-down'}">${this.formatDifference(market.difference)} the market average</p>
+        `;
+    }
+
+    renderAnalyticsTable() {
+        const container = document.getElementById('listingAnalytics');
+        if (!container) return;
+
+        const user = window.userManager?.getCurrentUser();
+        const listings = user ? this.getListings().filter(l => l.farmerId === user.id && l.status !== 'archived') : [];
+
+        if (listings.length === 0) {
+            container.innerHTML = '<div class="no-listings">No listings yet</div>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="analytics-table">
+                <thead>
+                    <tr>
+                        <th>Listing</th>
+                        <th>Views</th>
+                        <th>Inquiries</th>
+                        <th>Offers</th>
+                        <th>Sales</th>
+                        <th>Conversion</th>
+                        <th>Time to sell</th>
+                        <th>vs Market</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${listings.map(listing => {
+            const stats = this.getListingStats(listing);
+            return `
+                        <tr>
+                            <td>${listing.cropType} - ${listing.quantity} ${listing.unit || 'kg'}</td>
+                            <td>${stats.views}</td>
+                            <td>${stats.inquiries}</td>
+                            <td>${stats.offers}</td>
+                            <td>${stats.sales}</td>
+                            <td>${stats.conversionRate.toFixed(1)}%</td>
+                            <td>${this.formatDays(stats.daysToSellOut ?? stats.daysToFirstSale)}</td>
+                            <td>${stats.market ? this.formatDifference(stats.market.difference) : '-'}</td>
+                            <td><button class="btn btn-sm btn-outline" onclick="listingAnalytics.showDashboard('${listing.id}')">Details</button></td>
+                        </tr>
+                    `;
+        }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    formatDays(days) {
+        if (days === null || days === undefined) return '-';
+        if (days < 1) return `${Math.max(1, Math.round(days * 24))} h`;
+        return `${days.toFixed(1)} days`;
+    }
+
+    formatDifference(difference) {
+        const rounded = Math.abs(difference).toFixed(0);
+        if (rounded === '0') return 'At';
+        return difference > 0 ? `${rounded}% above` : `${rounded}% below`;
+    }
+
+    getListings() {
+        return window.listingManager?.listings || this.readStore('mkulima_listings');
+    }
+
+    readStore(key) {
+        return JSON.parse(localStorage.getItem(key) || '[]');
+    }
+
+    // Public API
+    getStats(listingId) {
+        const listing = this.getListings().find(l => l.id === listingId);
+        return listing ? this.getListingStats(listing) : null;
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.listingAnalytics = new ListingAnalytics();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ListingAnalytics;
+}
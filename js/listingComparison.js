@@ -0,0 +1,276 @@
+// listingComparison.js - Side-by-side comparison of produce listings for Mkulima Connect
+
+class ListingComparison {
+    constructor() {
+        this.selectedIds = JSON.parse(localStorage.getItem('mkulima_compare_listings') || '[]');
+        this.MAX_LISTINGS = 4;
+        this.init();
+    }
+
+    init() {
+        this.pruneSelection();
+        this.renderCompareToggles();
+        this.renderCompareBar();
+    }
+
+    // Drop listings that were sold, expired or hidden since they were picked
+    pruneSelection() {
+        if (!window.listingManager) return;
+
+        this.selectedIds = this.selectedIds.filter(id => {
+            const listing = window.listingManager.getListingById(id);
+            return listing && window.listingManager.isBrowsable(listing);
+        });
+        this.saveSelection();
+    }
+
+    toggleListing(listingId) {
+        try {
+            if (this.selectedIds.includes(listingId)) {
+                this.selectedIds = this.selectedIds.filter(id => id !== listingId);
+            } else {
+                if (this.selectedIds.length >= this.MAX_LISTINGS) {
+                    throw new Error(`You can compare up to ${this.MAX_LISTINGS} listings`);
+                }
+                this.selectedIds.push(listingId);
+            }
+
+            this.saveSelection();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+
+        this.renderCompareToggles();
+        this.renderCompareBar();
+    }
+
+    clearSelection() {
+        this.selectedIds = [];
+        this.saveSelection();
+        this.renderCompareToggles();
+        this.renderCompareBar();
+    }
+
+    // One column of the comparison table; quantityKg is what the buyer wants delivered
+    buildRow(listing, quantityKg) {
+        const unit = listing.unit || 'kg';
+        const pricePerKg = window.listingManager.getPricePerKg(listing);
+        const available = window.listingManager.getAvailableQuantity(listing);
+        const availableKg = window.unitRegistry?.toKg(available, unit, listing.cropType) ?? available;
+        const distance = window.locationManager?.getListingDistance(listing) ?? null;
+        const stats = window.userManager?.getUserStats(listing.farmerId);
+        const verified = window.verificationManager?.isVerified(listing) || false;
+
+        // Landed cost: produce plus transport to the buyer, for the quantity this lot can supply
+        const buyKg = Math.min(quantityKg, availableKg);
+        const transport = distance !== null && window.locationManager
+            ? window.locationManager.estimateTransportCost(distance, buyKg, 'kg', listing.cropType)
+            : null;
+        const landedCost = pricePerKg !== null && transport !== null ? pricePerKg * buyKg + transport : null;
+
+        return {
+            listing,
+            pricePerKg,
+            available,
+            availableKg,
+            buyKg,
+            distance,
+            rating: stats?.rating || 0,
+            transactionCount: stats?.transactionCount || 0,
+            grade: window.verificationManager?.getEffectiveGrade(listing) ?? listing.quality,
+            verified,
+            verification: listing.verification,
+            transport,
+            landedCost,
+            landedCostPerKg: landedCost !== null && buyKg > 0 ? landedCost / buyKg : null
+        };
+    }
+
+    getSelectedListings() {
+        return this.selectedIds
+            .map(id => window.listingManager?.getListingById(id))
+            .filter(Boolean);
+    }
+
+    // UI
+    renderCompareToggles(container = document) {
+        container.querySelectorAll('.listing-card').forEach(card => {
+            const actions = card.querySelector('.listing-actions');
+            if (!card.dataset.id || !actions) return;
+
+            const selected = this.selectedIds.includes(card.dataset.id);
+            actions.querySelector('.compare-toggle')?.remove();
+            actions.insertAdjacentHTML('beforeend', `
+                <label class="compare-toggle">
+                    <input type="checkbox" ${selected ? 'checked' : ''}
+                        onchange="listingComparison.toggleListing('${card.dataset.id}')"> Compare
+                </label>
+            `);
+        });
+    }
+
+    renderCompareBar() {
+        const bar = document.getElementById('compareBar');
+        if (!bar) return;
+
+        if (this.selectedIds.length === 0) {
+            bar.hidden = true;
+            return;
+        }
+
+        bar.hidden = false;
+        bar.innerHTML = `
+            <span>${this.selectedIds.length} of ${this.MAX_LISTINGS} listings selected</span>
+            <button class="btn btn-sm btn-primary" onclick="listingComparison.openComparison()" ${this.selectedIds.length < 2 ? 'disabled' : ''}>
+                Compare
+            </button>
+            <button class="btn btn-sm btn-outline" onclick="listingComparison.clearSelection()">Clear</button>
+        `;
+    }
+
+    openComparison() {
+        const listings = this.getSelectedListings();
+        if (listings.length < 2) {
+            this.showNotification('Select at least two listings to compare', 'error');
+            return;
+        }
+
+        // Default to the smallest lot so every column prices the same quantity
+        const defaultKg = Math.min(...listings.map(l => this.buildRow(l, Infinity).availableKg));
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+
+        modal.innerHTML = `
+            <div class="modal modal-wide">
+                <div class="modal-header">
+                    <h2>Compare Listings</h2>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div class="form-group">
+                        <label>Quantity to buy (kg)</label>
+                        <input type="number" class="compare-quantity" min="1" value="${Math.round(defaultKg)}">
+                    </div>
+                    ${window.locationManager?.getOrigin() ? `<p><small>Distances and transport from ${window.locationManager.getOrigin().label}</small></p>` : ''}
+                    <div class="comparison-table-wrapper"></div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        modal.querySelector('.modal-close').addEventListener('click', () => modal.remove());
+
+        const quantityInput = modal.querySelector('.compare-quantity');
+        const render = () => {
+            const quantityKg = parseFloat(quantityInput.value) || defaultKg;
+            modal.querySelector('.comparison-table-wrapper').innerHTML = this.renderTable(listings, quantityKg);
+        };
+        quantityInput.addEventListener('input', render);
+        render();
+    }
+
+    renderTable(listings, quantityKg) {
+        const rows = listings.map(listing => this.buildRow(listing, quantityKg));
+
+        // Highlight the best value in each comparable row
+        const best = (key, pick) => {
+            const values = rows.map(r => r[key]).filter(v => v !== null);
+            return values.length > 1 && new Set(values).size > 1 ? pick(...values) : null;
+        };
+        const cheapest = best('pricePerKg', Math.min);
+        const nearest = best('distance', Math.min);
+        const topRated = best('rating', Math.max);
+        const lowestLanded = best('landedCostPerKg', Math.min);
+        const mark = (value, target) => (target !== null && value === target ? ' class="compare-best"' : '');
+        const money = (amount) => `${Math.round(amount).toLocaleString()} TSH`;
+
+        return `
+            <table class="comparison-table">
+                <thead>
+                    <tr>
+                        <th></th>
+                        ${rows.map(r => `<th>${window.listingManager.formatCropName(r.listing.cropType)}<br><small>${r.listing.farmerName}</small></th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr>
+                        <th>Price per kg</th>
+                        ${rows.map(r => `<td${mark(r.pricePerKg, cheapest)}>${r.pricePerKg !== null ? money(r.pricePerKg) : '-'}<br><small>${r.listing.price} TSH/${r.listing.unit || 'kg'}</small></td>`).join('')}
+                    </tr>
+                    <tr>
+                        <th>Grade</th>
+                        ${rows.map(r => `<td>${window.verificationManager?.formatGrade(r.grade) || r.grade || 'Not specified'}</td>`).join('')}
+                    </tr>
+                    <tr>
+                        <th>Available</th>
+                        ${rows.map(r => `<td>${r.available} ${r.listing.unit || 'kg'}${r.listing.unit && r.listing.unit !== 'kg' ? `<br><small>≈ ${Math.round(r.availableKg).toLocaleString()} kg</small>` : ''}</td>`).join('')}
+                    </tr>
+                    <tr>
+                        <th>Distance</th>
+                        ${rows.map(r => `<td${mark(r.distance, nearest)}>${r.distance !== null ? `${Math.round(r.distance)} km` : 'Unknown'}</td>`).join('')}
+                    </tr>
+                    <tr>
+                        <th>Farmer rating</th>
+                        ${rows.map(r => `<td${mark(r.rating, topRated)}>${r.rating ? `${r.rating.toFixed(1)} ★` : 'No ratings'}<br><small>${r.transactionCount} sales</small></td>`).join('')}
+                    </tr>
+                    <tr>
+                        <th>Verification</th>
+                        ${rows.map(r => `<td>${r.verified
+            ? `✓ Verified ${new Date(r.verification.verifiedAt).toLocaleDateString()}`
+            : r.verification ? 'Expired or failed' : 'Not inspected'}</td>`).join('')}
+                    </tr>
+                    <tr>
+                        <th>Landed cost</th>
+                        ${rows.map(r => `<td${mark(r.landedCostPerKg, lowestLanded)}>${r.landedCost !== null
+                ? `${money(r.landedCostPerKg)}/kg<br><small>${money(r.landedCost)} for ${Math.round(r.buyKg).toLocaleString()} kg incl. ${money(r.transport)} transport</small>`
+                : 'Needs a distance'}${r.buyKg < quantityKg ? '<br><small>Not enough stock for the full quantity</small>' : ''}</td>`).join('')}
+                    </tr>
+                    <tr>
+                        <th></th>
+                        ${rows.map(r => `<td>
+                            <button class="btn btn-sm btn-primary" onclick="listingManager.viewListing('${r.listing.id}')">View</button>
+                            <button class="btn btn-sm btn-outline" onclick="listingComparison.removeFromComparison('${r.listing.id}', this)">Remove</button>
+                        </td>`).join('')}
+                    </tr>
+                </tbody>
+            </table>
+        `;
+    }
+
+    removeFromComparison(listingId, button) {
+        this.toggleListing(listingId);
+        button.closest('.modal-overlay')?.remove();
+
+        if (this.selectedIds.length >= 2) {
+            this.openComparison();
+        }
+    }
+
+    saveSelection() {
+        localStorage.setItem('mkulima_compare_listings', JSON.stringify(this.selectedIds));
+    }
+
+    showNotification(message, type) {
+        if (window.mkulimaApp && window.mkulimaApp.showNotification) {
+            window.mkulimaApp.showNotification(message, type);
+        } else {
+            alert(`${type}: ${message}`);
+        }
+    }
+
+    // Public API
+    getSelectedIds() {
+        return [...this.selectedIds];
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.listingComparison = new ListingComparison();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ListingComparison;
+}
@@ -0,0 +1,462 @@
+// listingImport.js - Bulk CSV import and export of listings for Mkulima Connect
+
+class ListingImportExport {
+    constructor() {
+        // Listing fields that can be mapped from a CSV column
+        this.IMPORT_FIELDS = {
+            cropType: { label: 'Crop Type', required: true, aliases: ['crop', 'crop type', 'zao', 'mazao', 'product'] },
+            quantity: { label: 'Quantity', required: true, aliases: ['qty', 'amount', 'kiasi'] },
+            unit: { label: 'Unit', aliases: ['units', 'uom', 'kipimo'] },
+            quality: { label: 'Quality Grade', aliases: ['grade', 'quality grade', 'daraja'] },
+            price: { label: 'Price per unit', required: true, aliases: ['price per unit', 'unit price', 'bei'] },
+            location: { label: 'Location', required: true, aliases: ['region', 'farm location', 'mahali'] },
+            harvestDate: { label: 'Harvest Date', aliases: ['harvest date', 'harvested'] },
+            description: { label: 'Description', aliases: ['notes', 'maelezo'] },
+            isNegotiable: { label: 'Negotiable', aliases: ['negotiable', 'price negotiable'] }
+        };
+        this.MAX_ROWS = 500;
+        this.pending = null;
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const importInput = document.getElementById('importListingsFile');
+        if (importInput) {
+            importInput.addEventListener('change', (e) => this.handleFileSelected(e));
+        }
+
+        const exportBtn = document.getElementById('exportListingsBtn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.handleExport());
+        }
+    }
+
+    async handleFileSelected(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+            const rows = this.parseCSV(text);
+
+            if (rows.length < 2) {
+                throw new Error('The file has no data rows');
+            }
+
+            const [rawHeaders, ...dataRows] = rows;
+            const headers = rawHeaders.map(h => window.validation ? window.validation.sanitizeInput(h) : h);
+            if (dataRows.length > this.MAX_ROWS) {
+                throw new Error(`Import at most ${this.MAX_ROWS} rows at a time`);
+            }
+
+            this.pending = {
+                fileName: file.name,
+                headers,
+                rows: dataRows,
+                mapping: this.guessMapping(headers)
+            };
+
+            this.openImportPreview();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        } finally {
+            e.target.value = '';
+        }
+    }
+
+    // CSV parsing with quoted fields, escaped quotes and CRLF; Excel may use ";" as separator
+    parseCSV(text) {
+        text = text.replace(/^\uFEFF/, '');
+
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field.trim());
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field.trim());
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field || row.length > 0) {
+            row.push(field.trim());
+            rows.push(row);
+        }
+
+        // Spreadsheets often leave blank lines at the end
+        return rows.filter(r => r.some(value => value !== ''));
+    }
+
+    // Map listing fields to column indexes by header name
+    guessMapping(headers) {
+        const normalized = headers.map(h => h.toLowerCase().replace(/[_-]+/g, ' ').trim());
+        const mapping = {};
+
+        Object.entries(this.IMPORT_FIELDS).forEach(([field, config]) => {
+            const candidates = [field.toLowerCase(), config.label.toLowerCase(), ...config.aliases];
+            const index = normalized.findIndex(h => candidates.includes(h));
+            mapping[field] = index;
+        });
+
+        return mapping;
+    }
+
+    mapRow(row, mapping) {
+        const value = (field) => mapping[field] >= 0 ? (row[mapping[field]] || '').trim() : '';
+        const number = (text) => text ? parseFloat(text.replace(/[\s,]/g, '')) : '';
+
+        const cropType = this.resolveCropType(value('cropType'));
+        const data = {
+            cropType,
+            quantity: number(value('quantity')),
+            unit: this.resolveUnit(value('unit')),
+            quality: this.resolveQuality(value('quality'), cropType),
+            price: number(value('price')),
+            location: value('location'),
+            harvestDate: value('harvestDate'),
+            description: value('description')
+        };
+
+        // createListing expects the checkbox value
+        if (['yes', 'y', 'true', '1', 'ndiyo'].includes(value('isNegotiable').toLowerCase())) {
+            data.isNegotiable = 'on';
+        }
+
+        return window.validation ? window.validation.sanitizeObject(data) : data;
+    }
+
+    // Accept crop ids, English or Swahili names ("Mahindi" -> maize); null when no crop matches
+    resolveCropType(text) {
+        if (!text) return '';
+
+        const crop = window.cropCatalog?.findCrop(text);
+        if (crop) return crop.id;
+
+        const [cropId] = window.searchIndex?.getCropIdsForTerm(text) || [];
+        return cropId || null;
+    }
+
+    // "Magunia", "tonnes", "kgs" -> registry unit ids; unknown units are left for validation
+    resolveUnit(text) {
+        if (!text) return 'kg';
+        return window.unitRegistry?.normalizeUnit(text) || text.toLowerCase();
+    }
+
+    // The crop's grades by id or label; "A", "Grade A", "grade_a" all map to grade_a. null when the crop has no such grade
+    resolveQuality(text, cropType) {
+        const lower = text.toLowerCase().trim();
+        if (!lower) return '';
+
+        const grades = window.cropCatalog?.getGrades(cropType) ||
+            ['grade_a', 'grade_b', 'grade_c'].map(id => ({ id, label: id }));
+        const ids = [lower, lower.replace(/\s+/g, '_'), `grade_${lower.replace(/^grade[\s_]*/, '')}`];
+
+        const grade = grades.find(g => {
+            const label = g.label.toLowerCase();
+            // "Grade A (Premium)" also matches "grade a"
+            return ids.includes(g.id) || label === lower || label.replace(/\s*\(.*\)$/, '') === lower;
+        });
+        return grade ? grade.id : null;
+    }
+
+    // Validate every row; rows are also checked against earlier rows in the same file
+    validateRows() {
+        const { rows, mapping } = this.pending;
+        const user = window.userManager?.getCurrentUser();
+        const existing = [...(window.listingManager?.listings || [])];
+        const units = window.unitRegistry?.getUnitIds() || ['kg', 'bags', 'tons'];
+
+        return rows.map((row, index) => {
+            const data = this.mapRow(row, mapping);
+
+            // Shown as typed in the preview; the row is skipped
+            const asTyped = (field) => {
+                const text = (row[mapping[field]] || '').trim();
+                return window.validation ? window.validation.sanitizeInput(text) : text;
+            };
+            const unknownCrop = data.cropType === null;
+            if (unknownCrop) {
+                data.cropType = asTyped('cropType');
+            }
+            const unknownGrade = data.quality === null;
+            if (unknownGrade) {
+                data.quality = asTyped('quality');
+            }
+
+            const errors = window.validation
+                ? [...window.validation.validateListingData(data).errors]
+                : [];
+
+            if (unknownCrop) {
+                errors.unshift(`Unknown crop "${data.cropType}"`);
+            } else if (unknownGrade) {
+                errors.unshift(`Unknown grade "${data.quality}" for ${window.cropCatalog?.getCropName(data.cropType) || data.cropType}`);
+            }
+
+            if (data.unit && !units.includes(data.unit)) {
+                errors.push(`Unit must be one of ${units.join(', ')}`);
+            }
+
+            if (data.harvestDate && isNaN(new Date(data.harvestDate).getTime())) {
+                errors.push('Invalid harvest date');
+            }
+
+            const candidate = { ...data, farmerId: user?.id, createdAt: new Date().toISOString() };
+            if (errors.length === 0 && window.validation?.detectDuplicateListing(candidate, existing)) {
+                errors.push('Looks like a duplicate of a listing created in the last 24 hours');
+            }
+
+            if (errors.length === 0) {
+                existing.push(candidate);
+            }
+
+            return { line: index + 2, data, errors };
+        });
+    }
+
+    openImportPreview() {
+        document.querySelector('.import-preview-modal')?.remove();
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay import-preview-modal';
+
+        modal.innerHTML = `
+            <div class="modal modal-wide">
+                <div class="modal-header">
+                    <h2>Import ${this.pending.fileName}</h2>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <h4>Column Mapping</h4>
+                    <div class="import-mapping">
+                        ${Object.entries(this.IMPORT_FIELDS).map(([field, config]) => `
+                            <label>
+                                ${config.label}${config.required ? '*' : ''}
+                                <select data-field="${field}">
+                                    <option value="-1">(not in file)</option>
+                                    ${this.pending.headers.map((header, index) => `
+                                        <option value="${index}" ${this.pending.mapping[field] === index ? 'selected' : ''}>${header}</option>
+                                    `).join('')}
+                                </select>
+                            </label>
+                        `).join('')}
+                    </div>
+                    <h4>Preview</h4>
+                    <div class="import-preview"></div>
+                </div>
+                <div class="modal-footer">
+                    <button class="btn btn-primary import-confirm">Import</button>
+                    <button class="btn btn-secondary import-cancel">Cancel</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        modal.querySelectorAll('.import-mapping select').forEach(select => {
+            select.addEventListener('change', () => {
+                this.pending.mapping[select.dataset.field] = parseInt(select.value);
+                this.renderPreview(modal);
+            });
+        });
+
+        const close = () => {
+            modal.remove();
+            this.pending = null;
+        };
+        modal.querySelector('.modal-close').addEventListener('click', close);
+        modal.querySelector('.import-cancel').addEventListener('click', close);
+        modal.querySelector('.import-confirm').addEventListener('click', () => this.handleImport(modal));
+
+        this.renderPreview(modal);
+    }
+
+    renderPreview(modal) {
+        const results = this.validateRows();
+        const validCount = results.filter(r => r.errors.length === 0).length;
+
+        modal.querySelector('.import-preview').innerHTML = `
+            <p>${validCount} of ${results.length} rows ready to import${validCount < results.length ? '; rows with errors will be skipped' : ''}</p>
+            <table class="import-table">
+                <thead>
+                    <tr>
+                        <th>Row</th>
+                        <th>Crop</th>
+                        <th>Quantity</th>
+                        <th>Price</th>
+                        <th>Location</th>
+                        <th>Status</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${results.map(result => `
+                        <tr class="${result.errors.length ? 'import-row-error' : 'import-row-valid'}">
+                            <td>${result.line}</td>
+                            <td>${result.data.cropType}</td>
+                            <td>${result.data.quantity} ${result.data.unit}</td>
+                            <td>${result.data.price}</td>
+                            <td>${result.data.location}</td>
+                            <td>${result.errors.length ? result.errors.join('; ') : 'OK'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        const confirmBtn = modal.querySelector('.import-confirm');
+        confirmBtn.textContent = `Import ${validCount} listing${validCount === 1 ? '' : 's'}`;
+        confirmBtn.disabled = validCount === 0;
+    }
+
+    async handleImport(modal) {
+        try {
+            const valid = this.validateRows().filter(r => r.errors.length === 0);
+            if (valid.length === 0) {
+                throw new Error('No valid rows to import');
+            }
+
+            const listings = await window.listingManager.createListings(valid.map(r => r.data));
+
+            modal.remove();
+            this.pending = null;
+
+            this.showNotification(`${listings.length} listings imported`, 'success');
+            window.listingManager.renderListings();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    // Export
+    handleExport() {
+        try {
+            const user = window.userManager?.getCurrentUser();
+            if (!user) {
+                throw new Error('You must be logged in to export listings');
+            }
+
+            const csv = this.exportListings(user.id);
+            const date = new Date().toISOString().split('T')[0];
+            this.downloadCSV(csv, `mkulima-listings-${date}.csv`);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    exportListings(userId) {
+        const listings = (window.listingManager?.listings || JSON.parse(localStorage.getItem('mkulima_listings') || '[]'))
+            .filter(l => l.farmerId === userId);
+        const orders = JSON.parse(localStorage.getItem('mkulima_orders') || '[]');
+
+        const headers = [
+            'id', 'cropType', 'quantity', 'unit', 'quality', 'price', 'location', 'harvestDate',
+            'description', 'isNegotiable', 'status', 'soldQuantity', 'reservedQuantity', 'availableQuantity',
+            'orders', 'revenue', 'views', 'inquiries', 'createdAt', 'expiresAt'
+        ];
+
+        const rows = listings.map(listing => {
+            const sales = orders.filter(o => o.listingId === listing.id && ['paid', 'completed'].includes(o.status));
+            const sold = listing.soldQuantity || 0;
+            const reserved = listing.reservedQuantity || 0;
+
+            return [
+                listing.id,
+                listing.cropType,
+                listing.quantity,
+                listing.unit || 'kg',
+                listing.quality || '',
+                listing.price,
+                listing.location || '',
+                listing.harvestDate || '',
+                listing.description || '',
+                listing.isNegotiable ? 'yes' : 'no',
+                listing.status || 'available',
+                sold,
+                reserved,
+                parseFloat(listing.quantity) - sold - reserved,
+                sales.length,
+                sales.reduce((sum, o) => sum + o.total, 0),
+                listing.views || 0,
+                listing.inquiries || 0,
+                listing.createdAt,
+                listing.expiresAt || ''
+            ];
+        });
+
+        return [headers, ...rows].map(row => row.map(value => this.escapeCSV(value)).join(',')).join('\r\n');
+    }
+
+    escapeCSV(value) {
+        let text = String(value ?? '');
+
+        // Stop spreadsheets from evaluating cells as formulas
+        if (/^[=+\-@]/.test(text) && isNaN(Number(text))) {
+            text = `'${text}`;
+        }
+
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    downloadCSV(csv, fileName) {
+        // BOM so Excel opens UTF-8 correctly
+        const blob = new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    showNotification(message, type) {
+        if (window.mkulimaApp && window.mkulimaApp.showNotification) {
+            window.mkulimaApp.showNotification(message, type);
+        } else {
+            alert(`${type}: ${message}`);
+        }
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.listingImportExport = new ListingImportExport();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ListingImportExport;
+}
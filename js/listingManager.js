@@ -3,28 +3,58 @@
 class ListingManager {
     constructor() {
         this.listings = JSON.parse(localStorage.getItem('mkulima_listings') || '[]');
-        this.categories = JSON.parse(localStorage.getItem('mkulima_categories') || '[]');
+        this.expiryConfig = {
+            defaultDays: 30, // Used when a crop has no shelf life data
+            maxDays: 90, // Listings never stay up longer than this
+            minDays: 1,
+            ...JSON.parse(localStorage.getItem('mkulima_listing_expiry_config') || '{}')
+        };
+
+        // Allowed status changes; anything else is rejected by transitionListing
+        this.LISTING_TRANSITIONS = {
+            draft: ['available', 'archived'],
+            available: ['reserved', 'partially_sold', 'sold', 'expired', 'archived'],
+            reserved: ['available', 'partially_sold', 'sold', 'archived'],
+            partially_sold: ['reserved', 'sold', 'expired', 'archived'],
+            // Restocking a sold listing puts it back on sale
+            sold: ['reserved', 'partially_sold', 'archived'],
+            expired: ['available', 'archived'],
+            archived: []
+        };
+        // Statuses buyers can browse and buy from
+        this.BROWSABLE_STATUSES = ['available', 'partially_sold'];
+        // Fields the farmer can edit; each change is kept in editHistory
+        this.EDITABLE_FIELDS = ['cropType', 'quantity', 'unit', 'quality', 'variety', 'price', 'isNegotiable', 'location', 'harvestDate', 'description'];
+        // Price or quantity changes above this share are flagged to buyers with open offers
+        this.MATERIAL_CHANGE = 0.1;
+        // Fallback lock chains for browsers without navigator.locks
+        this.listingLocks = new Map();
+
         this.init();
     }
 
     init() {
-        this.loadCategories();
+        this.expireListings();
         this.setupEventListeners();
         this.renderListings();
+
+        // Re-check expiry hourly for long-lived sessions
+        setInterval(() => {
+            if (this.expireListings() > 0) {
+                this.renderListings();
+            }
+        }, 60 * 60 * 1000);
     }
 
-    loadCategories() {
-        // Load crop categories from JSON or create defaults
-        if (this.categories.length === 0) {
-            this.categories = [
-                { id: 'maize', name: 'Maize', unit: 'bags', grades: ['A', 'B', 'C'] },
-                { id: 'beans', name: 'Beans', unit: 'kg', grades: ['A', 'B', 'C'] },
-                { id: 'rice', name: 'Rice', unit: 'kg', grades: ['A', 'B', 'C'] },
-                { id: 'coffee', name: 'Coffee', unit: 'kg', grades: ['AA', 'A', 'B'] },
-                { id: 'vegetables', name: 'Vegetables', unit: 'kg', grades: ['Fresh', 'Grade A', 'Grade B'] }
-            ];
-            localStorage.setItem('mkulima_categories', JSON.stringify(this.categories));
-        }
+    getListingLifetimeDays(cropType) {
+        // Listing lifetime is derived from crop shelf life in the crop catalog
+        const shelfLife = window.cropCatalog?.getShelfLifeDays(cropType) || this.expiryConfig.defaultDays;
+        return Math.min(Math.max(shelfLife, this.expiryConfig.minDays), this.expiryConfig.maxDays);
+    }
+
+    calculateExpiry(cropType, from = new Date()) {
+        const days = this.getListingLifetimeDays(cropType);
+        return new Date(from.getTime() + days * 24 * 60 * 60 * 1000).toISOString();
     }
 
     setupEventListeners() {
@@ -34,12 +64,34 @@ class ListingManager {
             listingForm.addEventListener('submit', (e) => this.handleCreateListing(e));
         }
 
+        // Save as draft
+        const saveDraftBtn = document.getElementById('saveDraft');
+        if (saveDraftBtn && listingForm) {
+            saveDraftBtn.addEventListener('click', () => this.handleSaveDraft(listingForm));
+        }
+
         // Search functionality
         const searchInput = document.getElementById('searchListings');
         if (searchInput) {
             searchInput.addEventListener('input', (e) => this.handleSearch(e.target.value));
         }
 
+        // Buy page search bar
+        const searchBar = document.getElementById('searchInput');
+        const searchBtn = document.getElementById('searchBtn');
+        if (searchBar) {
+            searchBar.addEventListener('input', (e) => this.handleSearch(e.target.value));
+            searchBar.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.handleSearch(searchBar.value);
+                }
+            });
+        }
+        if (searchBtn && searchBar) {
+            searchBtn.addEventListener('click', () => this.handleSearch(searchBar.value));
+        }
+
         // Filter controls
         const filterControls = document.querySelectorAll('.filter-control');
         filterControls.forEach(control => {
@@ -53,6 +105,12 @@ class ListingManager {
         const formData = new FormData(e.target);
         const listingData = Object.fromEntries(formData);
 
+        // editListing puts the form in update mode
+        if (e.target.dataset.mode === 'update') {
+            await this.handleUpdateListing(e.target, listingData);
+            return;
+        }
+
         try {
             // Validate listing data
             this.validateListing(listingData);
@@ -60,6 +118,9 @@ class ListingManager {
             // Create listing
             const listing = await this.createListing(listingData);
 
+            // Compress and store any selected photos
+            await this.attachPhotos(listing.id, e.target);
+
             // Clear form
             e.target.reset();
 
@@ -74,6 +135,75 @@ class ListingManager {
         }
     }
 
+    async handleUpdateListing(form, listingData) {
+        try {
+            this.validateListing(listingData);
+
+            const listingId = form.dataset.listingId;
+            // Unchecked checkboxes are missing from FormData
+            await this.updateListing(listingId, {
+                ...listingData,
+                isNegotiable: listingData.isNegotiable === 'on'
+            });
+            await this.attachPhotos(listingId, form);
+
+            this.exitUpdateMode(form);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    exitUpdateMode(form) {
+        form.reset();
+        delete form.dataset.mode;
+        delete form.dataset.listingId;
+
+        const submitBtn = form.querySelector('button[type="submit"]');
+        if (submitBtn) {
+            submitBtn.textContent = 'List Produce';
+        }
+    }
+
+    async handleSaveDraft(form) {
+        const listingData = Object.fromEntries(new FormData(form));
+
+        try {
+            if (!listingData.cropType) {
+                throw new Error('Select a crop type before saving a draft');
+            }
+
+            const listing = await this.createListing({ ...listingData, status: 'draft' });
+            await this.attachPhotos(listing.id, form);
+            form.reset();
+
+            this.showNotification('Draft saved', 'success');
+            this.renderListings();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    // Newly picked photos replace the listing's gallery, so it never grows past MAX_PHOTOS
+    async attachPhotos(listingId, form) {
+        const files = window.photoManager?.getSelectedFiles(form) || [];
+        if (files.length === 0) return;
+
+        const photoIds = await window.photoManager.saveListingPhotos(listingId, files);
+        if (photoIds.length === 0) return;
+
+        const replaced = await this.withListingLock(listingId, (listing) => {
+            const previous = listing.photoIds || [];
+            listing.photoIds = photoIds;
+            listing.updatedAt = new Date().toISOString();
+            localStorage.setItem('mkulima_listings', JSON.stringify(this.listings));
+            return previous;
+        });
+
+        if (replaced.length > 0) {
+            await window.photoManager.deleteListingPhotos(replaced);
+        }
+    }
+
     validateListing(data) {
         const errors = [];
 
@@ -88,61 +218,233 @@ class ListingManager {
     }
 
     async createListing(listingData) {
+        const [listing] = await this.createListings([listingData]);
+        return listing;
+    }
+
+    // Create several listings with a single storage write (used by CSV import)
+    async createListings(listingsData) {
         // Get current user
         const user = window.userManager?.getCurrentUser();
         if (!user) {
             throw new Error('You must be logged in to create a listing');
         }
 
-        // Create listing object
-        const listing = {
+        const listings = listingsData.map(listingData => this.buildListing(listingData, user));
+
+        // Add to listings, keeping batch order at the top
+        this.listings.unshift(...listings);
+        localStorage.setItem('mkulima_listings', JSON.stringify(this.listings));
+
+        // Update user's listing count
+        this.updateUserListingCount(user.id, listings.length);
+
+        for (const listing of listings.filter(l => l.status !== 'draft')) {
+            // Flag suspicious listings for moderator review
+            window.moderationManager?.screenListing(listing);
+
+            // Match against open buyer requests
+            if (window.buyerRequestManager) {
+                await window.buyerRequestManager.matchListing(listing);
+            }
+
+            // Alert buyers whose saved searches match
+            if (window.watchlistManager) {
+                window.watchlistManager.checkNewListing(listing);
+            }
+        }
+
+        return listings;
+    }
+
+    buildListing(listingData, user) {
+        const isDraft = listingData.status === 'draft';
+        const now = new Date().toISOString();
+
+        // Coordinates from the device, or resolved from the typed region or market
+        const coordinates = window.locationManager?.resolveCoordinates(listingData) ||
+            { latitude: null, longitude: null, locationSource: null };
+
+        // Cooperative lots record each member's contribution
+        const group = window.cooperativeManager?.buildGroupFields(listingData, user) || {};
+
+        // Future harvests sold as forward contracts keep their own terms and expiry
+        const forward = window.forwardContractManager?.buildForwardFields(listingData) || {};
+
+        return {
             id: this.generateListingId(),
             farmerId: user.id,
             farmerName: user.name,
             farmerLocation: user.location,
             ...listingData,
-            status: 'available',
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString(),
+            ...coordinates,
+            ...group,
+            status: isDraft ? 'draft' : 'available',
+            statusHistory: [{ from: null, to: isDraft ? 'draft' : 'available', at: now }],
+            reservedQuantity: 0,
+            soldQuantity: 0,
+            expiresAt: isDraft ? null : this.calculateExpiry(listingData.cropType),
+            createdAt: now,
+            updatedAt: now,
             views: 0,
             inquiries: 0,
-            isNegotiable: listingData.isNegotiable === 'on'
+            isNegotiable: listingData.isNegotiable === 'on',
+            ...forward
         };
+    }
 
-        // Add to listings
-        this.listings.unshift(listing); // Add to beginning
-        localStorage.setItem('mkulima_listings', JSON.stringify(this.listings));
+    async updateListing(listingId, updates) {
+        const user = window.userManager?.getCurrentUser();
+        let changes = [];
+
+        // Check and write under the listing lock, against freshly read storage, so a
+        // reservation or sale made meanwhile (possibly in another tab) is not overwritten
+        const updated = await this.withListingLock(listingId, (listing) => {
+            // Check if user owns the listing
+            if (listing.farmerId !== user?.id) {
+                throw new Error('You can only edit your own listings');
+            }
 
-        // Update user's listing count
-        this.updateUserListingCount(user.id);
+            changes = this.diffListing(listing, updates);
+            if (changes.length === 0) {
+                return listing;
+            }
 
-        return listing;
-    }
+            // Different produce details make the last inspection meaningless
+            const voidsVerification = listing.verification && changes.some(c => ['cropType', 'quality'].includes(c.field));
 
-    async updateListing(listingId, updates) {
-        const listingIndex = this.listings.findIndex(l => l.id === listingId);
+            if (listing.isGroupListing && changes.some(c => c.field === 'quantity')) {
+                throw new Error('Group listing quantity comes from member contributions');
+            }
 
-        if (listingIndex === -1) {
-            throw new Error('Listing not found');
-        }
+            // Sold and reserved stock can't be edited away
+            const committed = (listing.soldQuantity || 0) + (listing.reservedQuantity || 0);
+            if (updates.quantity !== undefined && parseFloat(updates.quantity) < committed) {
+                throw new Error(`Quantity cannot be less than ${committed} ${listing.unit || 'kg'} already sold or reserved`);
+            }
 
-        // Check if user owns the listing
-        const user = window.userManager?.getCurrentUser();
-        if (this.listings[listingIndex].farmerId !== user.id) {
-            throw new Error('You can only edit your own listings');
+            const now = new Date().toISOString();
+            const changedFields = Object.fromEntries(changes.map(c => [c.field, updates[c.field]]));
+
+            // A new location needs new coordinates. editListing prefills the stored ones,
+            // so only a fresh device fix may override the new location text
+            let coordinates = {};
+            if (changedFields.location !== undefined && window.locationManager) {
+                const freshFix = parseFloat(updates.latitude) !== listing.latitude ||
+                    parseFloat(updates.longitude) !== listing.longitude;
+                coordinates = window.locationManager.resolveCoordinates(freshFix ? updates : { location: updates.location });
+            }
+
+            // Update listing, keeping a versioned record of what changed
+            const version = (listing.version || 1) + 1;
+            const index = this.listings.indexOf(listing);
+            this.listings[index] = {
+                ...listing,
+                ...changedFields,
+                ...coordinates,
+                ...(voidsVerification ? { verification: null } : {}),
+                version,
+                editHistory: [...(listing.editHistory || []), {
+                    version,
+                    changedBy: user.id,
+                    changedByName: user.name,
+                    at: now,
+                    changes
+                }],
+                updatedAt: now
+            };
+
+            localStorage.setItem('mkulima_listings', JSON.stringify(this.listings));
+
+            // More or less stock can move the listing between sold, reserved and available
+            if (changedFields.quantity !== undefined) {
+                this.syncQuantityStatus(this.listings[index]);
+            }
+
+            return this.listings[index];
+        });
+
+        if (changes.length === 0) {
+            this.showNotification('No changes to save', 'info');
+            return updated;
         }
 
-        // Update listing
-        this.listings[listingIndex] = {
-            ...this.listings[listingIndex],
-            ...updates,
-            updatedAt: new Date().toISOString()
-        };
+        // Tell watchers about price changes
+        window.watchlistManager?.checkListingChange(updated);
 
-        localStorage.setItem('mkulima_listings', JSON.stringify(this.listings));
+        window.moderationManager?.screenListing(updated);
+
+        this.notifyOfferBuyers(updated, changes);
 
         this.showNotification('Listing updated successfully', 'success');
         this.renderListings();
+
+        return updated;
+    }
+
+    // Field-level changes between the stored listing and an update
+    diffListing(listing, updates) {
+        return this.EDITABLE_FIELDS
+            .filter(field => updates[field] !== undefined)
+            .filter(field => String(updates[field] ?? '') !== String(listing[field] ?? ''))
+            .map(field => ({ field, from: listing[field] ?? null, to: updates[field] }));
+    }
+
+    // Buyers with open offers hear about big price or quantity changes
+    notifyOfferBuyers(listing, changes) {
+        const material = changes.filter(change => {
+            if (!['price', 'quantity'].includes(change.field)) return false;
+            const from = parseFloat(change.from);
+            return !from || Math.abs(parseFloat(change.to) - from) / from >= this.MATERIAL_CHANGE;
+        });
+        if (material.length === 0 || !window.offerManager) return;
+
+        const offers = window.offerManager.getListingOffers(listing.id)
+            .filter(o => ['pending', 'countered', 'accepted'].includes(o.status));
+        const buyerIds = [...new Set(offers.map(o => o.buyerId))];
+        const summary = material
+            .map(c => `${c.field} ${c.from} → ${c.to}${c.field === 'price' ? ' TSH' : ` ${listing.unit || 'kg'}`}`)
+            .join(', ');
+
+        buyerIds.forEach(buyerId => {
+            this.notifyUser(
+                buyerId,
+                `${listing.farmerName} changed the ${listing.cropType} listing you made an offer on: ${summary}`,
+                'warning',
+                { listingId: listing.id }
+            );
+        });
+    }
+
+    showEditHistory(listingId) {
+        const listing = this.listings.find(l => l.id === listingId);
+        if (!listing) return;
+
+        const history = [...(listing.editHistory || [])].reverse();
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+
+        modal.innerHTML = `
+            <div class="modal">
+                <div class="modal-header">
+                    <h2>Edit History - ${listing.cropType}</h2>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    ${history.length === 0 ? '<div class="no-listings">No edits yet</div>' : history.map(entry => `
+                        <div class="edit-history-entry">
+                            <p><strong>Version ${entry.version}</strong> • ${entry.changedByName || entry.changedBy} • ${new Date(entry.at).toLocaleString()}</p>
+                            <ul>
+                                ${entry.changes.map(c => `<li>${c.field}: <del>${c.from ?? '-'}</del> → ${c.to ?? '-'}</li>`).join('')}
+                            </ul>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        modal.querySelector('.modal-close').addEventListener('click', () => modal.remove());
     }
 
     async deleteListing(listingId) {
@@ -158,8 +460,11 @@ class ListingManager {
             throw new Error('You can only delete your own listings');
         }
 
-        // Remove listing
-        this.listings.splice(listingIndex, 1);
+        // Remove listing and its stored photos
+        const [removed] = this.listings.splice(listingIndex, 1);
+        if (window.photoManager && removed.photoIds) {
+            await window.photoManager.deleteListingPhotos(removed.photoIds);
+        }
         localStorage.setItem('mkulima_listings', JSON.stringify(this.listings));
 
         // Update user's listing count
@@ -169,6 +474,273 @@ class ListingManager {
         this.renderListings();
     }
 
+    transitionListing(listingId, toStatus, reason = null) {
+        const listing = this.listings.find(l => l.id === listingId);
+        if (!listing) {
+            throw new Error('Listing not found');
+        }
+
+        const fromStatus = listing.status;
+        if (fromStatus === toStatus) {
+            return listing;
+        }
+
+        const allowed = this.LISTING_TRANSITIONS[fromStatus] || [];
+        if (!allowed.includes(toStatus)) {
+            throw new Error(`Cannot change listing from ${this.formatStatus(fromStatus)} to ${this.formatStatus(toStatus)}`);
+        }
+
+        const now = new Date();
+        listing.status = toStatus;
+        listing.statusHistory = listing.statusHistory || [];
+        listing.statusHistory.push({ from: fromStatus, to: toStatus, at: now.toISOString(), reason });
+        listing.updatedAt = now.toISOString();
+
+        // Publishing or relisting starts a fresh expiry period
+        if (toStatus === 'available' && ['draft', 'expired'].includes(fromStatus)) {
+            listing.expiresAt = this.calculateExpiry(listing.cropType, now);
+        }
+
+        localStorage.setItem('mkulima_listings', JSON.stringify(this.listings));
+
+        window.watchlistManager?.checkListingChange(listing);
+
+        return listing;
+    }
+
+    // Owner-initiated transitions from the listing actions
+    async changeListingStatus(listingId, toStatus) {
+        const listing = this.listings.find(l => l.id === listingId);
+        const user = window.userManager?.getCurrentUser();
+
+        try {
+            if (!listing) {
+                throw new Error('Listing not found');
+            }
+
+            if (!user || listing.farmerId !== user.id) {
+                throw new Error('You can only change your own listings');
+            }
+
+            if (toStatus === 'available' && listing.status === 'draft') {
+                this.validateListing(listing);
+            }
+
+            this.transitionListing(listingId, toStatus, 'owner');
+
+            if (toStatus === 'available') {
+                window.moderationManager?.screenListing(listing);
+            }
+
+            if (toStatus === 'available' && window.buyerRequestManager) {
+                await window.buyerRequestManager.matchListing(listing);
+            }
+
+            if (toStatus === 'available' && window.watchlistManager) {
+                window.watchlistManager.checkNewListing(listing);
+            }
+
+            this.showNotification(`Listing is now ${this.formatStatus(toStatus)}`, 'success');
+            this.renderListings();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    // Move listings past their expiry date to expired; returns how many changed
+    expireListings() {
+        const now = new Date();
+        let expiredCount = 0;
+
+        this.listings.forEach(listing => {
+            if (this.BROWSABLE_STATUSES.includes(listing.status) &&
+                listing.expiresAt && new Date(listing.expiresAt) < now) {
+                this.transitionListing(listing.id, 'expired', 'shelf_life');
+                expiredCount++;
+            }
+        });
+
+        return expiredCount;
+    }
+
+    // Derive status from sold and reserved quantities
+    syncQuantityStatus(listing) {
+        if (!['available', 'reserved', 'partially_sold', 'sold'].includes(listing.status)) {
+            return;
+        }
+
+        const total = parseFloat(listing.quantity);
+        const sold = listing.soldQuantity || 0;
+        let target = 'available';
+
+        if (sold >= total) {
+            target = 'sold';
+        } else if (this.getAvailableQuantity(listing) <= 0) {
+            target = 'reserved';
+        } else if (sold > 0) {
+            target = 'partially_sold';
+        }
+
+        this.transitionListing(listing.id, target, 'quantity');
+    }
+
+    // Quantity held for accepted offers is not available to other buyers
+    getAvailableQuantity(listing) {
+        return parseFloat(listing.quantity) - (listing.reservedQuantity || 0) - (listing.soldQuantity || 0);
+    }
+
+    // Serialise quantity changes per listing, across tabs where the Web Locks API exists,
+    // and re-read storage first so concurrent orders cannot oversell
+    async withListingLock(listingId, fn) {
+        const run = async () => {
+            this.listings = JSON.parse(localStorage.getItem('mkulima_listings') || '[]');
+
+            const listing = this.listings.find(l => l.id === listingId);
+            if (!listing) {
+                throw new Error('Listing not found');
+            }
+
+            return fn(listing);
+        };
+
+        if (navigator.locks) {
+            return navigator.locks.request(`mkulima_listing_${listingId}`, run);
+        }
+
+        const previous = this.listingLocks.get(listingId) || Promise.resolve();
+        const current = previous.then(run, run);
+        this.listingLocks.set(listingId, current.catch(() => {}));
+        return current;
+    }
+
+    async reserveQuantity(listingId, quantity) {
+        return this.withListingLock(listingId, (listing) => {
+            if (!this.BROWSABLE_STATUSES.includes(listing.status)) {
+                throw new Error(`This listing is ${this.formatStatus(listing.status)}`);
+            }
+
+            if (quantity > this.getAvailableQuantity(listing)) {
+                throw new Error(`Only ${this.getAvailableQuantity(listing)} ${listing.unit || 'kg'} available`);
+            }
+
+            listing.reservedQuantity = (listing.reservedQuantity || 0) + quantity;
+            listing.updatedAt = new Date().toISOString();
+            localStorage.setItem('mkulima_listings', JSON.stringify(this.listings));
+            this.syncQuantityStatus(listing);
+
+            return listing;
+        });
+    }
+
+    async releaseQuantity(listingId, quantity) {
+        return this.withListingLock(listingId, (listing) => {
+            listing.reservedQuantity = Math.max((listing.reservedQuantity || 0) - quantity, 0);
+            listing.updatedAt = new Date().toISOString();
+            localStorage.setItem('mkulima_listings', JSON.stringify(this.listings));
+            this.syncQuantityStatus(listing);
+
+            return listing;
+        });
+    }
+
+    // Latest extension officer inspection, shown as a badge and used by the verified filter
+    setVerification(listingId, verification) {
+        const listing = this.listings.find(l => l.id === listingId);
+        if (!listing) {
+            throw new Error('Listing not found');
+        }
+
+        listing.verification = verification;
+        listing.updatedAt = new Date().toISOString();
+        localStorage.setItem('mkulima_listings', JSON.stringify(this.listings));
+
+        this.renderListings();
+        return listing;
+    }
+
+    // Moderator decision: hidden listings drop out of browsing until restored
+    setModeration(listingId, moderation) {
+        const listing = this.listings.find(l => l.id === listingId);
+        if (!listing) {
+            throw new Error('Listing not found');
+        }
+
+        listing.moderation = moderation;
+        listing.updatedAt = new Date().toISOString();
+        localStorage.setItem('mkulima_listings', JSON.stringify(this.listings));
+
+        this.renderListings();
+        return listing;
+    }
+
+    // Forward listing harvested: actual quantity replaces the estimate and
+    // commitments the harvest can't cover are released
+    async applyHarvest(listingId, actualQuantity, releasedQuantity = 0) {
+        const listing = await this.withListingLock(listingId, (listing) => {
+            const now = new Date();
+
+            listing.reservedQuantity = Math.max((listing.reservedQuantity || 0) - releasedQuantity, 0);
+            listing.quantity = Math.max(actualQuantity, (listing.reservedQuantity || 0) + (listing.soldQuantity || 0));
+            listing.harvest = { actualQuantity, confirmedAt: now.toISOString() };
+            listing.harvestDate = now.toISOString().split('T')[0];
+            listing.expiresAt = this.calculateExpiry(listing.cropType, now);
+            listing.updatedAt = now.toISOString();
+            localStorage.setItem('mkulima_listings', JSON.stringify(this.listings));
+
+            if (listing.status === 'expired') {
+                this.transitionListing(listing.id, 'available', 'harvest');
+            }
+            this.syncQuantityStatus(listing);
+
+            return listing;
+        });
+
+        this.renderListings();
+        return listing;
+    }
+
+    // Record a completed sale, optionally converting previously reserved quantity
+    async recordSale(listingId, quantity, fromReservation = false) {
+        return this.withListingLock(listingId, (listing) => {
+            if (fromReservation) {
+                listing.reservedQuantity = Math.max((listing.reservedQuantity || 0) - quantity, 0);
+            } else if (quantity > this.getAvailableQuantity(listing)) {
+                throw new Error(`Only ${this.getAvailableQuantity(listing)} ${listing.unit || 'kg'} available`);
+            }
+
+            listing.soldQuantity = (listing.soldQuantity || 0) + quantity;
+            listing.updatedAt = new Date().toISOString();
+            localStorage.setItem('mkulima_listings', JSON.stringify(this.listings));
+            this.syncQuantityStatus(listing);
+
+            return listing;
+        });
+    }
+
+    isBrowsable(listing) {
+        // Listings saved before the lifecycle existed have no expiry
+        return this.BROWSABLE_STATUSES.includes(listing.status || 'available') &&
+            (!listing.expiresAt || new Date(listing.expiresAt) >= new Date()) &&
+            listing.moderation?.status !== 'hidden';
+    }
+
+    getBrowsableListings() {
+        return this.listings.filter(l => this.isBrowsable(l));
+    }
+
+    formatStatus(status) {
+        const labels = {
+            draft: 'Draft',
+            available: 'Available',
+            reserved: 'Reserved',
+            partially_sold: 'Partially Sold',
+            sold: 'Sold',
+            expired: 'Expired',
+            archived: 'Archived'
+        };
+        return labels[status] || status;
+    }
+
     updateUserListingCount(userId, delta = 1) {
         const users = JSON.parse(localStorage.getItem('mkulima_users') || '[]');
         const userIndex = users.findIndex(u => u.id === userId);
@@ -180,48 +752,102 @@ class ListingManager {
     }
 
     handleSearch(searchTerm) {
-        const filtered = this.listings.filter(listing =>
-            listing.cropType.toLowerCase().includes(searchTerm.toLowerCase()) ||
-            listing.location.toLowerCase().includes(searchTerm.toLowerCase()) ||
-            listing.description?.toLowerCase().includes(searchTerm.toLowerCase())
-        );
+        const listings = this.getBrowsableListings();
+
+        // Plain substring matching if the search index is not loaded on this page
+        const filtered = window.searchIndex
+            ? window.searchIndex.search(listings, searchTerm)
+            : listings.filter(listing =>
+                listing.cropType.toLowerCase().includes(searchTerm.toLowerCase()) ||
+                listing.location?.toLowerCase().includes(searchTerm.toLowerCase()) ||
+                listing.description?.toLowerCase().includes(searchTerm.toLowerCase())
+            );
 
         this.renderListings(filtered);
     }
 
     applyFilters() {
-        const cropFilter = document.getElementById('filterCrop')?.value;
-        const regionFilter = document.getElementById('filterRegion')?.value;
-        const priceFilter = document.getElementById('filterPrice')?.value;
-        const qualityFilter = document.getElementById('filterQuality')?.value;
+        const filters = this.getFilterValues();
+        let filtered = this.getBrowsableListings().filter(l => this.matchesFilters(l, filters));
+
+        // Distance filter and nearest-first sort
+        if (window.locationManager) {
+            filtered = window.locationManager.applyDistance(filtered);
+        }
+
+        // Cheapest first, compared per kg whatever unit each farmer sells in
+        if (document.getElementById('sortListings')?.value === 'price') {
+            filtered = [...filtered].sort((a, b) => this.getPricePerKg(a) - this.getPricePerKg(b));
+        }
+
+        this.renderListings(filtered);
+    }
+
+    getFilterValues() {
+        return {
+            cropType: document.getElementById('filterCrop')?.value || '',
+            region: document.getElementById('filterRegion')?.value || '',
+            quality: document.getElementById('filterQuality')?.value || '',
+            maxPrice: document.getElementById('filterMaxPrice')?.value || '',
+            verifiedOnly: document.getElementById('filterVerified')?.checked ? 'true' : ''
+        };
+    }
+
+    setFilterValues(filters) {
+        const fields = { filterCrop: 'cropType', filterRegion: 'region', filterQuality: 'quality', filterMaxPrice: 'maxPrice' };
 
-        let filtered = this.listings;
+        Object.entries(fields).forEach(([elementId, key]) => {
+            const element = document.getElementById(elementId);
+            if (element) {
+                element.value = filters[key] || '';
+            }
+        });
+
+        const verifiedToggle = document.getElementById('filterVerified');
+        if (verifiedToggle) {
+            verifiedToggle.checked = !!filters.verifiedOnly;
+        }
+    }
 
-        if (cropFilter) {
-            filtered = filtered.filter(l => l.cropType === cropFilter);
+    // Canonical price for comparing listings sold in different units
+    getPricePerKg(listing) {
+        return window.unitRegistry?.getListingPricePerKg(listing) ?? parseFloat(listing.price);
+    }
+
+    // Shared by the browse filters and saved searches
+    matchesFilters(listing, filters) {
+        if (filters.cropType && listing.cropType !== filters.cropType) {
+            return false;
         }
 
-        if (regionFilter) {
-            filtered = filtered.filter(l => l.location.includes(regionFilter));
+        if (filters.region && !(listing.location || '').toLowerCase().includes(filters.region.toLowerCase())) {
+            return false;
         }
 
-        if (priceFilter) {
-            const maxPrice = parseInt(priceFilter);
-            filtered = filtered.filter(l => parseInt(l.price) <= maxPrice);
+        // Maximum price is per kg
+        if (filters.maxPrice && this.getPricePerKg(listing) > parseFloat(filters.maxPrice)) {
+            return false;
         }
 
-        if (qualityFilter) {
-            filtered = filtered.filter(l => l.quality === qualityFilter);
+        // An inspected grade overrides the declared one
+        const grade = window.verificationManager?.getEffectiveGrade(listing) ?? listing.quality;
+        if (filters.quality && grade !== filters.quality) {
+            return false;
         }
 
-        this.renderListings(filtered);
+        if (filters.verifiedOnly && !window.verificationManager?.isVerified(listing)) {
+            return false;
+        }
+
+        return true;
     }
 
     renderListings(listingsToRender = null) {
         const container = document.getElementById('listingGrid');
         const activeListings = document.getElementById('activeListings');
 
-        const listings = listingsToRender || this.listings;
+        // Buyers only ever see stock that can still be bought
+        const listings = listingsToRender || this.getBrowsableListings();
 
         // Render in main grid
         if (container) {
@@ -236,13 +862,18 @@ class ListingManager {
                 const listingCard = this.createListingCard(listing);
                 container.appendChild(listingCard);
             });
+
+            window.photoManager?.hydrateImages(container);
+            window.watchlistManager?.renderWatchButtons(container);
+            window.listingComparison?.renderCompareToggles(container);
         }
 
         // Render in user's active listings
         if (activeListings) {
             const user = window.userManager?.getCurrentUser();
             if (user) {
-                const userListings = listings.filter(l => l.farmerId === user.id);
+                // Farmers see all their listings except archived ones
+                const userListings = this.listings.filter(l => l.farmerId === user.id && l.status !== 'archived');
                 activeListings.innerHTML = '';
 
                 userListings.forEach(listing => {
@@ -258,23 +889,29 @@ class ListingManager {
         card.className = 'listing-card';
         card.dataset.id = listing.id;
 
-        const cropName = this.categories.find(c => c.id === listing.cropType)?.name || listing.cropType;
+        const cropName = this.formatCropName(listing.cropType);
         const priceFormatted = window.mkulimaApp?.formatCurrency(listing.price, 'TSH') || `${listing.price} TSH`;
         const date = new Date(listing.createdAt).toLocaleDateString();
 
         card.innerHTML = `
             <div class="listing-image">
-                <img src="${listing.imageUrl || 'images/default-crop.jpg'}" alt="${cropName}" onerror="this.src='images/default-crop.jpg'">
+                <img src="${listing.imageUrl || 'images/default-crop.jpg'}" alt="${cropName}" onerror="this.src='images/default-crop.jpg'"
+                    ${listing.photoIds?.length ? `data-photo-id="${listing.photoIds[0]}" data-variant="thumbnail"` : ''}>
             </div>
             <div class="listing-details">
                 <div class="listing-header">
                     <h3>${cropName}</h3>
-                    <span class="listing-status ${listing.status}">${listing.status}</span>
+                    <span class="listing-status ${listing.status}">${this.formatStatus(listing.status)}</span>
+                    ${listing.isNegotiable ? '<span class="badge badge-warning">Negotiable</span>' : ''}
+                    ${window.cooperativeManager?.renderGroupBadge(listing) || ''}
+                    ${window.verificationManager?.renderBadge(listing) || ''}
                 </div>
-                <p><strong>Quantity:</strong> ${listing.quantity} ${listing.unit || 'kg'}</p>
-                <p><strong>Price:</strong> ${priceFormatted} per ${listing.unit || 'kg'}</p>
+                <p><strong>Quantity:</strong> ${this.getAvailableQuantity(listing)} ${listing.unit || 'kg'} available</p>
+                <p><strong>Price:</strong> ${window.unitRegistry?.formatPrice(listing.price, listing.unit || 'kg', listing.cropType) || `${priceFormatted} per ${listing.unit || 'kg'}`}</p>
                 <p><strong>Location:</strong> ${listing.location}</p>
-                <p><strong>Quality:</strong> ${listing.quality || 'Not specified'}</p>
+                ${window.locationManager?.renderDistance(listing) || ''}
+                ${window.forwardContractManager?.renderForwardInfo(listing) || ''}
+                <p><strong>Quality:</strong> ${listing.quality ? window.cropCatalog?.getGradeLabel(listing.cropType, listing.quality) || listing.quality : 'Not specified'}</p>
                 <p><strong>Listed:</strong> ${date}</p>
                 <div class="listing-actions">
                     <button class="btn btn-sm btn-primary" onclick="listingManager.viewListing('${listing.id}')">
@@ -295,16 +932,35 @@ class ListingManager {
         item.className = 'listing-item';
         item.dataset.id = listing.id;
 
-        const cropName = this.categories.find(c => c.id === listing.cropType)?.name || listing.cropType;
+        const cropName = this.formatCropName(listing.cropType);
         const priceFormatted = window.mkulimaApp?.formatCurrency(listing.price, 'TSH') || `${listing.price} TSH`;
 
+        const expiry = listing.expiresAt ? ` • Expires ${new Date(listing.expiresAt).toLocaleDateString()}` : '';
+        const statusActions = {
+            draft: `<button class="btn btn-sm btn-primary" onclick="listingManager.changeListingStatus('${listing.id}', 'available')">Publish</button>`,
+            expired: `<button class="btn btn-sm btn-primary" onclick="listingManager.changeListingStatus('${listing.id}', 'available')">Relist</button>`
+        };
+        const canArchive = (this.LISTING_TRANSITIONS[listing.status] || []).includes('archived');
+        const canConfirmHarvest = window.forwardContractManager?.isForwardListing(listing) && listing.status !== 'draft';
+
         item.innerHTML = `
             <div class="item-info">
                 <h4>${cropName} - ${listing.quantity} ${listing.unit || 'kg'}</h4>
-                <p>${priceFormatted} • ${listing.location}</p>
+                <p>${priceFormatted} • ${listing.location || 'No location'}${expiry}</p>
+                <span class="listing-status ${listing.status}">${this.formatStatus(listing.status)}</span>
+                ${listing.moderation?.status === 'hidden' ? '<span class="listing-status failed">Hidden by moderators</span>' : ''}
+                ${window.verificationManager?.renderBadge(listing) || ''}
+                ${listing.soldQuantity ? `<small>${listing.soldQuantity} sold, ${listing.reservedQuantity || 0} reserved</small>` : ''}
+                ${window.listingAnalytics?.renderSummary(listing) || ''}
             </div>
             <div class="item-actions">
+                ${statusActions[listing.status] || ''}
+                ${canConfirmHarvest ? `<button class="btn btn-sm btn-primary" onclick="forwardContractManager.openHarvestForm('${listing.id}')">Confirm Harvest</button>` : ''}
+                ${window.shareManager && this.isBrowsable(listing) ? `<button class="btn btn-sm btn-outline" onclick="shareManager.openShareModal('${listing.id}')">Share</button>` : ''}
+                ${window.listingAnalytics ? `<button class="btn btn-sm btn-outline" onclick="listingAnalytics.showDashboard('${listing.id}')">Stats</button>` : ''}
                 <button class="btn btn-sm" onclick="listingManager.editListing('${listing.id}')">Edit</button>
+                ${listing.editHistory?.length ? `<button class="btn btn-sm btn-outline" onclick="listingManager.showEditHistory('${listing.id}')">History</button>` : ''}
+                ${canArchive ? `<button class="btn btn-sm btn-outline" onclick="listingManager.changeListingStatus('${listing.id}', 'archived')">Archive</button>` : ''}
                 <button class="btn btn-sm btn-outline" onclick="listingManager.deleteListing('${listing.id}')">Delete</button>
             </div>
         `;
@@ -320,9 +976,18 @@ class ListingManager {
         const modal = document.createElement('div');
         modal.className = 'modal-overlay';
 
-        const cropName = this.categories.find(c => c.id === listing.cropType)?.name || listing.cropType;
+        const cropName = this.formatCropName(listing.cropType);
         const priceFormatted = window.mkulimaApp?.formatCurrency(listing.price, 'TSH') || `${listing.price} TSH`;
         const date = new Date(listing.createdAt).toLocaleDateString();
+        const user = window.userManager?.getCurrentUser();
+        const isForward = window.forwardContractManager?.isForwardListing(listing);
+        const canOffer = listing.isNegotiable && window.offerManager && listing.farmerId !== user?.id && !isForward;
+        const available = this.getAvailableQuantity(listing);
+        const canBuy = window.orderManager && this.isBrowsable(listing) && available > 0 && listing.farmerId !== user?.id;
+        const canReport = window.moderationManager && user && listing.farmerId !== user.id;
+        const gallery = window.photoManager
+            ? window.photoManager.renderGallery(listing, cropName)
+            : `<img src="${listing.imageUrl || 'images/default-crop.jpg'}" alt="${cropName}">`;
 
         modal.innerHTML = `
             <div class="modal">
@@ -332,23 +997,52 @@ class ListingManager {
                 </div>
                 <div class="modal-body">
                     <div class="listing-detail">
-                        <img src="${listing.imageUrl || 'images/default-crop.jpg'}" alt="${cropName}">
+                        ${gallery}
                         <div class="detail-info">
                             <p><strong>Farmer:</strong> ${listing.farmerName}</p>
                             <p><strong>Location:</strong> ${listing.location}</p>
-                            <p><strong>Quantity:</strong> ${listing.quantity} ${listing.unit || 'kg'}</p>
-                            <p><strong>Price:</strong> ${priceFormatted} per ${listing.unit || 'kg'}</p>
-                            <p><strong>Quality Grade:</strong> ${listing.quality || 'Not specified'}</p>
+                            <p><strong>Quantity:</strong> ${listing.quantity} ${listing.unit || 'kg'} (${available} available)</p>
+                            <p><strong>Price:</strong> ${window.unitRegistry?.formatPrice(listing.price, listing.unit || 'kg', listing.cropType) || `${priceFormatted} per ${listing.unit || 'kg'}`}</p>
+                            <p><strong>Quality Grade:</strong> ${listing.quality ? window.cropCatalog?.getGradeLabel(listing.cropType, listing.quality) || listing.quality : 'Not specified'}</p>
+                            ${listing.variety ? `<p><strong>Variety:</strong> ${listing.variety}</p>` : ''}
                             <p><strong>Description:</strong> ${listing.description || 'No description'}</p>
                             <p><strong>Harvest Date:</strong> ${listing.harvestDate || 'Not specified'}</p>
                             <p><strong>Listed on:</strong> ${date}</p>
+                            ${listing.isNegotiable ? '<p><strong>Price:</strong> Negotiable</p>' : ''}
+                            ${window.forwardContractManager?.renderForwardInfo(listing) || ''}
+                            ${window.verificationManager?.renderVerificationDetails(listing) || ''}
                         </div>
                     </div>
+                    <div class="listing-offers"></div>
                 </div>
                 <div class="modal-footer">
                     <button class="btn btn-primary" onclick="listingManager.contactFarmer('${listing.id}')">
                         Contact Farmer
                     </button>
+                    ${canBuy && !isForward ? `
+                    <button class="btn btn-primary" onclick="orderManager.openOrderForm('${listing.id}')">
+                        Buy Now
+                    </button>` : ''}
+                    ${canBuy && isForward ? `
+                    <button class="btn btn-primary" onclick="forwardContractManager.openCommitForm('${listing.id}')">
+                        Commit to Harvest
+                    </button>` : ''}
+                    ${canOffer ? `
+                    <button class="btn btn-outline" onclick="offerManager.openOfferForm('${listing.id}')">
+                        Make Offer
+                    </button>` : ''}
+                    ${window.verificationManager?.canInspect(listing) ? `
+                    <button class="btn btn-outline" onclick="verificationManager.openInspectionForm('${listing.id}')">
+                        Inspect
+                    </button>` : ''}
+                    ${window.shareManager && this.isBrowsable(listing) ? `
+                    <button class="btn btn-outline" onclick="shareManager.openShareModal('${listing.id}')">
+                        Share
+                    </button>` : ''}
+                    ${canReport ? `
+                    <button class="btn btn-outline" onclick="moderationManager.openReportForm('${listing.id}')">
+                        Report
+                    </button>` : ''}
                     <button class="btn btn-secondary" onclick="window.mkulimaApp.closeAllModals()">
                         Close
                     </button>
@@ -363,6 +1057,13 @@ class ListingManager {
             modal.remove();
         });
 
+        window.photoManager?.hydrateImages(modal);
+
+        // Show offer history to the farmer and to buyers who have made offers
+        if (window.offerManager) {
+            window.offerManager.renderListingOffers(listing, modal.querySelector('.listing-offers'));
+        }
+
         // Track view
         this.trackListingView(listingId);
     }
@@ -370,15 +1071,32 @@ class ListingManager {
     trackListingView(listingId) {
         const listingIndex = this.listings.findIndex(l => l.id === listingId);
         if (listingIndex !== -1) {
+            // Farmers checking their own listing are not counted
+            if (this.listings[listingIndex].farmerId === window.userManager?.getCurrentUser()?.id) {
+                return;
+            }
+
             this.listings[listingIndex].views = (this.listings[listingIndex].views || 0) + 1;
             localStorage.setItem('mkulima_listings', JSON.stringify(this.listings));
+            window.listingAnalytics?.recordEvent(listingId, 'views');
         }
     }
 
+    trackListingInquiry(listingId) {
+        const listing = this.listings.find(l => l.id === listingId);
+        if (!listing || listing.farmerId === window.userManager?.getCurrentUser()?.id) return;
+
+        listing.inquiries = (listing.inquiries || 0) + 1;
+        localStorage.setItem('mkulima_listings', JSON.stringify(this.listings));
+        window.listingAnalytics?.recordEvent(listingId, 'inquiries');
+    }
+
     contactFarmer(listingId) {
         const listing = this.listings.find(l => l.id === listingId);
         if (!listing) return;
 
+        this.trackListingInquiry(listingId);
+
         // Navigate to messages page or open chat
         if (window.location.pathname.includes('messages.html')) {
             // Start new conversation
@@ -394,10 +1112,13 @@ class ListingManager {
         const listing = this.listings.find(l => l.id === listingId);
         if (!listing) return;
 
+        const form = document.getElementById('listingForm');
+        if (!form) return;
+
         // Populate form with listing data
         Object.keys(listing).forEach(key => {
-            const input = document.querySelector(`[name="${key}"]`);
-            if (input) {
+            const input = form.querySelector(`[name="${key}"]`);
+            if (input && typeof listing[key] !== 'object') {
                 if (input.type === 'checkbox') {
                     input.checked = listing[key];
                 } else {
@@ -406,24 +1127,36 @@ class ListingManager {
             }
         });
 
+        // Grade options depend on the crop
+        window.cropCatalog?.populateCropFields(listing.cropType, listing.quality);
+
         // Change form to update mode
-        const form = document.getElementById('listingForm');
-        if (form) {
-            form.dataset.mode = 'update';
-            form.dataset.listingId = listingId;
-
-            // Change submit button text
-            const submitBtn = form.querySelector('button[type="submit"]');
-            if (submitBtn) {
-                submitBtn.textContent = 'Update Listing';
-            }
+        form.dataset.mode = 'update';
+        form.dataset.listingId = listingId;
+
+        // Change submit button text
+        const submitBtn = form.querySelector('button[type="submit"]');
+        if (submitBtn) {
+            submitBtn.textContent = 'Update Listing';
         }
+
+        form.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    formatCropName(cropType) {
+        return window.cropCatalog?.getCropName(cropType) || cropType;
     }
 
     generateListingId() {
         return 'lst_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
 
+    notifyUser(userId, message, type, meta) {
+        if (window.mkulimaApp && window.mkulimaApp.notifyUser) {
+            window.mkulimaApp.notifyUser(userId, message, type, meta);
+        }
+    }
+
     showNotification(message, type) {
         if (window.mkulimaApp && window.mkulimaApp.showNotification) {
             window.mkulimaApp.showNotification(message, type);
@@ -433,10 +1166,12 @@ class ListingManager {
     }
 
     // Public API
+    // Only browsable listings are returned unless a status filter or includeInactive is given
     getListings(filters = {}) {
-        let filtered = this.listings;
+        const { includeInactive, ...fieldFilters } = filters;
+        let filtered = includeInactive || fieldFilters.status ? this.listings : this.getBrowsableListings();
 
-        Object.entries(filters).forEach(([key, value]) => {
+        Object.entries(fieldFilters).forEach(([key, value]) => {
             if (value) {
                 filtered = filtered.filter(listing => {
                     if (key === 'maxPrice') {
@@ -462,7 +1197,7 @@ class ListingManager {
     }
 
     getCategories() {
-        return this.categories;
+        return window.cropCatalog?.getCrops() || [];
     }
 }
 
@@ -0,0 +1,320 @@
+// locationManager.js - Listing coordinates, distances and transport estimates for Mkulima Connect
+
+class LocationManager {
+    constructor() {
+        this.regions = JSON.parse(localStorage.getItem('mkulima_regions') || '[]');
+        // Where distances are measured from: { latitude, longitude, label, source, value }
+        this.origin = JSON.parse(localStorage.getItem('mkulima_distance_origin') || 'null');
+        this.transportRates = {
+            perTonneKm: 200, // TSH per tonne per road km
+            minimumCharge: 20000, // TSH per trip, small loads still need a vehicle
+            roadFactor: 1.3, // Roads are longer than straight-line distance
+            ...JSON.parse(localStorage.getItem('mkulima_transport_rates') || '{}')
+        };
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.loadRegions();
+    }
+
+    async loadRegions() {
+        try {
+            const response = await fetch('data/regions.json');
+            const data = await response.json();
+            this.regions = data.regions;
+            localStorage.setItem('mkulima_regions', JSON.stringify(this.regions));
+        } catch (error) {
+            console.error('Failed to load regions, using cached values:', error);
+        }
+
+        this.populateOriginSelect();
+
+        // Default to the buyer's profile location until they pick something else
+        if (!this.origin) {
+            const user = window.userManager?.getCurrentUser();
+            const region = this.resolveRegion(user?.location);
+            if (region) {
+                this.setOrigin({
+                    latitude: region.latitude,
+                    longitude: region.longitude,
+                    label: region.name,
+                    source: 'profile',
+                    value: region.id
+                });
+                this.populateOriginSelect();
+                window.listingManager?.applyFilters();
+            }
+        }
+    }
+
+    setupEventListeners() {
+        // Sell form: fill coordinates from the device
+        const getLocationBtn = document.getElementById('getLocation');
+        if (getLocationBtn) {
+            getLocationBtn.addEventListener('click', () => this.handleUseCurrentLocation());
+        }
+
+        // Typing a location by hand discards device coordinates
+        const locationInput = document.getElementById('location');
+        if (locationInput) {
+            locationInput.addEventListener('input', () => this.setCoordinateFields(null));
+        }
+
+        // Buy page: distance origin
+        const originSelect = document.getElementById('distanceOrigin');
+        if (originSelect) {
+            originSelect.addEventListener('change', (e) => this.handleOriginChange(e.target.value));
+        }
+    }
+
+    async handleUseCurrentLocation() {
+        const button = document.getElementById('getLocation');
+        const locationInput = document.getElementById('location');
+
+        try {
+            if (button) button.disabled = true;
+
+            const position = await this.getCurrentPosition();
+            const region = this.nearestRegion(position.latitude, position.longitude);
+
+            if (locationInput) {
+                locationInput.value = region ? `Near ${region.name}, ${region.country}` : 'Current location';
+            }
+            this.setCoordinateFields(position);
+            window.priceSuggestion?.updateSuggestion();
+
+            this.showNotification('Location added to your listing', 'success');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        } finally {
+            if (button) button.disabled = false;
+        }
+    }
+
+    setCoordinateFields(position) {
+        const latitude = document.getElementById('latitude');
+        const longitude = document.getElementById('longitude');
+
+        if (latitude) latitude.value = position ? position.latitude : '';
+        if (longitude) longitude.value = position ? position.longitude : '';
+    }
+
+    getCurrentPosition() {
+        return new Promise((resolve, reject) => {
+            if (!navigator.geolocation) {
+                reject(new Error('Location is not available on this device'));
+                return;
+            }
+
+            navigator.geolocation.getCurrentPosition(
+                (position) => resolve({
+                    latitude: position.coords.latitude,
+                    longitude: position.coords.longitude
+                }),
+                (error) => reject(new Error(error.code === error.PERMISSION_DENIED
+                    ? 'Location permission denied'
+                    : 'Could not get your location')),
+                // Coarse fixes are enough and save battery on low-end phones
+                { enableHighAccuracy: false, timeout: 15000, maximumAge: 10 * 60 * 1000 }
+            );
+        });
+    }
+
+    // Coordinates for a new listing: device position if captured, else the typed region or market
+    resolveCoordinates(listingData) {
+        const latitude = parseFloat(listingData.latitude);
+        const longitude = parseFloat(listingData.longitude);
+
+        if (!isNaN(latitude) && !isNaN(longitude)) {
+            return { latitude, longitude, locationSource: 'device' };
+        }
+
+        const region = this.resolveRegion(listingData.location);
+        if (region) {
+            return { latitude: region.latitude, longitude: region.longitude, locationSource: 'region', regionId: region.id };
+        }
+
+        return { latitude: null, longitude: null, locationSource: null };
+    }
+
+    // Match free text against region names, then market names, as whole words
+    resolveRegion(text) {
+        const location = (text || '').toLowerCase();
+        if (!location) return null;
+
+        const mentions = (name) => new RegExp(`\\b${name.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(location);
+
+        return this.regions.find(r => mentions(r.name)) ||
+            this.regions.find(r => (r.markets || []).some(mentions)) ||
+            null;
+    }
+
+    nearestRegion(latitude, longitude) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        this.regions.forEach(region => {
+            const distance = this.distanceKm(latitude, longitude, region.latitude, region.longitude);
+            if (distance < nearestDistance) {
+                nearest = region;
+                nearestDistance = distance;
+            }
+        });
+
+        return nearest;
+    }
+
+    // Great-circle (haversine) distance in km
+    distanceKm(lat1, lon1, lat2, lon2) {
+        const toRadians = (degrees) => degrees * Math.PI / 180;
+        const dLat = toRadians(lat2 - lat1);
+        const dLon = toRadians(lon2 - lon1);
+
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+
+        return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    hasCoordinates(listing) {
+        return typeof listing.latitude === 'number' && typeof listing.longitude === 'number';
+    }
+
+    getListingDistance(listing) {
+        if (!this.origin) return null;
+
+        // Older listings only have free-text locations
+        const point = this.hasCoordinates(listing) ? listing : this.resolveRegion(listing.location);
+        if (!point) return null;
+
+        return this.distanceKm(this.origin.latitude, this.origin.longitude, point.latitude, point.longitude);
+    }
+
+    estimateTransportCost(distanceKm, quantity, unit = 'kg', cropType = null) {
+        const kg = window.unitRegistry?.toKg(quantity, unit, cropType) ?? parseFloat(quantity);
+        const tonnes = (kg || 0) / 1000;
+        const roadKm = distanceKm * this.transportRates.roadFactor;
+
+        return Math.round(Math.max(this.transportRates.minimumCharge, roadKm * tonnes * this.transportRates.perTonneKm));
+    }
+
+    // Distance filter and sort for the listing grid
+    applyDistance(listings) {
+        const maxDistance = parseFloat(document.getElementById('filterMaxDistance')?.value);
+        const sortBy = document.getElementById('sortListings')?.value;
+
+        if (!this.origin) return listings;
+
+        let result = listings;
+
+        if (maxDistance) {
+            result = result.filter(listing => {
+                const distance = this.getListingDistance(listing);
+                return distance !== null && distance <= maxDistance;
+            });
+        }
+
+        if (sortBy === 'distance') {
+            // Listings without coordinates go last
+            result = [...result].sort((a, b) =>
+                (this.getListingDistance(a) ?? Infinity) - (this.getListingDistance(b) ?? Infinity));
+        }
+
+        return result;
+    }
+
+    async handleOriginChange(value) {
+        try {
+            if (value === 'device') {
+                const position = await this.getCurrentPosition();
+                this.setOrigin({ ...position, label: 'My location', source: 'device', value });
+            } else {
+                const [regionId, market] = value.split('|');
+                const region = this.regions.find(r => r.id === regionId);
+                if (!region) return;
+
+                this.setOrigin({
+                    latitude: region.latitude,
+                    longitude: region.longitude,
+                    label: market || region.name,
+                    source: 'market',
+                    value
+                });
+            }
+
+            window.listingManager?.applyFilters();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    setOrigin(origin) {
+        this.origin = origin;
+        localStorage.setItem('mkulima_distance_origin', JSON.stringify(origin));
+    }
+
+    populateOriginSelect() {
+        const select = document.getElementById('distanceOrigin');
+        if (!select) return;
+
+        // Markets share their region's coordinates
+        select.innerHTML = `
+            <option value="" disabled ${this.origin ? '' : 'selected'}>Distance from...</option>
+            <option value="device">My location</option>
+            ${this.regions.map(region => `
+                <optgroup label="${region.name}">
+                    <option value="${region.id}">${region.name} (region)</option>
+                    ${(region.markets || []).map(market => `<option value="${region.id}|${market}">${market}</option>`).join('')}
+                </optgroup>
+            `).join('')}
+        `;
+
+        if (this.origin?.value) {
+            select.value = this.origin.value;
+        }
+    }
+
+    renderDistance(listing) {
+        const distance = this.getListingDistance(listing);
+        if (distance === null) return '';
+
+        const quantity = window.listingManager?.getAvailableQuantity(listing) ?? listing.quantity;
+        const cost = this.estimateTransportCost(distance, quantity, listing.unit || 'kg', listing.cropType);
+
+        return `
+            <p class="listing-distance">
+                <strong>Distance:</strong> ${Math.round(distance)} km from ${this.origin.label}
+                <br><small>Transport est. ${cost.toLocaleString()} TSH for ${quantity} ${listing.unit || 'kg'}</small>
+            </p>
+        `;
+    }
+
+    showNotification(message, type) {
+        if (window.mkulimaApp && window.mkulimaApp.showNotification) {
+            window.mkulimaApp.showNotification(message, type);
+        } else {
+            alert(`${type}: ${message}`);
+        }
+    }
+
+    // Public API
+    getRegions() {
+        return this.regions;
+    }
+
+    getOrigin() {
+        return this.origin;
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.locationManager = new LocationManager();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LocationManager;
+}
@@ -128,6 +128,7 @@ class MkulimaApp {
 
         // Initialize notifications
         this.initNotifications();
+        this.showPendingNotifications();
 
         // Load initial data
         this.loadInitialData();
@@ -278,6 +279,54 @@ class MkulimaApp {
         }
     }
 
+    // Record a notification for any user; shown now if they are the current user,
+    // otherwise on their next page load
+    notifyUser(userId, message, type = 'info', meta = {}) {
+        const notifications = JSON.parse(localStorage.getItem('mkulima_notifications') || '[]');
+        const isCurrentUser = this.currentUser && this.currentUser.id === userId;
+
+        const notification = {
+            id: 'ntf_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            userId,
+            message,
+            type,
+            ...meta,
+            createdAt: new Date().toISOString(),
+            isRead: isCurrentUser
+        };
+
+        notifications.push(notification);
+        // Keep the store bounded on low-storage phones
+        localStorage.setItem('mkulima_notifications', JSON.stringify(notifications.slice(-200)));
+
+        if (isCurrentUser) {
+            this.showNotification(message, type);
+        }
+
+        return notification;
+    }
+
+    showPendingNotifications() {
+        if (!this.currentUser) return;
+
+        const notifications = JSON.parse(localStorage.getItem('mkulima_notifications') || '[]');
+        const pending = notifications.filter(n => n.userId === this.currentUser.id && !n.isRead);
+
+        pending.forEach(notification => {
+            this.showNotification(notification.message, notification.type);
+            notification.isRead = true;
+        });
+
+        if (pending.length > 0) {
+            localStorage.setItem('mkulima_notifications', JSON.stringify(notifications));
+        }
+    }
+
+    getUserNotifications(userId) {
+        const notifications = JSON.parse(localStorage.getItem('mkulima_notifications') || '[]');
+        return notifications.filter(n => n.userId === userId);
+    }
+
     getNotificationColor(type) {
         const colors = {
             success: '#32CD32',
@@ -54,6 +54,9 @@ class MarketDataManager {
             // Update cache
             this.updateCache(allPrices);
 
+            // Check users' price alerts against the new prices
+            window.priceAlertManager?.evaluateAlerts(allPrices);
+
             // Update UI
             this.updateUIWithPrices(allPrices);
 
@@ -107,6 +110,12 @@ class MarketDataManager {
     }
 
     processPriceData(globalPrices, localPrices) {
+        // Add canonical per-kg prices (USD/MT, TSH/kg, ...) alongside the quoted ones
+        if (window.unitRegistry) {
+            globalPrices = globalPrices.map(item => window.unitRegistry.normalizeMarketPrice(item));
+            localPrices = localPrices.map(item => window.unitRegistry.normalizeMarketPrice(item));
+        }
+
         const processed = {
             global: globalPrices,
             local: localPrices,
@@ -117,25 +126,32 @@ class MarketDataManager {
         return processed;
     }
 
-    createPriceSummary(prices) {
+    // Per-kg prices converted to one currency, so markets quoting KES, UGX or RWF average with TSH
+    createPriceSummary(prices, currency = this.getDisplayCurrency()) {
         const summary = {};
 
         prices.forEach(item => {
+            const price = this.convertPrice(item, currency);
+            if (price === null) return;
+
             if (!summary[item.crop]) {
                 summary[item.crop] = {
-                    min: item.price,
-                    max: item.price,
-                    avg: item.price,
+                    min: price,
+                    max: price,
+                    avg: price,
+                    currency,
                     markets: [],
                     lastUpdated: new Date().toISOString()
                 };
             }
 
-            summary[item.crop].min = Math.min(summary[item.crop].min, item.price);
-            summary[item.crop].max = Math.max(summary[item.crop].max, item.price);
+            summary[item.crop].min = Math.min(summary[item.crop].min, price);
+            summary[item.crop].max = Math.max(summary[item.crop].max, price);
             summary[item.crop].markets.push({
                 name: item.market,
-                price: item.price,
+                price,
+                quotedPrice: item.price,
+                unit: item.unit,
                 change: item.change
             });
         });
@@ -149,16 +165,38 @@ class MarketDataManager {
         return summary;
     }
 
+    // Per-kg price in the given currency; null when the unit or currency can't be converted
+    convertPrice(item, currency = this.getDisplayCurrency()) {
+        const normalized = window.unitRegistry && item.pricePerKg === undefined ? window.unitRegistry.normalizeMarketPrice(item) : item;
+        const price = normalized.pricePerKg ?? item.price;
+        const from = normalized.currency || String(item.unit || '').split('/')[0] || 'TSH';
+
+        if (!window.currencyService) {
+            return from === currency ? price : null;
+        }
+        return window.currencyService.convert(price, from, currency, item.date || new Date());
+    }
+
+    getDisplayCurrency() {
+        return window.currencyService?.getDisplayCurrency() || 'TSH';
+    }
+
     calculateTrends(prices) {
-        // Simple trend calculation based on price changes
+        // Latest move from the feed, plus the outlook forecast from stored price history
         const trends = {};
 
         prices.forEach(item => {
             if (!trends[item.crop]) {
+                const forecast = window.priceForecast?.getForecast(item.crop);
+                const hasForecast = forecast?.status === 'ok';
+
                 trends[item.crop] = {
                     direction: item.change >= 0 ? 'up' : 'down',
                     magnitude: Math.abs(item.change),
-                    confidence: 0.8 // Mock confidence score
+                    // 'low', 'medium' or 'high'; null until there is enough history to forecast
+                    confidence: hasForecast ? forecast.confidence : null,
+                    outlook: hasForecast ? forecast.outlook : null,
+                    forecastChange: hasForecast ? forecast.changePercent : null
                 };
             }
         });
@@ -172,6 +210,13 @@ class MarketDataManager {
 
         localStorage.setItem('mkulima_prices', JSON.stringify(prices));
         localStorage.setItem('mkulima_prices_timestamp', this.cachedTime);
+
+        // The cache only holds the latest snapshot; every fetch is kept as history
+        window.priceHistory?.recordPrices(prices)
+            .then(() => window.priceForecast?.refreshForecasts())
+            .catch(error => {
+                console.error('Failed to record price history:', error);
+            });
     }
 
     updateUIWithPrices(prices) {
@@ -181,14 +226,18 @@ class MarketDataManager {
             this.renderPriceTable(prices.local, priceTable);
         }
 
-        // Update price ticker if exists
+        // Update price ticker if exists (summarised again in case the display currency changed)
         const ticker = document.getElementById('priceTicker');
         if (ticker) {
-            this.renderPriceTicker(prices.summary, ticker);
+            this.renderPriceTicker(this.createPriceSummary(prices.local), ticker);
         }
 
         // Update dashboard stats
         this.updateDashboardStats(prices);
+
+        // Redraw price charts and forecasts in the current display currency
+        window.priceChart?.renderCharts(prices);
+        window.priceForecast?.refreshForecasts();
     }
 
     updateUIWithCachedData() {
@@ -198,17 +247,24 @@ class MarketDataManager {
     }
 
     renderPriceTable(prices, container) {
+        const currency = this.getDisplayCurrency();
         container.innerHTML = '';
 
         prices.forEach(item => {
             const row = document.createElement('tr');
             const changeClass = item.change >= 0 ? 'trend-up' : 'trend-down';
             const changeSymbol = item.change >= 0 ? '↗' : '↘';
+            // Markets quoting another currency also show the user's currency
+            const displayPrice = this.convertPrice(item, currency);
+            const showConverted = displayPrice !== null && String(item.unit || '').split('/')[0] !== currency;
 
             row.innerHTML = `
                 <td>${this.formatCropName(item.crop)}</td>
                 <td>${item.market}</td>
-                <td>${this.formatPrice(item.price, item.unit)}</td>
+                <td>
+                    ${this.formatPrice(item.price, item.unit)}
+                    ${showConverted ? `<br><small>≈ ${this.formatPrice(displayPrice, `${currency}/kg`)}</small>` : ''}
+                </td>
                 <td class="${changeClass}">${changeSymbol} ${Math.abs(item.change)}%</td>
                 <td>${new Date().toLocaleTimeString()}</td>
             `;
@@ -225,7 +281,7 @@ class MarketDataManager {
             tickerItem.className = 'ticker-item';
             tickerItem.innerHTML = `
                 <strong>${this.formatCropName(crop)}:</strong> 
-                ${this.formatPrice(data.avg, 'TSH/kg')} 
+                ${this.formatPrice(data.avg, `${data.currency}/kg`)}/kg 
                 <small>(${data.markets.length} markets)</small>
             `;
             container.appendChild(tickerItem);
@@ -249,31 +305,39 @@ class MarketDataManager {
     }
 
     findBestPrice(prices) {
-        if (prices.length === 0) return 'N/A';
-        const best = prices.reduce((prev, current) =>
-            prev.price > current.price ? prev : current
+        const currency = this.getDisplayCurrency();
+        const converted = prices
+            .map(item => ({ ...item, displayPrice: this.convertPrice(item, currency) }))
+            .filter(item => item.displayPrice !== null);
+
+        if (converted.length === 0) return 'N/A';
+        const best = converted.reduce((prev, current) =>
+            prev.displayPrice > current.displayPrice ? prev : current
         );
-        return `${best.crop}: ${this.formatPrice(best.price, best.unit)}`;
+        return `${this.formatCropName(best.crop)}: ${this.formatPrice(best.displayPrice, `${currency}/kg`)}/kg (${best.market})`;
     }
 
     calculateOverallAverage(prices) {
-        if (prices.length === 0) return 'N/A';
-        const total = prices.reduce((sum, item) => sum + item.price, 0);
-        return this.formatPrice(total / prices.length, 'TSH/kg');
+        const currency = this.getDisplayCurrency();
+        const converted = prices
+            .map(item => this.convertPrice(item, currency))
+            .filter(price => price !== null);
+
+        if (converted.length === 0) return 'N/A';
+        const total = converted.reduce((sum, price) => sum + price, 0);
+        return `${this.formatPrice(total / converted.length, `${currency}/kg`)}/kg`;
     }
 
     formatCropName(crop) {
-        const names = {
-            'maize': 'Maize',
-            'beans': 'Beans',
-            'rice': 'Rice',
-            'coffee': 'Coffee',
-            'wheat': 'Wheat'
-        };
-        return names[crop] || crop.charAt(0).toUpperCase() + crop.slice(1);
+        return window.cropCatalog?.getCropName(crop) || crop.charAt(0).toUpperCase() + crop.slice(1);
     }
 
     formatPrice(price, unit) {
+        // Converted prices and averages aren't whole numbers
+        if (!unit.includes('USD')) {
+            price = Math.round(price);
+        }
+
         // Format based on currency
         if (unit.includes('USD')) {
             return new Intl.NumberFormat('en-US', {
@@ -313,28 +377,10 @@ class MarketDataManager {
         return this.cachedPrices;
     }
 
-    getCropPriceHistory(crop, days = 30) {
-        // Mock historical data - in production, fetch from API
-        const history = [];
-        const basePrice = this.cachedPrices.local
-            .filter(p => p.crop === crop)
-            .reduce((avg, p) => avg + p.price, 0) / 3 || 100;
-
-        for (let i = days; i >= 0; i--) {
-            const date = new Date();
-            date.setDate(date.getDate() - i);
-
-            // Add some random variation
-            const variation = (Math.random() - 0.5) * 20;
-            const price = basePrice + variation;
-
-            history.push({
-                date: date.toISOString().split('T')[0],
-                price: Math.max(price, 50) // Ensure positive price
-            });
-        }
-
-        return history;
+    // Recorded observations, aggregated 'daily', 'weekly' or 'monthly'
+    async getCropPriceHistory(crop, days = 30, interval = 'daily') {
+        if (!window.priceHistory) return [];
+        return window.priceHistory.getHistory(crop, { days, interval });
     }
 }
 
@@ -110,6 +110,9 @@ class MessagingManager {
             conversation.lastMessage = text;
             conversation.lastMessageAt = message.timestamp;
             conversation.unreadCount = (conversation.unreadCount || 0) + 1;
+            if (conversation.drafts) {
+                delete conversation.drafts[user.id];
+            }
             localStorage.setItem('mkulima_conversations', JSON.stringify(this.conversations));
         }
 
@@ -137,18 +140,32 @@ class MessagingManager {
             throw new Error('You must be logged in to start a conversation');
         }
 
+        const conversation = this.findOrCreateConversation(user.id, recipientId, initialMessage);
+
+        // Select the conversation
+        this.selectConversation(conversation.id);
+
+        // Send initial message if provided
+        if (initialMessage) {
+            await this.sendMessage(conversation.id, initialMessage);
+        }
+
+        return conversation;
+    }
+
+    findOrCreateConversation(userId, recipientId, lastMessage = null) {
         // Check if conversation already exists
         let conversation = this.conversations.find(c =>
-            (c.participants.includes(user.id) && c.participants.includes(recipientId))
+            (c.participants.includes(userId) && c.participants.includes(recipientId))
         );
 
         if (!conversation) {
             // Create new conversation
             conversation = {
                 id: this.generateConversationId(),
-                participants: [user.id, recipientId],
+                participants: [userId, recipientId],
                 createdAt: new Date().toISOString(),
-                lastMessage: initialMessage || 'Conversation started',
+                lastMessage: lastMessage || 'Conversation started',
                 lastMessageAt: new Date().toISOString(),
                 unreadCount: 0
             };
@@ -157,12 +174,24 @@ class MessagingManager {
             localStorage.setItem('mkulima_conversations', JSON.stringify(this.conversations));
         }
 
-        // Select the conversation
-        this.selectConversation(conversation.id);
+        return conversation;
+    }
 
-        // Send initial message if provided
-        if (initialMessage) {
-            await this.sendMessage(conversation.id, initialMessage);
+    // Prefills the message box for the current user without sending anything or switching conversations
+    saveDraft(recipientId, text) {
+        const user = window.userManager?.getCurrentUser();
+        if (!user) {
+            throw new Error('You must be logged in to start a conversation');
+        }
+
+        const conversation = this.findOrCreateConversation(user.id, recipientId);
+        conversation.drafts = conversation.drafts || {};
+
+        // Never overwrite something the user already started typing
+        if (!conversation.drafts[user.id]) {
+            conversation.drafts[user.id] = text;
+            localStorage.setItem('mkulima_conversations', JSON.stringify(this.conversations));
+            this.renderConversations();
         }
 
         return conversation;
@@ -181,6 +210,13 @@ class MessagingManager {
         // Render conversation
         this.renderConversation(this.currentConversation);
 
+        // Pick up an unsent draft
+        const messageInput = document.getElementById('messageInput');
+        const draft = this.currentConversation.drafts?.[window.userManager?.getCurrentUser()?.id];
+        if (messageInput && draft && !messageInput.value) {
+            messageInput.value = draft;
+        }
+
         // Update UI
         document.querySelectorAll('.conversation').forEach(conv => {
             conv.classList.remove('active');
@@ -233,7 +269,7 @@ class MessagingManager {
             </div>
             <div class="conversation-details">
                 <h4>${participantName}</h4>
-                <p class="last-message">${conversation.lastMessage}</p>
+                <p class="last-message">${conversation.drafts?.[user.id] ? `Draft: ${conversation.drafts[user.id]}` : conversation.lastMessage}</p>
                 <span class="time">${lastMessageTime}</span>
                 ${conversation.unreadCount > 0 ?
                 `<span class="unread-badge">${conversation.unreadCount}</span>` : ''}
@@ -0,0 +1,452 @@
+// moderationManager.js - Listing reports, automatic flags and moderation queue for Mkulima Connect
+
+class ModerationManager {
+    constructor() {
+        // User reports and automatic flags; open ones make up the moderation queue
+        this.reports = JSON.parse(localStorage.getItem('mkulima_reports') || '[]');
+        this.settings = {
+            newAccountDays: 7, // Accounts younger than this get extra scrutiny
+            newAccountMaxValue: 5000000, // TSH; bigger lots from new accounts are flagged
+            newAccountMaxListings: 5, // Listings per day before a new account is flagged
+            hideAfterReports: 3, // Reporters needed to hide a listing pending review
+            repeatWarnings: 2, // Warned this often, every new listing is reviewed
+            ...JSON.parse(localStorage.getItem('mkulima_moderation_settings') || '{}')
+        };
+        this.MODERATOR_TYPES = ['admin', 'extension_officer', 'cooperative'];
+        // Platform staff review any listing, including sellers who belong to no cooperative
+        this.STAFF_TYPES = ['admin', 'extension_officer'];
+        this.REPORT_REASONS = {
+            fake: 'Fake or non-existent produce',
+            scam: 'Scam or fraud attempt',
+            wrong_price: 'Misleading price',
+            wrong_quality: 'Quality not as described',
+            duplicate: 'Duplicate listing',
+            prohibited: 'Prohibited item',
+            other: 'Other'
+        };
+        this.FLAG_LABELS = {
+            high_quantity: 'Unusually high quantity',
+            high_price: 'Unusually high price',
+            duplicate: 'Possible duplicate',
+            new_account_value: 'Large lot from a new account',
+            new_account_volume: 'Many listings from a new account',
+            repeat_offender: 'Seller has previous warnings'
+        };
+        this.init();
+    }
+
+    init() {
+        this.renderQueue();
+    }
+
+    canModerate(user = window.userManager?.getCurrentUser()) {
+        return this.MODERATOR_TYPES.includes(user?.userType);
+    }
+
+    // A cooperative only reviews its own group listings and its members' listings
+    canModerateListing(listing, user = window.userManager?.getCurrentUser()) {
+        if (!listing || !this.canModerate(user)) return false;
+        if (this.STAFF_TYPES.includes(user.userType)) return true;
+
+        if (listing.cooperativeId === user.id) return true;
+
+        const seller = this.getUser(listing.farmerId);
+        const memberPhones = (window.cooperativeManager?.getMembers(user.id) || []).map(m => m.phone).filter(Boolean);
+        return !!seller?.phone && memberPhones.includes(seller.phone);
+    }
+
+    // Reports
+    reportListing(listingId, reason, details = '') {
+        const user = window.userManager?.getCurrentUser();
+        const listing = window.listingManager?.getListingById(listingId);
+
+        if (!user) {
+            throw new Error('You must be logged in to report a listing');
+        }
+
+        if (!listing) {
+            throw new Error('Listing not found');
+        }
+
+        if (listing.farmerId === user.id) {
+            throw new Error('You cannot report your own listing');
+        }
+
+        if (!this.REPORT_REASONS[reason]) {
+            throw new Error('Choose a reason for the report');
+        }
+
+        if (this.getOpenReports(listingId).some(r => r.reporterId === user.id)) {
+            throw new Error('You have already reported this listing');
+        }
+
+        const report = this.createReport(listing, {
+            source: 'user',
+            reason,
+            details: details.trim(),
+            reporterId: user.id,
+            reporterName: user.name
+        });
+
+        // Enough independent reports hide the listing until staff review it
+        const reporters = new Set(this.getOpenReports(listingId).filter(r => r.source === 'user').map(r => r.reporterId));
+        if (reporters.size >= this.settings.hideAfterReports && !this.isHidden(listing)) {
+            this.applyModeration(listing, 'hidden', { action: 'auto_hidden', note: `${reporters.size} user reports` });
+        }
+
+        return report;
+    }
+
+    // Automatic checks on new and edited listings; flags go to the queue, the listing stays up
+    screenListing(listing) {
+        if (listing.status === 'draft') return [];
+
+        const flags = this.getAutomaticFlags(listing)
+            .filter(code => !this.getOpenReports(listing.id).some(r => r.source === 'auto' && r.reason === code));
+
+        return flags.map(code => this.createReport(listing, { source: 'auto', reason: code, details: this.FLAG_LABELS[code] }));
+    }
+
+    getAutomaticFlags(listing) {
+        const flags = [];
+        const listings = window.listingManager?.listings || [];
+
+        // The same "unusually high" limits the listing validation warns about
+        (window.validation?.checkUnusualListing(listing) || []).forEach(warning => flags.push(warning.code));
+
+        const others = listings.filter(l => l.id !== listing.id);
+        if (window.validation?.detectDuplicateListing(listing, others)) {
+            flags.push('duplicate');
+        }
+
+        const seller = this.getUser(listing.farmerId);
+        const accountAgeDays = seller?.createdAt
+            ? (Date.now() - new Date(seller.createdAt).getTime()) / (24 * 60 * 60 * 1000)
+            : null;
+
+        if (accountAgeDays !== null && accountAgeDays < this.settings.newAccountDays) {
+            const value = parseFloat(listing.price) * parseFloat(listing.quantity);
+            if (value > this.settings.newAccountMaxValue) {
+                flags.push('new_account_value');
+            }
+
+            const dayAgo = Date.now() - 24 * 60 * 60 * 1000;
+            const recentCount = listings.filter(l => l.farmerId === listing.farmerId && new Date(l.createdAt).getTime() > dayAgo).length;
+            if (recentCount > this.settings.newAccountMaxListings) {
+                flags.push('new_account_volume');
+            }
+        }
+
+        if (this.getWarningCount(listing.farmerId) >= this.settings.repeatWarnings) {
+            flags.push('repeat_offender');
+        }
+
+        return flags;
+    }
+
+    createReport(listing, fields) {
+        const report = {
+            id: this.generateReportId(),
+            listingId: listing.id,
+            farmerId: listing.farmerId,
+            farmerName: listing.farmerName,
+            cropType: listing.cropType,
+            reporterId: null,
+            reporterName: null,
+            ...fields,
+            status: 'open',
+            createdAt: new Date().toISOString()
+        };
+
+        this.reports.unshift(report);
+        this.saveReports();
+        this.renderQueue();
+
+        return report;
+    }
+
+    // Moderator actions
+    hideListing(listingId, note = '') {
+        this.moderate(listingId, (listing) => {
+            this.applyModeration(listing, 'hidden', { action: 'hidden', note });
+            this.resolveReports(listingId, 'hidden');
+            this.notifyUser(listing.farmerId, `Your ${listing.cropType} listing was hidden after review${note ? `: ${note}` : ''}`, 'warning', {
+                listingId
+            });
+        }, 'Listing hidden');
+    }
+
+    restoreListing(listingId) {
+        this.moderate(listingId, (listing) => {
+            this.applyModeration(listing, 'visible', { action: 'restored' });
+            this.resolveReports(listingId, 'restored');
+            this.notifyUser(listing.farmerId, `Your ${listing.cropType} listing is visible again`, 'info', { listingId });
+        }, 'Listing restored');
+    }
+
+    // Close reports without changing the listing
+    dismissReports(listingId) {
+        this.moderate(listingId, () => this.resolveReports(listingId, 'dismissed'), 'Reports dismissed');
+    }
+
+    warnUser(listingId, message) {
+        this.moderate(listingId, (listing) => {
+            const text = (message || '').trim() || 'Please make sure your listings are accurate and follow marketplace rules';
+            const user = window.userManager.getCurrentUser();
+
+            this.recordWarning(listing.farmerId, { listingId, message: text, by: user.id, at: new Date().toISOString() });
+            this.applyModeration(listing, this.isHidden(listing) ? 'hidden' : 'visible', { action: 'warned', note: text });
+            this.notifyUser(listing.farmerId, `Warning from Mkulima Connect moderators: ${text}`, 'warning', { listingId });
+        }, 'Warning sent');
+    }
+
+    moderate(listingId, action, successMessage) {
+        const listing = window.listingManager?.getListingById(listingId);
+
+        try {
+            if (!this.canModerate()) {
+                throw new Error('Only moderators can review listings');
+            }
+            if (!listing) {
+                throw new Error('Listing not found');
+            }
+            if (!this.canModerateListing(listing)) {
+                throw new Error('Cooperatives can only review listings from their own members');
+            }
+
+            action(listing);
+
+            this.showNotification(successMessage, 'success');
+            this.renderQueue();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    applyModeration(listing, status, entry) {
+        const user = window.userManager?.getCurrentUser();
+        const history = listing.moderation?.history || [];
+
+        window.listingManager.setModeration(listing.id, {
+            status,
+            history: [...history, { ...entry, by: user?.id || null, at: new Date().toISOString() }]
+        });
+    }
+
+    resolveReports(listingId, resolution) {
+        const user = window.userManager?.getCurrentUser();
+        const now = new Date().toISOString();
+
+        this.getOpenReports(listingId).forEach(report => {
+            report.status = 'resolved';
+            report.resolution = resolution;
+            report.resolvedBy = user?.id || null;
+            report.resolvedAt = now;
+        });
+
+        this.saveReports();
+    }
+
+    isHidden(listing) {
+        return listing?.moderation?.status === 'hidden';
+    }
+
+    // Warnings are kept on the user record so they follow the seller across listings
+    recordWarning(userId, warning) {
+        const users = JSON.parse(localStorage.getItem('mkulima_users') || '[]');
+        const user = users.find(u => u.id === userId);
+        if (!user) return;
+
+        user.moderationWarnings = [...(user.moderationWarnings || []), warning];
+        localStorage.setItem('mkulima_users', JSON.stringify(users));
+    }
+
+    getWarningCount(userId) {
+        return this.getUser(userId)?.moderationWarnings?.length || 0;
+    }
+
+    getUser(userId) {
+        return JSON.parse(localStorage.getItem('mkulima_users') || '[]').find(u => u.id === userId);
+    }
+
+    // UI
+    openReportForm(listingId) {
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+
+        modal.innerHTML = `
+            <div class="modal">
+                <div class="modal-header">
+                    <h2>Report Listing</h2>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <form class="modal-body report-form">
+                    <div class="form-group">
+                        <label>Reason*</label>
+                        <select name="reason" required>
+                            ${Object.entries(this.REPORT_REASONS).map(([id, label]) => `<option value="${id}">${label}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label>Details</label>
+                        <textarea name="details" rows="3" placeholder="What is wrong with this listing?"></textarea>
+                    </div>
+                    <div class="modal-footer">
+                        <button type="submit" class="btn btn-primary">Send Report</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        modal.querySelector('.modal-close').addEventListener('click', () => modal.remove());
+        modal.querySelector('.report-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const { reason, details } = Object.fromEntries(new FormData(e.target));
+
+            try {
+                this.reportListing(listingId, reason, details);
+                this.showNotification('Thanks, our moderators will review this listing', 'success');
+                modal.remove();
+            } catch (error) {
+                this.showNotification(error.message, 'error');
+            }
+        });
+    }
+
+    renderQueue() {
+        const container = document.getElementById('moderationQueue');
+        if (!container) return;
+
+        if (!this.canModerate()) {
+            container.closest('section')?.setAttribute('hidden', '');
+            return;
+        }
+
+        // One entry per listing, most reported first
+        const byListing = {};
+        this.reports.filter(r => r.status === 'open').forEach(report => {
+            if (!this.canModerateListing(window.listingManager?.getListingById(report.listingId))) return;
+            (byListing[report.listingId] = byListing[report.listingId] || []).push(report);
+        });
+        const entries = Object.entries(byListing).sort((a, b) => b[1].length - a[1].length);
+
+        if (entries.length === 0) {
+            container.innerHTML = '<div class="no-listings">Nothing to review</div>';
+            return;
+        }
+
+        container.innerHTML = entries.map(([listingId, reports]) => {
+            const listing = window.listingManager?.getListingById(listingId);
+            if (!listing) return '';
+
+            const hidden = this.isHidden(listing);
+            const warnings = this.getWarningCount(listing.farmerId);
+
+            return `
+                <div class="listing-item moderation-item">
+                    <div class="item-info">
+                        <h4>${this.escapeHtml(listing.cropType)} - ${listing.quantity} ${listing.unit || 'kg'} @ ${listing.price} TSH</h4>
+                        <p>${this.escapeHtml(listing.farmerName)} • ${this.escapeHtml(listing.location || 'No location')}${warnings ? ` • ${warnings} previous warning${warnings === 1 ? '' : 's'}` : ''}</p>
+                        <span class="listing-status ${hidden ? 'failed' : 'available'}">${hidden ? 'Hidden' : 'Visible'}</span>
+                        <ul class="moderation-reports">
+                            ${reports.map(r => `
+                                <li>
+                                    ${r.source === 'auto' ? `<strong>Auto:</strong> ${this.FLAG_LABELS[r.reason] || r.reason}` :
+                `<strong>${this.escapeHtml(r.reporterName)}:</strong> ${this.REPORT_REASONS[r.reason]}${r.details ? ` - ${this.escapeHtml(r.details)}` : ''}`}
+                                    <small>${new Date(r.createdAt).toLocaleDateString()}</small>
+                                </li>
+                            `).join('')}
+                        </ul>
+                    </div>
+                    <div class="item-actions">
+                        <button class="btn btn-sm btn-outline" onclick="listingManager.viewListing('${listing.id}')">View</button>
+                        ${hidden
+                    ? `<button class="btn btn-sm btn-primary" onclick="moderationManager.restoreListing('${listing.id}')">Restore</button>`
+                    : `<button class="btn btn-sm btn-primary" onclick="moderationManager.hideListing('${listing.id}')">Hide</button>`}
+                        <button class="btn btn-sm btn-outline" onclick="moderationManager.openWarnForm('${listing.id}')">Warn User</button>
+                        <button class="btn btn-sm btn-outline" onclick="moderationManager.dismissReports('${listing.id}')">Dismiss</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    openWarnForm(listingId) {
+        const listing = window.listingManager?.getListingById(listingId);
+        if (!listing) return;
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+
+        modal.innerHTML = `
+            <div class="modal">
+                <div class="modal-header">
+                    <h2>Warn ${this.escapeHtml(listing.farmerName)}</h2>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <form class="modal-body warn-form">
+                    <div class="form-group">
+                        <label>Message</label>
+                        <textarea name="message" rows="3" placeholder="Explain what needs to change"></textarea>
+                    </div>
+                    <div class="modal-footer">
+                        <button type="submit" class="btn btn-primary">Send Warning</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        modal.querySelector('.modal-close').addEventListener('click', () => modal.remove());
+        modal.querySelector('.warn-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.warnUser(listingId, e.target.message.value);
+            modal.remove();
+        });
+    }
+
+    // Reports and listings are user input; never let them into the moderator's page as markup
+    escapeHtml(text) {
+        return String(text ?? '').replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
+    saveReports() {
+        localStorage.setItem('mkulima_reports', JSON.stringify(this.reports));
+    }
+
+    generateReportId() {
+        return 'rpt_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    notifyUser(userId, message, type, meta) {
+        if (window.mkulimaApp && window.mkulimaApp.notifyUser) {
+            window.mkulimaApp.notifyUser(userId, message, type, meta);
+        }
+    }
+
+    showNotification(message, type) {
+        if (window.mkulimaApp && window.mkulimaApp.showNotification) {
+            window.mkulimaApp.showNotification(message, type);
+        } else {
+            alert(`${type}: ${message}`);
+        }
+    }
+
+    // Public API
+    getOpenReports(listingId = null) {
+        return this.reports.filter(r => r.status === 'open' && (!listingId || r.listingId === listingId));
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.moderationManager = new ModerationManager();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ModerationManager;
+}
@@ -0,0 +1,668 @@
+// offerManager.js - Offer and counter-offer negotiation for Mkulima Connect
+
+class OfferManager {
+    constructor() {
+        this.offers = JSON.parse(localStorage.getItem('mkulima_offers') || '[]');
+        this.DEFAULT_EXPIRY_HOURS = 48;
+        // Accepted offers hold stock; unpaid ones lapse after this and release it
+        this.PAYMENT_WINDOW_HOURS = 24;
+        this.init();
+    }
+
+    init() {
+        this.expireOldOffers();
+        this.renderUserOffers();
+    }
+
+    async makeOffer(listingId, offerData) {
+        const user = window.userManager?.getCurrentUser();
+        if (!user) {
+            throw new Error('You must be logged in to make an offer');
+        }
+
+        const listing = window.listingManager?.getListingById(listingId);
+        if (!listing) {
+            throw new Error('Listing not found');
+        }
+
+        if (!listing.isNegotiable) {
+            throw new Error('This listing is not open to offers');
+        }
+
+        // Future harvests are bought through forward contracts until the harvest is in
+        if (window.forwardContractManager?.isForwardListing(listing)) {
+            throw new Error('This harvest is sold by forward contract; commit to a quantity instead');
+        }
+
+        if (listing.farmerId === user.id) {
+            throw new Error('You cannot make an offer on your own listing');
+        }
+
+        const price = parseFloat(offerData.price);
+        const quantity = parseFloat(offerData.quantity);
+        this.validateTerms(listing, price, quantity);
+
+        const expiryHours = parseFloat(offerData.expiresInHours) || this.DEFAULT_EXPIRY_HOURS;
+        const now = new Date();
+
+        const offer = {
+            id: this.generateOfferId(),
+            listingId: listing.id,
+            cropType: listing.cropType,
+            unit: listing.unit || 'kg',
+            farmerId: listing.farmerId,
+            farmerName: listing.farmerName,
+            buyerId: user.id,
+            buyerName: user.name,
+            price,
+            quantity,
+            listedPrice: parseFloat(listing.price),
+            expiresAt: new Date(now.getTime() + expiryHours * 60 * 60 * 1000).toISOString(),
+            status: 'pending',
+            // Whose turn it is to respond
+            awaiting: 'farmer',
+            history: [],
+            createdAt: now.toISOString(),
+            updatedAt: now.toISOString()
+        };
+
+        this.addHistory(offer, 'offer', user, { price, quantity, message: offerData.message });
+
+        this.offers.unshift(offer);
+        this.saveOffers();
+
+        this.notifyUser(
+            listing.farmerId,
+            `${user.name} offered ${price} TSH per ${offer.unit} for ${quantity} ${offer.unit} of your ${listing.cropType}`,
+            'info',
+            { offerId: offer.id, listingId: listing.id }
+        );
+
+        return offer;
+    }
+
+    async respondToOffer(offerId, action, counterData = {}) {
+        const user = window.userManager?.getCurrentUser();
+        if (!user) {
+            throw new Error('You must be logged in to respond to an offer');
+        }
+
+        const offer = this.getOfferById(offerId);
+        if (!offer) {
+            throw new Error('Offer not found');
+        }
+
+        this.expireOldOffers();
+
+        if (!['pending', 'countered'].includes(offer.status)) {
+            throw new Error(`This offer is already ${offer.status}`);
+        }
+
+        const role = this.getUserRole(offer, user);
+        if (role !== offer.awaiting) {
+            throw new Error('It is not your turn to respond to this offer');
+        }
+
+        const otherPartyId = role === 'farmer' ? offer.buyerId : offer.farmerId;
+
+        switch (action) {
+            case 'accept':
+                await this.acceptOffer(offer, user);
+                this.notifyUser(
+                    otherPartyId,
+                    `Your offer of ${offer.price} TSH per ${offer.unit} was accepted`,
+                    'success',
+                    { offerId: offer.id, listingId: offer.listingId }
+                );
+                break;
+
+            case 'reject':
+                offer.status = 'rejected';
+                this.addHistory(offer, 'reject', user, { message: counterData.message });
+                this.notifyUser(
+                    otherPartyId,
+                    `Your offer on ${offer.cropType} was rejected`,
+                    'warning',
+                    { offerId: offer.id, listingId: offer.listingId }
+                );
+                break;
+
+            case 'counter': {
+                const listing = window.listingManager?.getListingById(offer.listingId);
+                const price = parseFloat(counterData.price);
+                const quantity = parseFloat(counterData.quantity) || offer.quantity;
+                this.validateTerms(listing, price, quantity);
+
+                offer.price = price;
+                offer.quantity = quantity;
+                offer.status = 'countered';
+                offer.awaiting = role === 'farmer' ? 'buyer' : 'farmer';
+                this.addHistory(offer, 'counter', user, { price, quantity, message: counterData.message });
+
+                this.notifyUser(
+                    otherPartyId,
+                    `${user.name} countered with ${price} TSH per ${offer.unit} for ${quantity} ${offer.unit}`,
+                    'info',
+                    { offerId: offer.id, listingId: offer.listingId }
+                );
+                break;
+            }
+
+            default:
+                throw new Error(`Unknown offer action: ${action}`);
+        }
+
+        offer.updatedAt = new Date().toISOString();
+        this.saveOffers();
+        this.renderUserOffers();
+
+        return offer;
+    }
+
+    async acceptOffer(offer, user) {
+        // Hold the agreed quantity so it cannot be sold twice while payment is pending
+        await window.listingManager?.reserveQuantity(offer.listingId, offer.quantity);
+
+        const now = new Date();
+        offer.status = 'accepted';
+        offer.acceptedAt = now.toISOString();
+        offer.paymentDueAt = new Date(now.getTime() + this.PAYMENT_WINDOW_HOURS * 60 * 60 * 1000).toISOString();
+        offer.awaiting = 'payment';
+        this.addHistory(offer, 'accept', user, { price: offer.price, quantity: offer.quantity });
+    }
+
+    async withdrawOffer(offerId) {
+        const user = window.userManager?.getCurrentUser();
+        const offer = this.getOfferById(offerId);
+
+        if (!offer) {
+            throw new Error('Offer not found');
+        }
+
+        if (!user || offer.buyerId !== user.id) {
+            throw new Error('You can only withdraw your own offers');
+        }
+
+        if (!['pending', 'countered', 'accepted'].includes(offer.status)) {
+            throw new Error(`This offer is already ${offer.status}`);
+        }
+
+        if (offer.status === 'accepted') {
+            await window.listingManager?.releaseQuantity(offer.listingId, offer.quantity);
+        }
+
+        offer.status = 'withdrawn';
+        offer.updatedAt = new Date().toISOString();
+        this.addHistory(offer, 'withdraw', user);
+        this.saveOffers();
+
+        this.notifyUser(offer.farmerId, `${user.name} withdrew their offer on ${offer.cropType}`, 'info', {
+            offerId: offer.id,
+            listingId: offer.listingId
+        });
+
+        this.renderUserOffers();
+        return offer;
+    }
+
+    // Farmer backs out of an accepted offer the buyer hasn't paid for; the held stock is released
+    async cancelAcceptedOffer(offerId) {
+        const user = window.userManager?.getCurrentUser();
+        const offer = this.getOfferById(offerId);
+
+        if (!offer) {
+            throw new Error('Offer not found');
+        }
+
+        if (!user || offer.farmerId !== user.id) {
+            throw new Error('Only the farmer can cancel an accepted offer');
+        }
+
+        if (offer.status !== 'accepted') {
+            throw new Error(`This offer is already ${offer.status}`);
+        }
+
+        await window.listingManager?.releaseQuantity(offer.listingId, offer.quantity);
+
+        offer.status = 'cancelled';
+        offer.awaiting = null;
+        offer.updatedAt = new Date().toISOString();
+        this.addHistory(offer, 'cancel', user);
+        this.saveOffers();
+
+        this.notifyUser(offer.buyerId, `${user.name} cancelled your unpaid offer on ${offer.cropType}`, 'warning', {
+            offerId: offer.id,
+            listingId: offer.listingId
+        });
+
+        this.renderUserOffers();
+        return offer;
+    }
+
+    // Move an accepted offer into payment at the agreed price
+    async payForOffer(offerId, paymentData) {
+        const user = window.userManager?.getCurrentUser();
+        const offer = this.getOfferById(offerId);
+
+        if (!offer) {
+            throw new Error('Offer not found');
+        }
+
+        if (!user || offer.buyerId !== user.id) {
+            throw new Error('Only the buyer can pay for this offer');
+        }
+
+        this.expireOldOffers();
+
+        if (offer.status !== 'accepted') {
+            throw new Error('Only accepted offers can be paid');
+        }
+
+        if (!window.paymentService) {
+            throw new Error('Payments are not available on this page');
+        }
+
+        let transaction;
+
+        if (window.orderManager) {
+            // Agreed terms become an order; the offer's reservation is already held
+            const result = await window.orderManager.placeOrder(offer.listingId, offer.quantity, paymentData, {
+                unitPrice: offer.price,
+                offerId: offer.id,
+                alreadyReserved: true
+            });
+            transaction = result.transaction;
+            offer.orderId = result.order.id;
+        } else {
+            const payment = {
+                ...paymentData,
+                amount: offer.price * offer.quantity,
+                listingId: offer.listingId,
+                description: `${offer.quantity} ${offer.unit} ${offer.cropType} @ ${offer.price} TSH (offer ${offer.id})`
+            };
+
+            window.paymentService.validatePayment(payment);
+            transaction = await window.paymentService.processPayment(payment);
+
+            // Reserved quantity becomes sold stock on the listing
+            await window.listingManager?.recordSale(offer.listingId, offer.quantity, true);
+
+            this.notifyUser(
+                offer.farmerId,
+                `${user.name} paid for ${offer.quantity} ${offer.unit} of ${offer.cropType} (${transaction.id})`,
+                'success',
+                { offerId: offer.id, listingId: offer.listingId }
+            );
+        }
+
+        offer.status = 'paid';
+        offer.awaiting = null;
+        offer.transactionId = transaction.id;
+        offer.paidAt = transaction.completedAt;
+        offer.updatedAt = new Date().toISOString();
+        this.addHistory(offer, 'payment', user, { transactionId: transaction.id });
+        this.saveOffers();
+
+        this.renderUserOffers();
+        return transaction;
+    }
+
+    validateTerms(listing, price, quantity) {
+        const errors = [];
+
+        if (!price || price <= 0) errors.push('Valid offer price is required');
+        if (!quantity || quantity <= 0) errors.push('Valid quantity is required');
+
+        if (listing) {
+            const available = window.listingManager?.getAvailableQuantity(listing) ?? parseFloat(listing.quantity);
+            if (quantity > available) {
+                errors.push(`Only ${available} ${listing.unit || 'kg'} available`);
+            }
+        }
+
+        if (errors.length > 0) {
+            throw new Error(errors.join(', '));
+        }
+    }
+
+    expireOldOffers() {
+        const now = new Date();
+        let changed = false;
+
+        this.offers.forEach(offer => {
+            if (['pending', 'countered'].includes(offer.status) && new Date(offer.expiresAt) < now) {
+                offer.status = 'expired';
+                offer.awaiting = null;
+                offer.updatedAt = now.toISOString();
+                offer.history.push({ action: 'expire', byId: 'system', at: now.toISOString() });
+                changed = true;
+            }
+
+            // Unpaid past the payment deadline: give the reserved stock back to the listing
+            if (offer.status === 'accepted' && this.getPaymentDeadline(offer) < now) {
+                offer.status = 'expired';
+                offer.awaiting = null;
+                offer.updatedAt = now.toISOString();
+                offer.history.push({ action: 'payment_expired', byId: 'system', at: now.toISOString() });
+                changed = true;
+
+                window.listingManager?.releaseQuantity(offer.listingId, offer.quantity).catch(error => {
+                    console.error('Failed to release stock for expired offer:', error);
+                });
+
+                this.notifyUser(offer.buyerId, `Your accepted offer on ${offer.cropType} expired because it was not paid in time`, 'warning', {
+                    offerId: offer.id,
+                    listingId: offer.listingId
+                });
+                this.notifyUser(offer.farmerId, `An accepted offer on your ${offer.cropType} was not paid in time; the stock is available again`, 'info', {
+                    offerId: offer.id,
+                    listingId: offer.listingId
+                });
+            }
+        });
+
+        if (changed) {
+            this.saveOffers();
+        }
+    }
+
+    // Offers accepted before deadlines existed get the standard window from acceptance
+    getPaymentDeadline(offer) {
+        if (offer.paymentDueAt) return new Date(offer.paymentDueAt);
+        return new Date(new Date(offer.acceptedAt || offer.updatedAt).getTime() + this.PAYMENT_WINDOW_HOURS * 60 * 60 * 1000);
+    }
+
+    addHistory(offer, action, user, details = {}) {
+        offer.history.push({
+            action,
+            byId: user.id,
+            byName: user.name,
+            ...details,
+            at: new Date().toISOString()
+        });
+    }
+
+    getUserRole(offer, user) {
+        if (offer.farmerId === user.id) return 'farmer';
+        if (offer.buyerId === user.id) return 'buyer';
+        return null;
+    }
+
+    // UI
+    openOfferForm(listingId, offerId = null) {
+        const listing = window.listingManager?.getListingById(listingId);
+        if (!listing) return;
+
+        const offer = offerId ? this.getOfferById(offerId) : null;
+        const unit = listing.unit || 'kg';
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+
+        modal.innerHTML = `
+            <div class="modal">
+                <div class="modal-header">
+                    <h2>${offer ? 'Counter Offer' : 'Make an Offer'}</h2>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p>Listed at ${listing.price} TSH per ${unit}${offer ? ` • Current offer ${offer.price} TSH for ${offer.quantity} ${unit}` : ''}</p>
+                    <form class="offer-form">
+                        <div class="form-group">
+                            <label>Price per ${unit} (TSH)*</label>
+                            <input type="number" name="price" required min="1" value="${offer ? offer.price : ''}">
+                        </div>
+                        <div class="form-group">
+                            <label>Quantity (${unit})*</label>
+                            <input type="number" name="quantity" required min="1" value="${offer ? offer.quantity : ''}">
+                        </div>
+                        ${offer ? '' : `
+                        <div class="form-group">
+                            <label>Offer valid for (hours)</label>
+                            <input type="number" name="expiresInHours" min="1" value="${this.DEFAULT_EXPIRY_HOURS}">
+                        </div>`}
+                        <div class="form-group">
+                            <label>Message</label>
+                            <textarea name="message" rows="2"></textarea>
+                        </div>
+                        <div class="form-actions">
+                            <button type="submit" class="btn btn-primary">${offer ? 'Send Counter' : 'Send Offer'}</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        modal.querySelector('.modal-close').addEventListener('click', () => modal.remove());
+        modal.querySelector('.offer-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const data = Object.fromEntries(new FormData(e.target));
+
+            try {
+                if (offer) {
+                    await this.respondToOffer(offer.id, 'counter', data);
+                    this.showNotification('Counter offer sent', 'success');
+                } else {
+                    await this.makeOffer(listingId, data);
+                    this.showNotification('Offer sent to farmer', 'success');
+                }
+                modal.remove();
+                this.renderUserOffers();
+            } catch (error) {
+                this.showNotification(error.message, 'error');
+            }
+        });
+    }
+
+    openPaymentForm(offerId) {
+        const offer = this.getOfferById(offerId);
+        if (!offer || !window.paymentService) return;
+
+        const providers = window.paymentService.providers;
+        const total = offer.price * offer.quantity;
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+
+        modal.innerHTML = `
+            <div class="modal">
+                <div class="modal-header">
+                    <h2>Pay for Offer</h2>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p>${offer.quantity} ${offer.unit} × ${offer.price} TSH = <strong>${total.toLocaleString()} TSH</strong></p>
+                    <form class="offer-payment-form">
+                        <div class="form-group">
+                            <label>Payment Provider</label>
+                            <select name="provider">
+                                ${Object.entries(providers).map(([id, provider]) =>
+            `<option value="${id}">${provider.name}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label>Phone Number*</label>
+                            <input type="tel" name="phone" required>
+                        </div>
+                        <div class="form-group">
+                            <label><input type="checkbox" name="useEscrow" checked> Use Escrow Service</label>
+                        </div>
+                        <div class="form-actions">
+                            <button type="submit" class="btn btn-primary">Pay Now</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        modal.querySelector('.modal-close').addEventListener('click', () => modal.remove());
+        modal.querySelector('.offer-payment-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const data = Object.fromEntries(new FormData(e.target));
+
+            try {
+                const transaction = await this.payForOffer(offer.id, data);
+                modal.remove();
+                window.paymentService.showPaymentReceipt(transaction);
+            } catch (error) {
+                this.showNotification(error.message, 'error');
+            }
+        });
+    }
+
+    // Offer history shown inside the listing modal
+    renderListingOffers(listing, container) {
+        const user = window.userManager?.getCurrentUser();
+        if (!container || !user) return;
+
+        const isOwner = listing.farmerId === user.id;
+        const offers = this.getListingOffers(listing.id)
+            .filter(o => isOwner || o.buyerId === user.id);
+
+        if (offers.length === 0) {
+            container.innerHTML = isOwner ? '<p>No offers yet</p>' : '';
+            return;
+        }
+
+        container.innerHTML = `<h3>${isOwner ? 'Offers' : 'Your Offers'}</h3>`;
+        offers.forEach(offer => container.appendChild(this.createOfferItem(offer, user)));
+    }
+
+    renderUserOffers() {
+        const container = document.getElementById('myOffers');
+        if (!container) return;
+
+        const user = window.userManager?.getCurrentUser();
+        if (!user) return;
+
+        const offers = this.offers.filter(o => o.buyerId === user.id || o.farmerId === user.id);
+        container.innerHTML = '';
+
+        if (offers.length === 0) {
+            container.innerHTML = '<div class="no-listings">No offers yet</div>';
+            return;
+        }
+
+        offers.forEach(offer => container.appendChild(this.createOfferItem(offer, user)));
+    }
+
+    createOfferItem(offer, user) {
+        const item = document.createElement('div');
+        item.className = 'offer-item';
+        item.dataset.id = offer.id;
+
+        const role = this.getUserRole(offer, user);
+        const canRespond = ['pending', 'countered'].includes(offer.status) && offer.awaiting === role;
+
+        let actions = '';
+        if (canRespond) {
+            actions += `
+                <button class="btn btn-sm btn-primary" onclick="offerManager.handleAction('${offer.id}', 'accept')">Accept</button>
+                <button class="btn btn-sm" onclick="offerManager.openOfferForm('${offer.listingId}', '${offer.id}')">Counter</button>
+                <button class="btn btn-sm btn-outline" onclick="offerManager.handleAction('${offer.id}', 'reject')">Reject</button>
+            `;
+        }
+        if (role === 'buyer' && offer.status === 'accepted') {
+            actions += `<button class="btn btn-sm btn-primary" onclick="offerManager.openPaymentForm('${offer.id}')">Pay Now</button>`;
+        }
+        if (role === 'buyer' && ['pending', 'countered', 'accepted'].includes(offer.status)) {
+            actions += `<button class="btn btn-sm btn-outline" onclick="offerManager.handleAction('${offer.id}', 'withdraw')">Withdraw</button>`;
+        }
+        if (role === 'farmer' && offer.status === 'accepted') {
+            actions += `<button class="btn btn-sm btn-outline" onclick="offerManager.handleAction('${offer.id}', 'cancel')">Cancel</button>`;
+        }
+
+        const history = offer.history.map(entry => `
+            <li>${new Date(entry.at).toLocaleString()} - ${entry.byName || 'System'}: ${entry.action}${entry.price ? ` ${entry.price} TSH × ${entry.quantity}` : ''}${entry.message ? ` "${entry.message}"` : ''}</li>
+        `).join('');
+
+        item.innerHTML = `
+            <div class="offer-summary">
+                <strong>${offer.quantity} ${offer.unit} @ ${offer.price} TSH</strong>
+                <span class="listing-status ${offer.status}">${offer.status}</span>
+                <small>${role === 'farmer' ? offer.buyerName : offer.farmerName} • ${offer.status === 'accepted'
+            ? `pay by ${this.getPaymentDeadline(offer).toLocaleString()}`
+            : `expires ${new Date(offer.expiresAt).toLocaleString()}`}</small>
+            </div>
+            <details class="offer-history">
+                <summary>History (${offer.history.length})</summary>
+                <ul>${history}</ul>
+            </details>
+            <div class="item-actions">${actions}</div>
+        `;
+
+        return item;
+    }
+
+    async handleAction(offerId, action) {
+        try {
+            if (action === 'withdraw') {
+                await this.withdrawOffer(offerId);
+            } else if (action === 'cancel') {
+                await this.cancelAcceptedOffer(offerId);
+            } else {
+                await this.respondToOffer(offerId, action);
+            }
+            const done = { withdraw: 'withdrawn', cancel: 'cancelled' };
+            this.showNotification(`Offer ${done[action] || action + 'ed'}`, 'success');
+
+            const offer = this.getOfferById(offerId);
+            const container = document.querySelector('.modal .listing-offers');
+            const listing = window.listingManager?.getListingById(offer.listingId);
+            if (container && listing) {
+                this.renderListingOffers(listing, container);
+            }
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    saveOffers() {
+        localStorage.setItem('mkulima_offers', JSON.stringify(this.offers));
+    }
+
+    generateOfferId() {
+        return 'ofr_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    notifyUser(userId, message, type, meta) {
+        if (window.mkulimaApp && window.mkulimaApp.notifyUser) {
+            window.mkulimaApp.notifyUser(userId, message, type, meta);
+        }
+    }
+
+    showNotification(message, type) {
+        if (window.mkulimaApp && window.mkulimaApp.showNotification) {
+            window.mkulimaApp.showNotification(message, type);
+        } else {
+            alert(`${type}: ${message}`);
+        }
+    }
+
+    // Public API
+    getOfferById(id) {
+        return this.offers.find(o => o.id === id);
+    }
+
+    getListingOffers(listingId) {
+        return this.offers.filter(o => o.listingId === listingId);
+    }
+
+    getUserOffers(userId) {
+        return this.offers.filter(o => o.buyerId === userId || o.farmerId === userId);
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.offerManager = new OfferManager();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OfferManager;
+}
@@ -167,6 +167,8 @@ class OfflineManager {
                 return this.syncPayment(item.data);
             case 'profile_update':
                 return this.syncProfileUpdate(item.data);
+            case 'photo_upload':
+                return this.syncPhotoUpload(item.data);
             default:
                 throw new Error(`Unknown queue item type: ${item.type}`);
         }
@@ -203,6 +205,24 @@ class OfflineManager {
         return profileData;
     }
 
+    async syncPhotoUpload(photoData) {
+        // Blobs stay in IndexedDB; the queue only carries the photo id
+        const photo = await this.getFromIndexedDB('photos', photoData.photoId);
+        if (!photo) {
+            throw new Error(`Photo ${photoData.photoId} not found`);
+        }
+
+        console.log('Uploading listing photo:', photo.id, `${Math.round(photo.size / 1024)} KB`);
+        await new Promise(resolve => setTimeout(resolve, 800));
+
+        photo.uploaded = true;
+        photo.uploadedAt = new Date().toISOString();
+        photo.remoteUrl = `/uploads/listings/${photo.listingId}/${photo.id}.jpg`;
+        await this.saveToIndexedDB('photos', photo);
+
+        return { id: photo.id, remoteUrl: photo.remoteUrl };
+    }
+
     addToQueue(type, data) {
         const queueItem = {
             id: 'queue_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
@@ -229,7 +249,7 @@ class OfflineManager {
         }
 
         return new Promise((resolve, reject) => {
-            const request = indexedDB.open('MkulimaOfflineDB', 1);
+            const request = indexedDB.open('MkulimaOfflineDB', 3);
 
             request.onerror = (event) => {
                 console.error('IndexedDB error:', event.target.error);
@@ -262,6 +282,21 @@ class OfflineManager {
                     pricesStore.createIndex('crop', 'crop', { unique: false });
                     pricesStore.createIndex('market', 'market', { unique: false });
                 }
+
+                // Version 2: compressed listing photos
+                if (!db.objectStoreNames.contains('photos')) {
+                    const photosStore = db.createObjectStore('photos', { keyPath: 'id' });
+                    photosStore.createIndex('listingId', 'listingId', { unique: false });
+                }
+
+                // Version 3: dated price observations for price history
+                const pricesStore = event.target.transaction.objectStore('prices');
+                if (!pricesStore.indexNames.contains('cropDate')) {
+                    pricesStore.createIndex('cropDate', ['crop', 'date'], { unique: false });
+                }
+                if (!pricesStore.indexNames.contains('observedAt')) {
+                    pricesStore.createIndex('observedAt', 'observedAt', { unique: false });
+                }
             };
         });
     }
@@ -298,6 +333,22 @@ class OfflineManager {
         });
     }
 
+    async deleteFromIndexedDB(storeName, key) {
+        if (!this.db) {
+            await this.setupIndexedDB();
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
+
+            const request = store.delete(key);
+
+            request.onsuccess = () => resolve();
+            request.onerror = (event) => reject(event.target.error);
+        });
+    }
+
     async getAllFromIndexedDB(storeName, indexName = null, query = null) {
         if (!this.db) {
             await this.setupIndexedDB();
@@ -320,6 +371,44 @@ class OfflineManager {
         });
     }
 
+    async countIndexedDB(storeName) {
+        if (!this.db) {
+            await this.setupIndexedDB();
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const request = transaction.objectStore(storeName).count();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = (event) => reject(event.target.error);
+        });
+    }
+
+    // Delete records in index order (oldest first for date indexes), within range and up to limit
+    async deleteFromIndexedDBIndex(storeName, indexName, range = null, limit = Infinity) {
+        if (!this.db) {
+            await this.setupIndexedDB();
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const request = transaction.objectStore(storeName).index(indexName).openCursor(range);
+            let deleted = 0;
+
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor && deleted < limit) {
+                    cursor.delete();
+                    deleted++;
+                    cursor.continue();
+                }
+            };
+            request.onerror = (event) => reject(event.target.error);
+            transaction.oncomplete = () => resolve(deleted);
+        });
+    }
+
     // SMS fallback for feature phones
     async sendSMSFallback(phoneNumber, message, type = 'alert') {
         // This would integrate with an SMS gateway API
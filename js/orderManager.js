@@ -0,0 +1,380 @@
+// orderManager.js - Partial-quantity orders against listings for Mkulima Connect
+
+class OrderManager {
+    constructor() {
+        this.orders = JSON.parse(localStorage.getItem('mkulima_orders') || '[]');
+        // Reservations from abandoned checkouts are released after this long
+        this.RESERVATION_TIMEOUT = 15 * 60 * 1000;
+        this.init();
+    }
+
+    init() {
+        this.releaseStaleReservations();
+        this.renderOrders();
+    }
+
+    // Take quantity from a listing, pay for it and link the order to its transaction.
+    // options.unitPrice overrides the listed price (agreed offers);
+    // options.alreadyReserved skips reserving quantity that an accepted offer already holds.
+    async placeOrder(listingId, quantity, paymentData, options = {}) {
+        const user = window.userManager?.getCurrentUser();
+        if (!user) {
+            throw new Error('You must be logged in to place an order');
+        }
+
+        const listing = window.listingManager?.getListingById(listingId);
+        if (!listing) {
+            throw new Error('Listing not found');
+        }
+
+        if (listing.farmerId === user.id) {
+            throw new Error('You cannot buy from your own listing');
+        }
+
+        // Until the harvest is confirmed a forward listing only takes contract commitments
+        if (window.forwardContractManager?.isForwardListing(listing)) {
+            throw new Error('This harvest is sold by forward contract; commit to a quantity instead');
+        }
+
+        quantity = parseFloat(quantity);
+        if (!quantity || quantity <= 0) {
+            throw new Error('Valid quantity is required');
+        }
+
+        if (!window.paymentService) {
+            throw new Error('Payments are not available on this page');
+        }
+
+        const unitPrice = parseFloat(options.unitPrice ?? listing.price);
+        const now = new Date();
+
+        const order = {
+            id: this.generateOrderId(),
+            listingId,
+            offerId: options.offerId || null,
+            cropType: listing.cropType,
+            unit: listing.unit || 'kg',
+            farmerId: listing.farmerId,
+            farmerName: listing.farmerName,
+            buyerId: user.id,
+            buyerName: user.name,
+            quantity,
+            unitPrice,
+            total: unitPrice * quantity,
+            status: 'reserved',
+            transactionId: null,
+            escrowStatus: 'none',
+            reservedUntil: new Date(now.getTime() + this.RESERVATION_TIMEOUT).toISOString(),
+            history: [{ status: 'reserved', at: now.toISOString() }],
+            createdAt: now.toISOString(),
+            updatedAt: now.toISOString()
+        };
+
+        const payment = {
+            ...paymentData,
+            amount: order.total,
+            orderId: order.id,
+            listingId,
+            description: `Order ${order.id}: ${quantity} ${order.unit} ${listing.cropType} @ ${unitPrice} TSH`
+        };
+
+        // Fail fast on bad payment details before holding any stock
+        window.paymentService.validatePayment(payment);
+
+        // Quantity is taken under the listing lock, so concurrent orders cannot oversell
+        if (!options.alreadyReserved) {
+            await window.listingManager.reserveQuantity(listingId, quantity);
+        }
+
+        this.orders.unshift(order);
+        this.saveOrders();
+
+        let transaction = null;
+        try {
+            transaction = await window.paymentService.processPayment(payment);
+
+            await window.listingManager.recordSale(listingId, quantity, true);
+
+            order.transactionId = transaction.id;
+            order.escrowStatus = transaction.escrowStatus;
+            this.setStatus(order, 'paid');
+
+            // Cooperative lots: split the proceeds across contributing members
+            window.cooperativeManager?.attributeSale(order, listing);
+
+            this.notifyUser(
+                order.farmerId,
+                `New order: ${order.buyerName} bought ${quantity} ${order.unit} of ${order.cropType} (${order.id})`,
+                'success',
+                { orderId: order.id, listingId }
+            );
+
+            this.renderOrders();
+            window.listingManager.renderListings();
+
+            return { order, transaction };
+        } catch (error) {
+            order.failureReason = error.message;
+
+            if (transaction) {
+                // Paid, but the sale could not be recorded: refund escrowed money, otherwise flag for reconciliation
+                order.transactionId = transaction.id;
+                order.escrowStatus = await this.refundPayment(transaction);
+                this.setStatus(order, order.escrowStatus === 'refunded' ? 'refunded' : 'unfulfilled');
+            } else {
+                // Keep the failed transaction linked for the buyer's records
+                const failed = window.paymentService.getOrderTransactions(order.id)[0];
+                order.transactionId = failed?.id || null;
+                this.setStatus(order, 'failed');
+            }
+
+            // An accepted offer keeps its reservation so the buyer can retry
+            if (!options.alreadyReserved) {
+                await window.listingManager.releaseQuantity(listingId, quantity);
+            }
+
+            this.renderOrders();
+            throw error;
+        }
+    }
+
+    async confirmDelivery(orderId) {
+        const user = window.userManager?.getCurrentUser();
+        const order = this.getOrderById(orderId);
+
+        if (!order) {
+            throw new Error('Order not found');
+        }
+
+        if (!user || order.buyerId !== user.id) {
+            throw new Error('Only the buyer can confirm delivery');
+        }
+
+        if (order.status !== 'paid') {
+            throw new Error('Only paid orders can be confirmed');
+        }
+
+        if (order.escrowStatus === 'held') {
+            await window.paymentService.releaseEscrow(order.transactionId, 'delivery_confirmed');
+            order.escrowStatus = 'released';
+        }
+
+        this.setStatus(order, 'completed');
+
+        // Members' shares of a cooperative lot become payable
+        window.cooperativeManager?.releasePayouts(order.id);
+
+        this.notifyUser(order.farmerId, `${order.buyerName} confirmed delivery of order ${order.id}`, 'success', {
+            orderId: order.id
+        });
+
+        this.renderOrders();
+        return order;
+    }
+
+    // Escrow status after trying to give the buyer's money back; direct payments can't be reversed here
+    async refundPayment(transaction) {
+        if (transaction.escrowStatus !== 'held') return transaction.escrowStatus;
+
+        try {
+            await window.paymentService.refundEscrow(transaction.id, 'order_failed');
+            return 'refunded';
+        } catch (refundError) {
+            console.error('Failed to refund order payment:', refundError);
+            return 'held';
+        }
+    }
+
+    // Release stock held by checkouts that never finished (closed tab, lost connection)
+    async releaseStaleReservations() {
+        const now = new Date();
+        const stale = this.orders.filter(o => o.status === 'reserved' && new Date(o.reservedUntil) < now);
+
+        for (const order of stale) {
+            if (!order.offerId) {
+                try {
+                    await window.listingManager?.releaseQuantity(order.listingId, order.quantity);
+                } catch (error) {
+                    console.error('Failed to release reservation:', error);
+                }
+            }
+            order.failureReason = 'Checkout timed out';
+            this.setStatus(order, 'cancelled');
+        }
+    }
+
+    setStatus(order, status) {
+        const now = new Date().toISOString();
+        order.status = status;
+        order.updatedAt = now;
+        order.history.push({ status, at: now });
+        this.saveOrders();
+    }
+
+    // UI
+    openOrderForm(listingId) {
+        const listing = window.listingManager?.getListingById(listingId);
+        if (!listing || !window.paymentService) return;
+
+        const available = window.listingManager.getAvailableQuantity(listing);
+        const unit = listing.unit || 'kg';
+        const providers = window.paymentService.providers;
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+
+        modal.innerHTML = `
+            <div class="modal">
+                <div class="modal-header">
+                    <h2>Buy ${listing.cropType}</h2>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p>${available} ${unit} available at ${listing.price} TSH per ${unit}</p>
+                    <form class="order-form">
+                        <div class="form-group">
+                            <label>Quantity (${unit})*</label>
+                            <input type="number" name="quantity" required min="1" max="${available}" value="${available}">
+                        </div>
+                        <p class="order-total"></p>
+                        <div class="form-group">
+                            <label>Payment Provider</label>
+                            <select name="provider">
+                                ${Object.entries(providers).map(([id, provider]) =>
+            `<option value="${id}">${provider.name}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label>Phone Number*</label>
+                            <input type="tel" name="phone" required>
+                        </div>
+                        <div class="form-group">
+                            <label><input type="checkbox" name="useEscrow" checked> Use Escrow Service</label>
+                        </div>
+                        <div class="form-actions">
+                            <button type="submit" class="btn btn-primary">Place Order</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const form = modal.querySelector('.order-form');
+        const totalEl = modal.querySelector('.order-total');
+        const updateTotal = () => {
+            const quantity = parseFloat(form.quantity.value) || 0;
+            totalEl.textContent = `Total: ${(quantity * listing.price).toLocaleString()} TSH`;
+        };
+        form.quantity.addEventListener('input', updateTotal);
+        updateTotal();
+
+        modal.querySelector('.modal-close').addEventListener('click', () => modal.remove());
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const { quantity, ...paymentData } = Object.fromEntries(new FormData(form));
+
+            try {
+                const { transaction } = await this.placeOrder(listingId, quantity, paymentData);
+                modal.remove();
+                window.paymentService.showPaymentReceipt(transaction);
+            } catch (error) {
+                this.showNotification(error.message, 'error');
+            }
+        });
+    }
+
+    renderOrders() {
+        const container = document.getElementById('myOrders');
+        if (!container) return;
+
+        const user = window.userManager?.getCurrentUser();
+        if (!user) return;
+
+        const orders = this.getUserOrders(user.id);
+        container.innerHTML = '';
+
+        if (orders.length === 0) {
+            container.innerHTML = '<div class="no-listings">No orders yet</div>';
+            return;
+        }
+
+        orders.forEach(order => {
+            const isBuyer = order.buyerId === user.id;
+            const item = document.createElement('div');
+            item.className = 'listing-item';
+            item.dataset.id = order.id;
+
+            item.innerHTML = `
+                <div class="item-info">
+                    <h4>${order.quantity} ${order.unit} ${order.cropType} - ${order.total.toLocaleString()} TSH</h4>
+                    <p>${isBuyer ? `From ${order.farmerName}` : `To ${order.buyerName}`} • ${new Date(order.createdAt).toLocaleDateString()}
+                        ${order.transactionId ? ` • ${order.transactionId}` : ''}${order.escrowStatus !== 'none' ? ` • Escrow ${order.escrowStatus}` : ''}</p>
+                    <span class="listing-status ${order.status}">${order.status}</span>
+                    ${order.status === 'unfulfilled' ? '<small>Paid, but the order could not be completed; support will refund or complete it</small>' : ''}
+                </div>
+                <div class="item-actions">
+                    ${isBuyer && order.status === 'paid' ?
+                `<button class="btn btn-sm btn-primary" onclick="orderManager.handleConfirmDelivery('${order.id}')">Confirm Delivery</button>` : ''}
+                </div>
+            `;
+
+            container.appendChild(item);
+        });
+    }
+
+    async handleConfirmDelivery(orderId) {
+        try {
+            await this.confirmDelivery(orderId);
+            this.showNotification('Delivery confirmed', 'success');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    saveOrders() {
+        localStorage.setItem('mkulima_orders', JSON.stringify(this.orders));
+    }
+
+    generateOrderId() {
+        return 'ord_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    notifyUser(userId, message, type, meta) {
+        if (window.mkulimaApp && window.mkulimaApp.notifyUser) {
+            window.mkulimaApp.notifyUser(userId, message, type, meta);
+        }
+    }
+
+    showNotification(message, type) {
+        if (window.mkulimaApp && window.mkulimaApp.showNotification) {
+            window.mkulimaApp.showNotification(message, type);
+        } else {
+            alert(`${type}: ${message}`);
+        }
+    }
+
+    // Public API
+    getOrderById(id) {
+        return this.orders.find(o => o.id === id);
+    }
+
+    getListingOrders(listingId) {
+        return this.orders.filter(o => o.listingId === listingId);
+    }
+
+    getUserOrders(userId) {
+        return this.orders.filter(o => o.buyerId === userId || o.farmerId === userId);
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.orderManager = new OrderManager();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrderManager;
+}
@@ -209,6 +209,9 @@ class PaymentService {
             currency: provider.currency,
             phone: paymentData.phone,
             description: paymentData.description || 'Payment',
+            orderId: paymentData.orderId || null,
+            contractId: paymentData.contractId || null,
+            listingId: paymentData.listingId || null,
             status: 'pending',
             createdAt: new Date().toISOString(),
             escrowEnabled: this.escrowEnabled && paymentData.useEscrow === 'on',
@@ -284,6 +287,8 @@ class PaymentService {
         // Create escrow record
         const escrowRecord = {
             transactionId: transaction.id,
+            orderId: transaction.orderId,
+            contractId: transaction.contractId,
             amount: transaction.amount,
             currency: transaction.currency,
             buyerId: transaction.userId,
@@ -327,6 +332,34 @@ class PaymentService {
         this.showNotification('Escrow funds released to seller', 'success');
     }
 
+    // Return held funds to the buyer (e.g. a forward contract that was never delivered)
+    async refundEscrow(transactionId, reason = 'not_delivered') {
+        const escrowRecords = JSON.parse(localStorage.getItem('mkulima_escrow') || '[]');
+        const escrowIndex = escrowRecords.findIndex(e => e.transactionId === transactionId);
+
+        if (escrowIndex === -1) {
+            throw new Error('Escrow record not found');
+        }
+
+        if (escrowRecords[escrowIndex].status !== 'held') {
+            throw new Error('Escrow funds are no longer held');
+        }
+
+        escrowRecords[escrowIndex].status = 'refunded';
+        escrowRecords[escrowIndex].refundedAt = new Date().toISOString();
+        escrowRecords[escrowIndex].refundReason = reason;
+
+        localStorage.setItem('mkulima_escrow', JSON.stringify(escrowRecords));
+
+        const transactionIndex = this.transactions.findIndex(t => t.id === transactionId);
+        if (transactionIndex !== -1) {
+            this.transactions[transactionIndex].escrowStatus = 'refunded';
+            localStorage.setItem('mkulima_transactions', JSON.stringify(this.transactions));
+        }
+
+        this.showNotification('Escrow funds refunded to buyer', 'info');
+    }
+
     showPaymentReceipt(transaction) {
         // Create receipt modal
         const modal = document.createElement('div');
@@ -427,6 +460,15 @@ class PaymentService {
         return this.transactions.filter(t => t.escrowEnabled);
     }
 
+    getEscrowRecord(transactionId) {
+        const escrowRecords = JSON.parse(localStorage.getItem('mkulima_escrow') || '[]');
+        return escrowRecords.find(e => e.transactionId === transactionId);
+    }
+
+    getOrderTransactions(orderId) {
+        return this.transactions.filter(t => t.orderId === orderId);
+    }
+
     simulateMobileMoneyCallback(transactionId, status) {
         // Simulate a callback from mobile money provider
         const transactionIndex = this.transactions.findIndex(t => t.id === transactionId);
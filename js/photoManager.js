@@ -0,0 +1,267 @@
+// photoManager.js - Listing photo compression and offline storage for Mkulima Connect
+
+class PhotoManager {
+    constructor() {
+        this.MAX_PHOTOS = 3;
+        // Sized for 2G/3G uploads: roughly 100-200 KB per photo
+        this.settings = {
+            maxDimension: 1024,
+            quality: 0.7,
+            thumbnailDimension: 240,
+            thumbnailQuality: 0.6,
+            mimeType: 'image/jpeg'
+        };
+        this.objectUrls = new Map();
+        this.init();
+    }
+
+    init() {
+        this.setupPhotoPreviews();
+    }
+
+    setupPhotoPreviews() {
+        // Show a local preview next to each photo input
+        document.querySelectorAll('.photo-upload input[type="file"]').forEach(input => {
+            input.addEventListener('change', () => {
+                let preview = input.nextElementSibling;
+                if (!preview || !preview.classList.contains('photo-preview')) {
+                    preview = document.createElement('img');
+                    preview.className = 'photo-preview';
+                    input.after(preview);
+                }
+
+                // Each pick gets a new object URL; free the previous one
+                if (preview.src.startsWith('blob:')) {
+                    URL.revokeObjectURL(preview.src);
+                }
+
+                const file = input.files[0];
+                if (file) {
+                    preview.src = URL.createObjectURL(file);
+                    preview.style.display = '';
+                } else {
+                    preview.style.display = 'none';
+                }
+            });
+        });
+    }
+
+    getSelectedFiles(form) {
+        return Array.from(form.querySelectorAll('.photo-upload input[type="file"]'))
+            .map(input => input.files[0])
+            .filter(file => file && file.type.startsWith('image/'))
+            .slice(0, this.MAX_PHOTOS);
+    }
+
+    async loadImage(file) {
+        if ('createImageBitmap' in window) {
+            return createImageBitmap(file);
+        }
+
+        // Older Android browsers without createImageBitmap
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            const url = URL.createObjectURL(file);
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(img);
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error(`Could not read image ${file.name}`));
+            };
+            img.src = url;
+        });
+    }
+
+    async resizeImage(image, maxDimension, quality) {
+        const scale = Math.min(1, maxDimension / Math.max(image.width, image.height));
+        const width = Math.round(image.width * scale);
+        const height = Math.round(image.height * scale);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, this.settings.mimeType, quality));
+        if (!blob) {
+            throw new Error('Image compression failed');
+        }
+
+        return { blob, width, height };
+    }
+
+    async compressImage(file) {
+        const image = await this.loadImage(file);
+
+        const full = await this.resizeImage(image, this.settings.maxDimension, this.settings.quality);
+        const thumbnail = await this.resizeImage(image, this.settings.thumbnailDimension, this.settings.thumbnailQuality);
+
+        if (image.close) {
+            image.close();
+        }
+
+        return { full, thumbnail, originalSize: file.size };
+    }
+
+    // Compress, store in IndexedDB and upload (or queue) each photo; returns photo ids
+    async saveListingPhotos(listingId, files) {
+        if (!window.offlineManager) {
+            console.warn('Offline storage unavailable - photos not saved');
+            return [];
+        }
+
+        const photoIds = [];
+
+        for (const [index, file] of files.slice(0, this.MAX_PHOTOS).entries()) {
+            try {
+                const { full, thumbnail, originalSize } = await this.compressImage(file);
+
+                const photo = {
+                    id: this.generatePhotoId(),
+                    listingId,
+                    index,
+                    blob: full.blob,
+                    thumbnail: thumbnail.blob,
+                    width: full.width,
+                    height: full.height,
+                    size: full.blob.size,
+                    originalSize,
+                    mimeType: this.settings.mimeType,
+                    uploaded: false,
+                    createdAt: new Date().toISOString()
+                };
+
+                await window.offlineManager.saveToIndexedDB('photos', photo);
+                photoIds.push(photo.id);
+
+                await this.uploadPhoto(photo.id, listingId);
+            } catch (error) {
+                console.error('Failed to process photo:', error);
+                this.showNotification(`Could not process photo ${file.name}`, 'warning');
+            }
+        }
+
+        return photoIds;
+    }
+
+    async uploadPhoto(photoId, listingId) {
+        if (!navigator.onLine) {
+            window.offlineManager.addToQueue('photo_upload', { photoId, listingId });
+            return;
+        }
+
+        try {
+            await window.offlineManager.syncPhotoUpload({ photoId, listingId });
+        } catch (error) {
+            console.error('Photo upload failed, queued for retry:', error);
+            window.offlineManager.addToQueue('photo_upload', { photoId, listingId });
+        }
+    }
+
+    async getPhotoUrl(photoId, variant = 'thumbnail') {
+        const key = `${photoId}:${variant}`;
+        if (this.objectUrls.has(key)) {
+            return this.objectUrls.get(key);
+        }
+
+        const photo = await window.offlineManager?.getFromIndexedDB('photos', photoId);
+        if (!photo) return null;
+
+        const url = URL.createObjectURL(variant === 'full' ? photo.blob : photo.thumbnail);
+        this.objectUrls.set(key, url);
+        return url;
+    }
+
+    // Replace placeholder src on <img data-photo-id> elements once blobs are loaded
+    async hydrateImages(container) {
+        if (!container || !window.offlineManager) return;
+
+        const images = container.querySelectorAll('img[data-photo-id]');
+        for (const img of images) {
+            try {
+                const url = await this.getPhotoUrl(img.dataset.photoId, img.dataset.variant || 'thumbnail');
+                if (url) {
+                    img.src = url;
+                }
+            } catch (error) {
+                console.error('Failed to load photo:', error);
+            }
+        }
+    }
+
+    renderGallery(listing, cropName) {
+        const photoIds = listing.photoIds || [];
+
+        if (photoIds.length === 0) {
+            return `<img src="${listing.imageUrl || 'images/default-crop.jpg'}" alt="${cropName}">`;
+        }
+
+        const thumbnails = photoIds.length > 1 ? `
+            <div class="gallery-thumbnails">
+                ${photoIds.map(id => `
+                    <img src="images/default-crop.jpg" data-photo-id="${id}" data-variant="thumbnail" alt="${cropName}"
+                        onclick="photoManager.showInGallery(this, '${id}')">
+                `).join('')}
+            </div>` : '';
+
+        return `
+            <div class="listing-gallery">
+                <img class="gallery-main" src="images/default-crop.jpg" data-photo-id="${photoIds[0]}" data-variant="full" alt="${cropName}">
+                ${thumbnails}
+            </div>
+        `;
+    }
+
+    async showInGallery(thumbnail, photoId) {
+        const main = thumbnail.closest('.listing-gallery')?.querySelector('.gallery-main');
+        if (!main) return;
+
+        const url = await this.getPhotoUrl(photoId, 'full');
+        if (url) {
+            main.src = url;
+            main.dataset.photoId = photoId;
+        }
+    }
+
+    async deleteListingPhotos(photoIds = []) {
+        if (!window.offlineManager) return;
+
+        for (const photoId of photoIds) {
+            await window.offlineManager.deleteFromIndexedDB('photos', photoId);
+            ['thumbnail', 'full'].forEach(variant => {
+                const key = `${photoId}:${variant}`;
+                if (this.objectUrls.has(key)) {
+                    URL.revokeObjectURL(this.objectUrls.get(key));
+                    this.objectUrls.delete(key);
+                }
+            });
+        }
+    }
+
+    generatePhotoId() {
+        return 'pht_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    showNotification(message, type) {
+        if (window.mkulimaApp && window.mkulimaApp.showNotification) {
+            window.mkulimaApp.showNotification(message, type);
+        }
+    }
+
+    // Public API
+    async getListingPhotos(listingId) {
+        return window.offlineManager?.getAllFromIndexedDB('photos', 'listingId', listingId) || [];
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.photoManager = new PhotoManager();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PhotoManager;
+}
@@ -0,0 +1,381 @@
+// priceAlerts.js - Market price alerts (thresholds and price moves) for Mkulima Connect
+
+class PriceAlertManager {
+    constructor() {
+        this.alerts = JSON.parse(localStorage.getItem('mkulima_price_alerts') || '[]');
+        this.regions = JSON.parse(localStorage.getItem('mkulima_regions') || '[]');
+        this.CONDITIONS = {
+            above: 'Price rises above',
+            below: 'Price falls below',
+            move_up: 'Price rises by (%)',
+            move_down: 'Price falls by (%)',
+            move: 'Price moves by (%)'
+        };
+        this.CURRENCIES = ['TSH', 'KES', 'UGX', 'RWF', 'USD'];
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.loadRegions();
+        this.renderAlerts();
+
+        // Catch up on prices cached while the app was closed
+        const cached = window.marketDataManager?.getCurrentPrices();
+        if (cached?.local) {
+            this.evaluateAlerts(cached);
+        }
+    }
+
+    async loadRegions() {
+        if (this.regions.length === 0) {
+            try {
+                const response = await fetch('data/regions.json');
+                this.regions = (await response.json()).regions;
+            } catch (error) {
+                console.error('Failed to load regions for price alerts:', error);
+            }
+        }
+
+        this.populateScopeSelect();
+    }
+
+    setupEventListeners() {
+        const setAlertBtn = document.getElementById('setAlert');
+        if (setAlertBtn) {
+            setAlertBtn.addEventListener('click', () => this.handleSetAlert());
+        }
+
+        const conditionSelect = document.getElementById('alertCondition');
+        if (conditionSelect) {
+            conditionSelect.addEventListener('change', () => this.updateThresholdPlaceholder());
+        }
+    }
+
+    createAlert(alertData) {
+        const user = window.userManager?.getCurrentUser();
+        if (!user) {
+            throw new Error('You must be logged in to set price alerts');
+        }
+
+        if (!alertData.crop) {
+            throw new Error('Choose a crop');
+        }
+
+        if (!this.CONDITIONS[alertData.condition]) {
+            throw new Error('Choose when to alert you');
+        }
+
+        const threshold = parseFloat(alertData.threshold);
+        if (isNaN(threshold) || threshold <= 0) {
+            throw new Error(this.isMoveCondition(alertData.condition) ? 'Enter the percentage move' : 'Enter the target price per kg');
+        }
+
+        // "market:Arusha", "region:tz-aru", "country:tanzania" or empty for every market
+        const [scopeType, ...scopeValue] = (alertData.scope || '').split(':');
+
+        const alert = {
+            id: this.generateAlertId(),
+            userId: user.id,
+            phone: user.phone,
+            crop: alertData.crop,
+            condition: alertData.condition,
+            threshold,
+            currency: this.CURRENCIES.includes(alertData.currency) ? alertData.currency : 'TSH',
+            scope: scopeType ? { type: scopeType, value: scopeValue.join(':') } : null,
+            notifyBySMS: !!alertData.notifyBySMS,
+            isActive: true,
+            // Per market: whether a threshold is currently met, and the price moves are measured from
+            triggered: {},
+            baselines: {},
+            triggerCount: 0,
+            lastTriggeredAt: null,
+            createdAt: new Date().toISOString()
+        };
+
+        // Start from current prices so an alert that is already met doesn't fire straight away
+        const cached = window.marketDataManager?.getCurrentPrices();
+        this.getMatchingPrices(alert, cached).forEach(({ market, price }) => {
+            alert.baselines[market] = price;
+            alert.triggered[market] = this.isThresholdMet(alert, price);
+        });
+
+        this.alerts.unshift(alert);
+        this.saveAlerts();
+        this.renderAlerts();
+
+        return alert;
+    }
+
+    deleteAlert(alertId) {
+        this.alerts = this.alerts.filter(a => a.id !== alertId);
+        this.saveAlerts();
+        this.renderAlerts();
+    }
+
+    toggleAlert(alertId) {
+        const alert = this.alerts.find(a => a.id === alertId);
+        if (!alert) return;
+
+        alert.isActive = !alert.isActive;
+        this.saveAlerts();
+        this.renderAlerts();
+    }
+
+    // Run against a MarketDataManager price set ({ local, global }); returns the alerts that fired
+    evaluateAlerts(prices) {
+        const fired = [];
+
+        this.alerts.filter(alert => alert.isActive).forEach(alert => {
+            this.getMatchingPrices(alert, prices).forEach(({ market, price }) => {
+                const message = this.checkAlert(alert, market, price);
+                if (message) {
+                    alert.triggerCount++;
+                    alert.lastTriggeredAt = new Date().toISOString();
+                    this.deliver(alert, message);
+                    fired.push(alert);
+                }
+            });
+        });
+
+        this.saveAlerts();
+        this.renderAlerts();
+        return fired;
+    }
+
+    // Thresholds fire when crossed, not on every fetch while they stay met;
+    // moves fire against the last alerted price and then measure from the new one
+    checkAlert(alert, market, price) {
+        const cropName = this.formatCropName(alert.crop);
+        const formatted = this.formatPrice(price, alert.currency);
+
+        if (!this.isMoveCondition(alert.condition)) {
+            const met = this.isThresholdMet(alert, price);
+            const wasMet = alert.triggered[market] || false;
+            alert.triggered[market] = met;
+
+            if (!met || wasMet) return null;
+            return `${cropName} is ${formatted} at ${market}, ${alert.condition} your ${this.formatPrice(alert.threshold, alert.currency)} alert`;
+        }
+
+        const baseline = alert.baselines[market];
+        if (!baseline) {
+            alert.baselines[market] = price;
+            return null;
+        }
+
+        const change = (price - baseline) / baseline * 100;
+        const moved = (alert.condition === 'move_up' && change >= alert.threshold) ||
+            (alert.condition === 'move_down' && -change >= alert.threshold) ||
+            (alert.condition === 'move' && Math.abs(change) >= alert.threshold);
+
+        if (!moved) return null;
+
+        alert.baselines[market] = price;
+        return `${cropName} ${change >= 0 ? 'rose' : 'fell'} ${Math.abs(change).toFixed(1)}% to ${formatted} at ${market}`;
+    }
+
+    isMoveCondition(condition) {
+        return condition.startsWith('move');
+    }
+
+    isThresholdMet(alert, price) {
+        if (alert.condition === 'above') return price > alert.threshold;
+        if (alert.condition === 'below') return price < alert.threshold;
+        return false;
+    }
+
+    // Per-kg prices for the alert's crop and markets, in the alert's currency at each quote's date
+    getMatchingPrices(alert, prices) {
+        if (!prices) return [];
+
+        const items = [
+            ...(prices.local || []),
+            ...(prices.global || []).map(item => ({ ...item, crop: item.crop || item.commodity, market: item.market || 'World' }))
+        ];
+
+        return items
+            .map(item => (window.unitRegistry && item.pricePerKg === undefined ? window.unitRegistry.normalizeMarketPrice(item) : item))
+            .filter(item => item.crop === alert.crop)
+            .filter(item => this.matchesScope(alert.scope, item.market))
+            .map(item => ({ market: item.market, price: this.convertPrice(item, alert.currency) }))
+            .filter(({ price }) => typeof price === 'number' && !isNaN(price));
+    }
+
+    // null when the quote can't be converted; those markets are skipped
+    convertPrice(item, currency) {
+        if (window.marketDataManager) {
+            return window.marketDataManager.convertPrice(item, currency);
+        }
+
+        const from = item.currency || String(item.unit || '').split('/')[0];
+        return from === currency ? item.pricePerKg ?? item.price : null;
+    }
+
+    matchesScope(scope, market) {
+        if (!scope) return true;
+
+        const name = (market || '').toLowerCase();
+        if (scope.type === 'market') {
+            return name === scope.value.toLowerCase();
+        }
+
+        const regions = scope.type === 'region'
+            ? this.regions.filter(r => r.id === scope.value)
+            : this.regions.filter(r => (r.country || '').toLowerCase() === scope.value.toLowerCase());
+
+        return regions.some(region => region.name.toLowerCase() === name ||
+            (region.markets || []).some(m => m.toLowerCase() === name));
+    }
+
+    // In-app notification, plus SMS for users who are offline or not in the app
+    deliver(alert, message) {
+        this.notifyUser(alert.userId, message, 'info', { alertId: alert.id, crop: alert.crop });
+
+        const isActiveUser = window.userManager?.getCurrentUser()?.id === alert.userId;
+        if (alert.notifyBySMS && alert.phone && (!isActiveUser || !navigator.onLine) && window.offlineManager) {
+            window.offlineManager.sendSMSFallback(alert.phone, `Mkulima Connect: ${message}`, 'alert');
+        }
+    }
+
+    // UI
+    handleSetAlert() {
+        const value = (id) => document.getElementById(id)?.value || '';
+
+        try {
+            this.createAlert({
+                crop: value('alertCrop'),
+                condition: value('alertCondition') || 'above',
+                threshold: value('alertPrice'),
+                currency: value('alertCurrency') || 'TSH',
+                scope: value('alertScope'),
+                notifyBySMS: document.getElementById('alertSMS')?.checked
+            });
+
+            document.getElementById('alertPrice').value = '';
+            this.showNotification('Price alert saved', 'success');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    updateThresholdPlaceholder() {
+        const input = document.getElementById('alertPrice');
+        const condition = document.getElementById('alertCondition')?.value || 'above';
+        if (input) {
+            input.placeholder = this.isMoveCondition(condition) ? 'Move (%)' : 'Target price per kg';
+        }
+    }
+
+    populateScopeSelect() {
+        const select = document.getElementById('alertScope');
+        if (!select) return;
+
+        const markets = [...new Set(this.regions.flatMap(r => r.markets || []))];
+        const countries = [...new Set(this.regions.map(r => r.country).filter(Boolean))];
+        const feedMarkets = [...new Set((window.marketDataManager?.getCurrentPrices()?.local || []).map(p => p.market))];
+
+        select.innerHTML = `
+            <option value="">All markets</option>
+            <optgroup label="Countries">
+                ${countries.map(c => `<option value="country:${c.toLowerCase()}">${c}</option>`).join('')}
+            </optgroup>
+            <optgroup label="Regions">
+                ${this.regions.map(r => `<option value="region:${r.id}">${r.name}</option>`).join('')}
+            </optgroup>
+            <optgroup label="Markets">
+                ${[...new Set([...feedMarkets, ...markets])].map(m => `<option value="market:${m}">${m}</option>`).join('')}
+            </optgroup>
+        `;
+    }
+
+    describeAlert(alert) {
+        const threshold = this.isMoveCondition(alert.condition)
+            ? `${alert.threshold}%`
+            : `${this.formatPrice(alert.threshold, alert.currency)}`;
+        const scope = !alert.scope ? 'any market'
+            : alert.scope.type === 'region' ? this.regions.find(r => r.id === alert.scope.value)?.name || alert.scope.value
+                : alert.scope.value;
+
+        return `${this.formatCropName(alert.crop)}: ${this.CONDITIONS[alert.condition].replace(' (%)', '')} ${threshold} (${scope})`;
+    }
+
+    renderAlerts() {
+        const container = document.getElementById('activeAlerts');
+        if (!container) return;
+
+        const user = window.userManager?.getCurrentUser();
+        const alerts = this.alerts.filter(a => a.userId === user?.id);
+        const heading = '<h4>Your Active Alerts</h4>';
+
+        if (!user) {
+            container.innerHTML = `${heading}<div class="no-listings">Log in to set price alerts</div>`;
+            return;
+        }
+
+        if (alerts.length === 0) {
+            container.innerHTML = `${heading}<div class="no-listings">No price alerts yet</div>`;
+            return;
+        }
+
+        container.innerHTML = heading + alerts.map(alert => `
+            <div class="listing-item">
+                <div class="item-info">
+                    <h4>${this.describeAlert(alert)}</h4>
+                    <span class="listing-status ${alert.isActive ? 'available' : 'expired'}">${alert.isActive ? 'Active' : 'Paused'}</span>
+                    ${alert.notifyBySMS ? '<small>SMS when offline</small>' : ''}
+                    ${alert.lastTriggeredAt ? `<small>Last alerted ${new Date(alert.lastTriggeredAt).toLocaleString()} (${alert.triggerCount}×)</small>` : ''}
+                </div>
+                <div class="item-actions">
+                    <button class="btn btn-sm btn-outline" onclick="priceAlertManager.toggleAlert('${alert.id}')">${alert.isActive ? 'Pause' : 'Resume'}</button>
+                    <button class="btn btn-sm btn-outline" onclick="priceAlertManager.deleteAlert('${alert.id}')">Delete</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    formatCropName(crop) {
+        return window.cropCatalog?.getCropName(crop) || crop;
+    }
+
+    formatPrice(price, currency) {
+        return `${Math.round(price * 100) / 100} ${currency}/kg`;
+    }
+
+    saveAlerts() {
+        localStorage.setItem('mkulima_price_alerts', JSON.stringify(this.alerts));
+    }
+
+    generateAlertId() {
+        return 'alrt_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    notifyUser(userId, message, type, meta) {
+        if (window.mkulimaApp && window.mkulimaApp.notifyUser) {
+            window.mkulimaApp.notifyUser(userId, message, type, meta);
+        }
+    }
+
+    showNotification(message, type) {
+        if (window.mkulimaApp && window.mkulimaApp.showNotification) {
+            window.mkulimaApp.showNotification(message, type);
+        } else {
+            alert(`${type}: ${message}`);
+        }
+    }
+
+    // Public API
+    getUserAlerts(userId) {
+        return this.alerts.filter(a => a.userId === userId);
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.priceAlertManager = new PriceAlertManager();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PriceAlertManager;
+}
@@ -0,0 +1,340 @@
+// priceChart.js - Dependency-free SVG price charts for Mkulima Connect
+
+class PriceChart {
+    constructor() {
+        this.WIDTH = 600;
+        this.PADDING = { top: 16, right: 16, bottom: 28, left: 72 };
+        // Keeps paths short on low-end phones; a year of daily prices is thinned to this
+        this.MAX_POINTS = 120;
+        // Dots with hover titles only on short series
+        this.MAX_MARKERS = 31;
+        this.SERIES_CLASSES = 6; // .chart-series-0 ... -5 in components.css and print.css
+        this.PERIODS = {
+            30: 'daily',
+            90: 'daily',
+            365: 'weekly'
+        };
+        // Bumped on every render so a slow IndexedDB read can't overwrite a newer chart
+        this.renderToken = 0;
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.populateCompareCrops();
+        this.renderCharts();
+    }
+
+    setupEventListeners() {
+        ['chartView', 'chartCrop', 'chartCompareCrops', 'chartPeriod'].forEach(id => {
+            const control = document.getElementById(id);
+            if (control) {
+                control.addEventListener('change', () => this.renderCharts());
+            }
+        });
+    }
+
+    // Called by MarketDataManager whenever prices or the display currency change
+    renderCharts(prices = window.marketDataManager?.getCurrentPrices()) {
+        const summary = window.marketDataManager?.createPriceSummary(prices?.local || []) || {};
+
+        const rangeContainer = document.getElementById('priceRangeChart');
+        if (rangeContainer) {
+            rangeContainer.innerHTML = this.renderRangeChart(summary);
+        }
+
+        const trendContainer = document.getElementById('priceChart');
+        if (trendContainer) {
+            this.renderTrendChart(trendContainer, summary);
+        }
+    }
+
+    async renderTrendChart(container, summary) {
+        const token = ++this.renderToken;
+        const currency = window.marketDataManager?.getDisplayCurrency() || 'TSH';
+        const days = parseInt(document.getElementById('chartPeriod')?.value) || 30;
+        const interval = this.PERIODS[days] || 'daily';
+        const view = document.getElementById('chartView')?.value || container.dataset.view || 'markets';
+
+        const cropSelect = document.getElementById('chartCrop');
+        const crop = cropSelect?.value || Object.keys(summary)[0];
+        if (cropSelect && !cropSelect.value && crop) {
+            cropSelect.value = crop;
+        }
+
+        document.getElementById('chartCrop')?.toggleAttribute('hidden', view !== 'markets');
+        document.getElementById('chartCompareCrops')?.toggleAttribute('hidden', view !== 'crops');
+
+        let series;
+        let band = null;
+        if (view === 'crops') {
+            series = await this.getCropSeries(this.getCompareCrops(summary), days, interval, currency);
+        } else {
+            series = crop ? await this.getMarketSeries(crop, days, interval, currency) : [];
+            if (summary[crop]) {
+                band = { min: summary[crop].min, max: summary[crop].max, label: 'Range across markets now' };
+            }
+        }
+
+        if (token !== this.renderToken) return;
+
+        container.innerHTML = this.renderLineChart(series, {
+            currency,
+            band,
+            label: view === 'crops' ? 'Crop price comparison' : `${this.formatCropName(crop)} prices by market`
+        });
+    }
+
+    // One series per market for a crop, in the display currency
+    async getMarketSeries(crop, days, interval, currency) {
+        if (!window.priceHistory) return [];
+
+        const markets = await window.priceHistory.getMarkets(crop, days);
+        const series = await Promise.all(markets.map(async market => ({
+            label: market,
+            points: await window.priceHistory.getHistory(crop, { days, interval, market, currency })
+        })));
+
+        return series.filter(s => s.points.length > 0);
+    }
+
+    // One series per crop, averaged across markets
+    async getCropSeries(crops, days, interval, currency) {
+        if (!window.priceHistory) return [];
+
+        const series = await Promise.all(crops.map(async crop => ({
+            label: this.formatCropName(crop),
+            points: await window.priceHistory.getHistory(crop, { days, interval, currency })
+        })));
+
+        return series.filter(s => s.points.length > 0);
+    }
+
+    getCompareCrops(summary) {
+        const select = document.getElementById('chartCompareCrops');
+        const chosen = select ? Array.from(select.selectedOptions).map(option => option.value) : [];
+        return chosen.length > 0 ? chosen : Object.keys(summary).slice(0, this.SERIES_CLASSES);
+    }
+
+    // Charts
+    // series: [{ label, points: [{ date, price }], dashed }];
+    // options: { currency, band: { min, max, label }, range: [{ date, low, high }], label, height }
+    renderLineChart(series, options = {}) {
+        if (series.length === 0) {
+            return '<div class="no-listings">No price history recorded yet</div>';
+        }
+
+        const height = options.height || 260;
+        const legendHeight = Math.ceil(series.length / 3) * 18;
+        const plot = {
+            left: this.PADDING.left,
+            top: this.PADDING.top,
+            width: this.WIDTH - this.PADDING.left - this.PADDING.right,
+            height: height - this.PADDING.top - this.PADDING.bottom
+        };
+
+        const thinned = series.map(s => ({ ...s, points: this.thinPoints(s.points) }));
+        const range = options.range || [];
+        const times = [
+            ...thinned.flatMap(s => s.points.map(p => this.toTime(p.date))),
+            ...range.map(p => this.toTime(p.date))
+        ];
+        const values = thinned.flatMap(s => s.points.map(p => p.price));
+        if (options.band) values.push(options.band.min, options.band.max);
+        range.forEach(p => values.push(p.low, p.high));
+
+        const xMin = Math.min(...times);
+        const xMax = Math.max(...times);
+        const scale = this.niceScale(Math.min(...values), Math.max(...values));
+
+        const x = (date) => (xMax === xMin
+            ? plot.left + plot.width / 2
+            : plot.left + (this.toTime(date) - xMin) / (xMax - xMin) * plot.width);
+        const y = (price) => plot.top + plot.height - (price - scale.min) / (scale.max - scale.min) * plot.height;
+
+        const parts = [];
+
+        // Grid and y axis
+        scale.ticks.forEach(tick => {
+            parts.push(`<line class="chart-grid" x1="${plot.left}" x2="${plot.left + plot.width}" y1="${y(tick).toFixed(1)}" y2="${y(tick).toFixed(1)}"/>`);
+            parts.push(`<text class="chart-axis" x="${plot.left - 6}" y="${(y(tick) + 4).toFixed(1)}" text-anchor="end">${this.formatValue(tick, options.currency)}</text>`);
+        });
+
+        // x axis: first, last and up to three dates between
+        const dates = [...new Set(thinned.flatMap(s => s.points.map(p => p.date)))].sort();
+        const step = Math.max(1, Math.ceil((dates.length - 1) / 4));
+        dates.filter((date, i) => i % step === 0 || i === dates.length - 1).forEach(date => {
+            parts.push(`<text class="chart-axis" x="${x(date).toFixed(1)}" y="${height - 8}" text-anchor="middle">${this.formatDate(date)}</text>`);
+        });
+
+        if (options.band) {
+            const top = y(options.band.max);
+            parts.push(`<rect class="chart-band" x="${plot.left}" y="${top.toFixed(1)}" width="${plot.width}" height="${Math.max(1, y(options.band.min) - top).toFixed(1)}">` +
+                `<title>${options.band.label || 'Range'}: ${this.formatValue(options.band.min, options.currency)} - ${this.formatValue(options.band.max, options.currency)}</title></rect>`);
+        }
+
+        // Shaded interval, e.g. a forecast's confidence range
+        if (range.length > 0) {
+            const outline = [
+                ...range.map(p => `${x(p.date).toFixed(1)},${y(p.high).toFixed(1)}`),
+                ...[...range].reverse().map(p => `${x(p.date).toFixed(1)},${y(p.low).toFixed(1)}`)
+            ];
+            parts.push(`<polygon class="chart-band" points="${outline.join(' ')}"/>`);
+        }
+
+        thinned.forEach((s, i) => {
+            const seriesClass = `chart-series-${i % this.SERIES_CLASSES}${s.dashed ? ' chart-dashed' : ''}`;
+            const path = s.points.map((p, j) => `${j === 0 ? 'M' : 'L'}${x(p.date).toFixed(1)},${y(p.price).toFixed(1)}`).join('');
+            parts.push(`<path class="chart-line ${seriesClass}" d="${path}"/>`);
+
+            if (s.points.length <= this.MAX_MARKERS) {
+                s.points.forEach(p => {
+                    parts.push(`<circle class="chart-point ${seriesClass}" cx="${x(p.date).toFixed(1)}" cy="${y(p.price).toFixed(1)}" r="3">` +
+                        `<title>${s.label} ${this.formatDate(p.date)}: ${this.formatValue(p.price, options.currency)}</title></circle>`);
+                });
+            }
+        });
+
+        // Legend below the plot; drawn in the SVG so it prints with the chart
+        thinned.forEach((s, i) => {
+            const legendX = plot.left + (i % 3) * (plot.width / 3);
+            const legendY = height + 12 + Math.floor(i / 3) * 18;
+            parts.push(`<line class="chart-line chart-series-${i % this.SERIES_CLASSES}${s.dashed ? ' chart-dashed' : ''}" x1="${legendX}" x2="${legendX + 18}" y1="${legendY - 4}" y2="${legendY - 4}"/>`);
+            parts.push(`<text class="chart-legend" x="${legendX + 24}" y="${legendY}">${s.label}</text>`);
+        });
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" class="price-chart" viewBox="0 0 ${this.WIDTH} ${height + legendHeight + 8}" role="img" aria-label="${options.label || 'Price chart'}">` +
+            `${parts.join('')}</svg>`;
+    }
+
+    // Min-max band per crop from MarketDataManager.createPriceSummary, with the average and each market marked
+    renderRangeChart(summary, options = {}) {
+        const crops = Object.entries(summary);
+        if (crops.length === 0) {
+            return '<div class="no-listings">No market prices yet</div>';
+        }
+
+        const rowHeight = 28;
+        const labelWidth = 96;
+        const plot = {
+            left: labelWidth,
+            width: this.WIDTH - labelWidth - this.PADDING.right,
+            top: 8
+        };
+        const height = plot.top + crops.length * rowHeight + this.PADDING.bottom;
+        const currency = crops[0][1].currency || options.currency;
+
+        const scale = this.niceScale(
+            Math.min(...crops.map(([, data]) => data.min)),
+            Math.max(...crops.map(([, data]) => data.max)),
+            0
+        );
+        const x = (price) => plot.left + (price - scale.min) / (scale.max - scale.min) * plot.width;
+
+        const parts = [];
+
+        scale.ticks.forEach(tick => {
+            parts.push(`<line class="chart-grid" x1="${x(tick).toFixed(1)}" x2="${x(tick).toFixed(1)}" y1="${plot.top}" y2="${height - this.PADDING.bottom}"/>`);
+            parts.push(`<text class="chart-axis" x="${x(tick).toFixed(1)}" y="${height - 8}" text-anchor="middle">${this.formatValue(tick, currency)}</text>`);
+        });
+
+        crops.forEach(([crop, data], i) => {
+            const rowY = plot.top + i * rowHeight;
+            const middle = rowY + rowHeight / 2;
+            const bandWidth = Math.max(2, x(data.max) - x(data.min));
+
+            parts.push(`<text class="chart-legend" x="${labelWidth - 8}" y="${middle + 4}" text-anchor="end">${this.formatCropName(crop)}</text>`);
+            parts.push(`<rect class="chart-band" x="${x(data.min).toFixed(1)}" y="${rowY + 6}" width="${bandWidth.toFixed(1)}" height="${rowHeight - 12}">` +
+                `<title>${this.formatCropName(crop)}: ${this.formatValue(data.min, currency)} - ${this.formatValue(data.max, currency)}</title></rect>`);
+            parts.push(`<line class="chart-average" x1="${x(data.avg).toFixed(1)}" x2="${x(data.avg).toFixed(1)}" y1="${rowY + 4}" y2="${rowY + rowHeight - 4}">` +
+                `<title>Average ${this.formatValue(data.avg, currency)}</title></line>`);
+
+            data.markets.forEach(market => {
+                parts.push(`<circle class="chart-point chart-series-0" cx="${x(market.price).toFixed(1)}" cy="${middle}" r="3">` +
+                    `<title>${market.name}: ${this.formatValue(market.price, currency)}</title></circle>`);
+            });
+        });
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" class="price-chart price-range-chart" viewBox="0 0 ${this.WIDTH} ${height}" role="img" aria-label="${options.label || 'Price range by crop across markets'}">` +
+            `${parts.join('')}</svg>`;
+    }
+
+    // Every n-th point, always keeping the latest
+    thinPoints(points) {
+        if (points.length <= this.MAX_POINTS) return points;
+
+        const step = Math.ceil(points.length / this.MAX_POINTS);
+        return points.filter((p, i) => i % step === 0 || i === points.length - 1);
+    }
+
+    // Round axis bounds with 1, 2 or 5 steps; padding is a fraction of the range
+    niceScale(min, max, padding = 0.05) {
+        if (min === max) {
+            min -= Math.abs(min) * 0.1 || 1;
+            max += Math.abs(max) * 0.1 || 1;
+        }
+
+        const range = max - min;
+        min = Math.max(0, min - range * padding);
+        max += range * padding;
+
+        const rough = (max - min) / 4;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+        const step = [1, 2, 5, 10].map(f => f * magnitude).find(s => s >= rough);
+
+        const niceMin = Math.floor(min / step) * step;
+        const niceMax = Math.ceil(max / step) * step;
+        const ticks = [];
+        for (let tick = niceMin; tick <= niceMax + step / 2; tick += step) {
+            ticks.push(Math.round(tick * 1e6) / 1e6);
+        }
+
+        return { min: niceMin, max: niceMax, ticks };
+    }
+
+    toTime(date) {
+        return new Date(`${date}T00:00:00Z`).getTime();
+    }
+
+    formatDate(date) {
+        return new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    }
+
+    formatValue(value, currency = 'TSH') {
+        const rounded = currency === 'USD' ? Math.round(value * 100) / 100 : Math.round(value);
+        return `${rounded.toLocaleString()} ${currency}`;
+    }
+
+    formatCropName(crop) {
+        return window.cropCatalog?.getCropName(crop) || crop;
+    }
+
+    // UI
+    populateCompareCrops() {
+        const select = document.getElementById('chartCompareCrops');
+        if (!select || !window.cropCatalog) return;
+
+        const summaryCrops = Object.keys(window.marketDataManager?.getCurrentPrices()?.summary || {});
+        select.innerHTML = window.cropCatalog.getCrops()
+            .map(crop => `<option value="${crop.id}" ${summaryCrops.includes(crop.id) ? 'selected' : ''}>${this.formatCropName(crop.id)}</option>`)
+            .join('');
+    }
+
+    // Public API
+    renderInto(containerId, series, options = {}) {
+        const container = document.getElementById(containerId);
+        if (container) {
+            container.innerHTML = this.renderLineChart(series, options);
+        }
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.priceChart = new PriceChart();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PriceChart;
+}
@@ -0,0 +1,431 @@
+// priceForecast.js - Short-term price forecasts and sell/hold hints for Mkulima Connect
+
+class PriceForecast {
+    constructor() {
+        this.settings = {
+            horizonWeeks: 4,
+            historyDays: 730,
+            minWeeks: 6, // Fewer weekly prices than this gives no forecast at all
+            seasonalMinWeeks: 52, // A full year of weekly prices before seasons are told apart from trend
+            trendWeeks: 8, // Recent deseasonalised weeks the trend line is fitted to
+            trendDamping: 0.8, // Each week ahead carries less of the recent trend
+            minSeasonWeeks: 2, // Weeks of history a season needs before it gets its own index
+            storageCostPercentPerMonth: 2, // Storage, losses and interest while holding produce
+            country: 'tanzania',
+            ...JSON.parse(localStorage.getItem('mkulima_forecast_settings') || '{}')
+        };
+        // Last forecast per crop, so trends and the page have something before IndexedDB answers
+        this.forecasts = JSON.parse(localStorage.getItem('mkulima_price_forecasts') || '{}');
+        this.INTERVAL_LEVEL = 0.8;
+        this.Z_SCORE = 1.2816; // Two-sided 80% interval
+        this.MONTHS = ['January', 'February', 'March', 'April', 'May', 'June',
+            'July', 'August', 'September', 'October', 'November', 'December'];
+        this.FORECAST_TEXT = {
+            en: {
+                hold: 'Prices are likely to rise about {change}% over the next {weeks} weeks. If you can store {crop} safely, holding may pay more than the storage costs.',
+                sell: 'Prices are likely to fall about {change}% over the next {weeks} weeks. Selling {crop} now is the safer choice.',
+                neutral: 'No clear price move is expected over the next {weeks} weeks. Holding {crop} may not cover storage costs and losses.',
+                perishable: '{crop} does not keep for {weeks} weeks. Sell while it is fresh.',
+                insufficient: 'Not enough price history for {crop} yet. Check back after a few more weeks of prices.',
+                uncertain: 'This forecast is uncertain; use it as a rough guide only.',
+                expected: 'Expected in {weeks} weeks: {price} (80% chance between {low} and {high}).',
+                outlook_hold: 'Hold',
+                outlook_sell: 'Sell now',
+                outlook_neutral: 'No clear signal',
+                outlook_perishable: 'Sell fresh',
+                confidence_low: 'Low confidence',
+                confidence_medium: 'Medium confidence',
+                confidence_high: 'High confidence',
+                based_on: 'Based on {weeks} weeks of prices',
+                based_on_one: 'Based on 1 week of prices',
+                no_season: 'Seasonal pattern not available until there is a year of prices.',
+                long_rains: 'Long rains',
+                short_rains: 'Short rains',
+                long_harvest: 'Long-rains harvest',
+                short_harvest: 'Short-rains harvest',
+                dry: 'Dry season'
+            },
+            sw: {
+                hold: 'Bei zinatarajiwa kupanda karibu {change}% katika wiki {weeks} zijazo. Ukiweza kuhifadhi {crop} salama, kusubiri kunaweza kulipa zaidi ya gharama za kuhifadhi.',
+                sell: 'Bei zinatarajiwa kushuka karibu {change}% katika wiki {weeks} zijazo. Kuuza {crop} sasa ni salama zaidi.',
+                neutral: 'Hakuna mabadiliko makubwa ya bei yanayotarajiwa katika wiki {weeks} zijazo. Kuhifadhi {crop} huenda kusilipe gharama za kuhifadhi na upotevu.',
+                perishable: '{crop} haidumu kwa wiki {weeks}. Uza ikiwa bado mbichi.',
+                insufficient: 'Bado hakuna historia ya bei ya {crop} ya kutosha. Angalia tena baada ya wiki chache za bei.',
+                uncertain: 'Utabiri huu hauna uhakika mkubwa; utumie kama mwongozo tu.',
+                expected: 'Inatarajiwa baada ya wiki {weeks}: {price} (uwezekano wa 80% kati ya {low} na {high}).',
+                outlook_hold: 'Hifadhi',
+                outlook_sell: 'Uza sasa',
+                outlook_neutral: 'Hakuna mwelekeo wazi',
+                outlook_perishable: 'Uza mapema',
+                confidence_low: 'Uhakika mdogo',
+                confidence_medium: 'Uhakika wa wastani',
+                confidence_high: 'Uhakika mkubwa',
+                based_on: 'Kutokana na wiki {weeks} za bei',
+                based_on_one: 'Kutokana na wiki 1 ya bei',
+                no_season: 'Mwenendo wa msimu haupatikani hadi kuwe na bei za mwaka mzima.',
+                long_rains: 'Masika',
+                short_rains: 'Vuli',
+                long_harvest: 'Mavuno ya masika',
+                short_harvest: 'Mavuno ya vuli',
+                dry: 'Kiangazi'
+            }
+        };
+        this.renderToken = 0;
+        this.init();
+    }
+
+    init() {
+        this.renderForecasts();
+        this.refreshForecasts();
+    }
+
+    // Recompute forecasts for every crop in the latest prices, in the display currency
+    async refreshForecasts() {
+        if (!window.priceHistory) return;
+
+        const token = ++this.renderToken;
+        const currency = window.marketDataManager?.getDisplayCurrency() || 'TSH';
+        const crops = [...new Set((window.marketDataManager?.getCurrentPrices()?.local || []).map(p => p.crop))];
+
+        for (const crop of crops) {
+            try {
+                this.forecasts[crop] = await this.forecastCrop(crop, currency);
+            } catch (error) {
+                console.error(`Failed to forecast ${crop} prices:`, error);
+            }
+        }
+
+        if (token !== this.renderToken) return;
+
+        localStorage.setItem('mkulima_price_forecasts', JSON.stringify(this.forecasts));
+        this.renderForecasts();
+    }
+
+    async forecastCrop(crop, currency) {
+        const history = await window.priceHistory.getHistory(crop, { days: this.settings.historyDays, interval: 'weekly', currency });
+        const points = history
+            .map(point => ({ date: point.date, price: point.price }))
+            .filter(point => point.price > 0);
+
+        return this.buildForecast(crop, points, currency);
+    }
+
+    // points: weekly [{ date, price }], oldest first
+    buildForecast(crop, points, currency) {
+        const base = {
+            crop,
+            currency,
+            generatedAt: new Date().toISOString(),
+            weeksOfHistory: points.length,
+            history: points
+        };
+
+        if (points.length < this.settings.minWeeks) {
+            return { ...base, status: 'insufficient', outlook: null, confidence: null };
+        }
+
+        const prices = points.map(p => p.price);
+        const phases = points.map(p => this.getSeasonPhase(p.date, crop));
+        const seasonal = this.getSeasonalIndices(prices, phases);
+
+        // Trend line through recent prices with the season taken out
+        const deseasonalised = prices.map((price, i) => price / seasonal.indices[phases[i]]);
+        const trend = this.fitTrend(deseasonalised.slice(-this.settings.trendWeeks));
+
+        const lastDate = new Date(`${points[points.length - 1].date}T00:00:00Z`);
+        const forecast = [];
+        let damping = 0;
+
+        for (let week = 1; week <= this.settings.horizonWeeks; week++) {
+            damping += Math.pow(this.settings.trendDamping, week);
+
+            const date = new Date(lastDate.getTime() + week * 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+            const phase = this.getSeasonPhase(date, crop);
+            const factor = seasonal.indices[phase] ?? 1;
+            const level = trend.level + trend.slope * damping;
+            const margin = this.Z_SCORE * trend.standardError(week);
+
+            forecast.push({
+                date,
+                phase,
+                price: Math.max(0, level * factor),
+                low: Math.max(0, (level - margin) * factor),
+                high: (level + margin) * factor
+            });
+        }
+
+        const current = prices[prices.length - 1];
+        const final = forecast[forecast.length - 1];
+        // Half the interval relative to the forecast: within 8% is a tight call, beyond 20% a loose one
+        const spread = (final.high - final.low) / 2 / (final.price || 1);
+        let confidence = spread <= 0.08 ? 'high' : spread <= 0.2 ? 'medium' : 'low';
+
+        // Seasons never seen in the history fall back to no seasonal effect; don't claim more than we know
+        if (confidence === 'high' && (!seasonal.available || forecast.some(f => !seasonal.observed.includes(f.phase)))) {
+            confidence = 'medium';
+        }
+
+        const result = {
+            ...base,
+            status: 'ok',
+            current,
+            points: forecast,
+            changePercent: (final.price - current) / current * 100,
+            confidence,
+            intervalLevel: this.INTERVAL_LEVEL,
+            phase: phases[phases.length - 1],
+            seasonalIndices: seasonal.indices,
+            seasonalAvailable: seasonal.available
+        };
+        result.outlook = this.getOutlook(result);
+
+        return result;
+    }
+
+    // Ratio of each price to a trend line fitted through the whole series, averaged per season and
+    // scaled so they average to 1. Under a year of prices the seasons can't be told apart from the
+    // trend, so every index stays 1 and the forecast says so.
+    getSeasonalIndices(prices, phases) {
+        const indices = {};
+        const observed = [];
+        const phaseNames = ['long_rains', 'short_rains', 'long_harvest', 'short_harvest', 'dry'];
+
+        if (prices.length < this.settings.seasonalMinWeeks) {
+            phaseNames.forEach(phase => { indices[phase] = 1; });
+            return { indices, observed, available: false };
+        }
+
+        const trend = this.fitTrend(prices);
+        const ratios = {};
+        prices.forEach((price, i) => {
+            const baseline = trend.level - trend.slope * (prices.length - 1 - i);
+            if (baseline > 0) {
+                (ratios[phases[i]] = ratios[phases[i]] || []).push(price / baseline);
+            }
+        });
+
+        Object.entries(ratios).forEach(([phase, values]) => {
+            if (values.length >= this.settings.minSeasonWeeks) {
+                indices[phase] = values.reduce((sum, v) => sum + v, 0) / values.length;
+                observed.push(phase);
+            }
+        });
+
+        const weighted = phases.reduce((sum, phase) => sum + (indices[phase] ?? 1), 0) / phases.length;
+        phaseNames.forEach(phase => {
+            indices[phase] = (indices[phase] ?? 1) / weighted;
+        });
+
+        return { indices, observed, available: true };
+    }
+
+    // Least-squares line; standardError(weeksAhead) is the prediction error for a single future week
+    fitTrend(values) {
+        const n = values.length;
+        const meanX = (n - 1) / 2;
+        const meanY = values.reduce((sum, v) => sum + v, 0) / n;
+
+        let sxx = 0;
+        let sxy = 0;
+        values.forEach((value, x) => {
+            sxx += (x - meanX) ** 2;
+            sxy += (x - meanX) * (value - meanY);
+        });
+
+        const slope = sxx > 0 ? sxy / sxx : 0;
+        const intercept = meanY - slope * meanX;
+        const residuals = values.map((value, x) => value - (intercept + slope * x));
+        // With too few points for a spread, assume prices move 10% a week
+        const sigma = n > 2
+            ? Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / (n - 2))
+            : meanY * 0.1;
+
+        return {
+            level: intercept + slope * (n - 1),
+            slope,
+            standardError: (weeksAhead) => {
+                const x = n - 1 + weeksAhead;
+                return sigma * Math.sqrt(1 + 1 / n + (sxx > 0 ? (x - meanX) ** 2 / sxx : 0));
+            }
+        };
+    }
+
+    // Rains months from the crops.json calendar; the harvest follows each rains season by the crop's growing period
+    getSeasonPhase(date, crop) {
+        const month = new Date(`${date}T00:00:00Z`).getUTCMonth();
+        const calendar = window.cropCatalog?.getSeasonalCalendar(this.getCountry()) || {
+            longRains: ['March', 'April', 'May'],
+            shortRains: ['October', 'November', 'December']
+        };
+        const cropInfo = window.cropCatalog?.getCrop(crop);
+        const growingDays = window.cropCatalog?.getGrowingPeriodDays(crop);
+        // Perennials like coffee have no harvest tied to one rains season
+        const harvestOffset = growingDays && growingDays < 365 ? Math.round(growingDays / 30) : null;
+
+        const seasons = [
+            { key: 'long', months: calendar.longRains },
+            { key: 'short', months: calendar.shortRains }
+        ].map(season => ({ ...season, months: season.months.map(name => this.MONTHS.indexOf(name)).filter(m => m >= 0) }));
+
+        if (harvestOffset !== null) {
+            const harvest = seasons.find(season =>
+                (!cropInfo?.growingSeason || cropInfo.growingSeason.includes(season.key)) &&
+                season.months.some(m => (m + harvestOffset) % 12 === month));
+            if (harvest) return `${harvest.key}_harvest`;
+        }
+
+        const rains = seasons.find(season => season.months.includes(month));
+        return rains ? `${rains.key}_rains` : 'dry';
+    }
+
+    getCountry() {
+        const user = window.userManager?.getCurrentUser();
+        return window.locationManager?.resolveRegion(user?.location)?.country || this.settings.country;
+    }
+
+    // Holding only pays if the expected rise beats storage costs and losses over the horizon
+    getOutlook(forecast) {
+        const horizonDays = this.settings.horizonWeeks * 7;
+        const shelfLife = window.cropCatalog?.getShelfLifeDays(forecast.crop);
+        if (shelfLife !== null && shelfLife !== undefined && shelfLife < horizonDays) {
+            return 'perishable';
+        }
+
+        const storageCost = this.settings.storageCostPercentPerMonth * horizonDays / 30;
+        const final = forecast.points[forecast.points.length - 1];
+
+        if (forecast.changePercent > storageCost && (final.low >= forecast.current || forecast.confidence !== 'low')) {
+            return 'hold';
+        }
+        if (forecast.changePercent < 0) {
+            return 'sell';
+        }
+        return 'neutral';
+    }
+
+    getLanguage() {
+        const lang = window.translationManager?.getCurrentLanguage() || localStorage.getItem('mkulima_lang') || 'en';
+        return this.FORECAST_TEXT[lang] ? lang : 'en';
+    }
+
+    text(key, context = {}, lang = this.getLanguage()) {
+        return Object.entries(context).reduce(
+            (text, [name, value]) => text.replace(`{${name}}`, value),
+            this.FORECAST_TEXT[lang][key]
+        );
+    }
+
+    // Plain-language "sell now vs. hold" advice
+    getHint(forecast, lang = this.getLanguage()) {
+        const crop = window.cropCatalog?.getCropName(forecast.crop, lang) || forecast.crop;
+        const weeks = this.settings.horizonWeeks;
+
+        if (forecast.status !== 'ok') {
+            return this.text('insufficient', { crop }, lang);
+        }
+
+        const final = forecast.points[forecast.points.length - 1];
+        const parts = [
+            this.text(forecast.outlook, { crop, weeks, change: Math.abs(forecast.changePercent).toFixed(1) }, lang),
+            this.text('expected', {
+                weeks,
+                price: this.formatPrice(final.price, forecast.currency),
+                low: this.formatPrice(final.low, forecast.currency),
+                high: this.formatPrice(final.high, forecast.currency)
+            }, lang)
+        ];
+
+        if (forecast.confidence === 'low') {
+            parts.push(this.text('uncertain', {}, lang));
+        }
+
+        if (forecast.seasonalAvailable === false) {
+            parts.push(this.text('no_season', {}, lang));
+        }
+
+        return parts.join(' ');
+    }
+
+    basedOn(forecast, lang = this.getLanguage()) {
+        const weeks = forecast.weeksOfHistory;
+        return weeks === 1 ? this.text('based_on_one', {}, lang) : this.text('based_on', { weeks }, lang);
+    }
+
+    formatPrice(price, currency) {
+        const rounded = currency === 'USD' ? Math.round(price * 100) / 100 : Math.round(price);
+        return `${rounded.toLocaleString()} ${currency}/kg`;
+    }
+
+    // UI
+    renderForecasts() {
+        const container = document.getElementById('priceForecasts');
+        if (!container) return;
+
+        const currency = window.marketDataManager?.getDisplayCurrency() || 'TSH';
+        const forecasts = Object.values(this.forecasts).filter(f => f.currency === currency);
+
+        if (forecasts.length === 0) {
+            container.innerHTML = '<div class="no-listings">Forecasts appear once a few weeks of prices have been recorded</div>';
+            return;
+        }
+
+        container.innerHTML = forecasts.map(forecast => this.renderForecastCard(forecast)).join('');
+    }
+
+    renderForecastCard(forecast) {
+        const cropName = window.cropCatalog?.getCropName(forecast.crop) || forecast.crop;
+
+        if (forecast.status !== 'ok') {
+            return `
+                <div class="forecast-card">
+                    <h4>${cropName}</h4>
+                    <p class="forecast-hint">${this.getHint(forecast)}</p>
+                    <small>${this.basedOn(forecast)}</small>
+                </div>
+            `;
+        }
+
+        const last = forecast.history[forecast.history.length - 1];
+        const chart = window.priceChart?.renderLineChart([
+            { label: cropName, points: forecast.history.slice(-12) },
+            { label: this.text(`outlook_${forecast.outlook}`), points: [last, ...forecast.points], dashed: true }
+        ], {
+            currency: forecast.currency,
+            range: [{ date: last.date, low: last.price, high: last.price }, ...forecast.points],
+            height: 180,
+            label: `${cropName} price forecast`
+        }) || '';
+
+        return `
+            <div class="forecast-card">
+                <h4>
+                    ${cropName}
+                    <span class="forecast-outlook ${forecast.outlook}">${this.text(`outlook_${forecast.outlook}`)}</span>
+                </h4>
+                <p class="forecast-hint">${this.getHint(forecast)}</p>
+                ${chart}
+                <small>
+                    ${this.text(`confidence_${forecast.confidence}`)} •
+                    ${this.basedOn(forecast)} •
+                    ${this.text(forecast.phase)}
+                </small>
+            </div>
+        `;
+    }
+
+    // Public API
+    getForecast(crop, currency = window.marketDataManager?.getDisplayCurrency() || 'TSH') {
+        const forecast = this.forecasts[crop];
+        return forecast && forecast.currency === currency ? forecast : null;
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.priceForecast = new PriceForecast();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PriceForecast;
+}
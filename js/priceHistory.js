@@ -0,0 +1,195 @@
+// priceHistory.js - Dated market price time series (IndexedDB) for Mkulima Connect
+
+class PriceHistory {
+    constructor() {
+        this.settings = {
+            minIntervalMinutes: 60, // Unchanged prices are recorded at most this often per market
+            retentionDays: 730, // Two years, so seasonal forecasts see each season more than once
+            maxObservations: 40000, // Roughly 6 MB; keeps phones well inside storage quotas
+            ...JSON.parse(localStorage.getItem('mkulima_price_history_settings') || '{}')
+        };
+        // Last recorded price per crop and market, so unchanged fetches skip IndexedDB
+        this.lastObservations = JSON.parse(localStorage.getItem('mkulima_price_history_last') || '{}');
+        this.INTERVALS = ['daily', 'weekly', 'monthly'];
+        this.init();
+    }
+
+    init() {
+        this.pruneHistory();
+    }
+
+    isAvailable() {
+        return !!window.offlineManager && typeof indexedDB !== 'undefined';
+    }
+
+    // Record a fetch from MarketDataManager ({ local, global } price lists)
+    async recordPrices(prices, observedAt = new Date()) {
+        if (!this.isAvailable()) return 0;
+
+        const items = [
+            ...(prices.local || []),
+            // Global feeds name the crop "commodity" and have no market
+            ...(prices.global || []).map(item => ({ ...item, crop: item.crop || item.commodity, market: item.market || 'World' }))
+        ].filter(item => item.crop && item.market && typeof item.price === 'number' && !isNaN(item.price));
+
+        const observations = items
+            .map(item => this.buildObservation(item, observedAt))
+            .filter(observation => this.shouldRecord(observation));
+
+        for (const observation of observations) {
+            await window.offlineManager.saveToIndexedDB('prices', observation);
+            this.lastObservations[this.getSeriesKey(observation.crop, observation.market)] = {
+                price: observation.price,
+                observedAt: observation.observedAt
+            };
+        }
+
+        localStorage.setItem('mkulima_price_history_last', JSON.stringify(this.lastObservations));
+        return observations.length;
+    }
+
+    buildObservation(item, observedAt) {
+        const normalized = window.unitRegistry ? window.unitRegistry.normalizeMarketPrice(item) : item;
+        const timestamp = observedAt.toISOString();
+
+        return {
+            id: `${this.getSeriesKey(item.crop, item.market)}|${timestamp}`,
+            crop: item.crop,
+            market: item.market,
+            date: timestamp.split('T')[0],
+            observedAt: timestamp,
+            price: item.price,
+            unit: item.unit,
+            currency: normalized.currency || String(item.unit || '').split('/')[0] || 'TSH',
+            pricePerKg: normalized.pricePerKg ?? null
+        };
+    }
+
+    shouldRecord(observation) {
+        const last = this.lastObservations[this.getSeriesKey(observation.crop, observation.market)];
+        if (!last || last.price !== observation.price) return true;
+
+        const minutes = (new Date(observation.observedAt) - new Date(last.observedAt)) / 60000;
+        return minutes >= this.settings.minIntervalMinutes;
+    }
+
+    getSeriesKey(crop, market) {
+        return `${crop}|${market}`;
+    }
+
+    // Drop observations past retention, then the oldest beyond the size cap
+    async pruneHistory() {
+        if (!this.isAvailable()) return 0;
+
+        try {
+            const cutoff = new Date(Date.now() - this.settings.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+            let deleted = await window.offlineManager.deleteFromIndexedDBIndex('prices', 'observedAt', IDBKeyRange.upperBound(cutoff, true));
+
+            const count = await window.offlineManager.countIndexedDB('prices');
+            if (count > this.settings.maxObservations) {
+                deleted += await window.offlineManager.deleteFromIndexedDBIndex('prices', 'observedAt', null, count - this.settings.maxObservations);
+            }
+
+            return deleted;
+        } catch (error) {
+            console.error('Failed to prune price history:', error);
+            return 0;
+        }
+    }
+
+    async getObservations(crop, days = 30) {
+        if (!this.isAvailable()) return [];
+
+        const end = new Date().toISOString().split('T')[0];
+        const start = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+        try {
+            return await window.offlineManager.getAllFromIndexedDB('prices', 'cropDate', IDBKeyRange.bound([crop, start], [crop, end]));
+        } catch (error) {
+            console.error('Failed to read price history:', error);
+            return [];
+        }
+    }
+
+    // Aggregated series: [{ date, price, min, max, open, close, count, currency }], oldest first.
+    // Prices are per kg where the unit is known; other currencies are converted at each observation's date.
+    async getHistory(crop, options = {}) {
+        const { days = 30, interval = 'daily', market = null } = options;
+
+        if (!this.INTERVALS.includes(interval)) {
+            throw new Error(`Unknown interval: ${interval}`);
+        }
+
+        let observations = await this.getObservations(crop, days);
+        if (market) {
+            observations = observations.filter(o => o.market === market);
+        }
+        if (observations.length === 0) return [];
+
+        const currency = options.currency || this.getMainCurrency(observations);
+        observations = observations.sort((a, b) => a.observedAt.localeCompare(b.observedAt));
+
+        const buckets = new Map();
+        observations.forEach(observation => {
+            const price = this.convertObservation(observation, currency);
+            if (price === null) return;
+
+            const key = this.getBucketDate(observation.date, interval);
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(price);
+        });
+
+        return [...buckets.entries()].map(([date, prices]) => ({
+            date,
+            price: Math.round(prices.reduce((sum, p) => sum + p, 0) / prices.length * 100) / 100,
+            min: Math.min(...prices),
+            max: Math.max(...prices),
+            open: prices[0],
+            close: prices[prices.length - 1],
+            count: prices.length,
+            currency
+        }));
+    }
+
+    // null when there is no rate for the observation's currency
+    convertObservation(observation, currency) {
+        const price = observation.pricePerKg ?? observation.price;
+        if (observation.currency === currency) return price;
+
+        return window.currencyService?.convert(price, observation.currency, currency, observation.date) ?? null;
+    }
+
+    // TSH when Tanzanian markets are in the data, otherwise the most quoted currency
+    getMainCurrency(observations) {
+        const counts = {};
+        observations.forEach(o => { counts[o.currency] = (counts[o.currency] || 0) + 1; });
+
+        if (counts.TSH) return 'TSH';
+        return Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0];
+    }
+
+    // Weeks start on Monday; months on the 1st
+    getBucketDate(date, interval) {
+        if (interval === 'daily') return date;
+        if (interval === 'monthly') return `${date.slice(0, 7)}-01`;
+
+        const day = new Date(`${date}T00:00:00Z`);
+        day.setUTCDate(day.getUTCDate() - (day.getUTCDay() + 6) % 7);
+        return day.toISOString().split('T')[0];
+    }
+
+    // Public API
+    async getMarkets(crop, days = 30) {
+        return [...new Set((await this.getObservations(crop, days)).map(o => o.market))];
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.priceHistory = new PriceHistory();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PriceHistory;
+}
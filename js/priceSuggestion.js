@@ -0,0 +1,222 @@
+// priceSuggestion.js - Suggested asking price for new listings in Mkulima Connect
+
+class PriceSuggestion {
+    constructor() {
+        this.settings = {
+            nearestMarkets: 3, // Markets averaged into the suggestion
+            defaultQuantityKg: 1000, // Used for transport when no quantity is entered yet
+            singleMarketSpread: 0.1, // +/- range when only one market has a price
+            warnOutside: 0.25, // Warn when the price is this far outside the range
+            ...JSON.parse(localStorage.getItem('mkulima_price_suggestion_settings') || '{}')
+        };
+        this.suggestion = null;
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const form = document.getElementById('listingForm');
+        if (!form) return;
+
+        ['cropType', 'quality', 'unit', 'quantity', 'location'].forEach(id => {
+            const field = document.getElementById(id);
+            if (field) {
+                field.addEventListener('change', () => this.updateSuggestion());
+            }
+        });
+
+        const priceInput = document.getElementById('price');
+        if (priceInput) {
+            priceInput.addEventListener('input', () => this.renderSuggestion());
+        }
+
+        form.addEventListener('reset', () => setTimeout(() => this.updateSuggestion(), 0));
+    }
+
+    getFormValues() {
+        const value = (id) => document.getElementById(id)?.value || '';
+
+        return {
+            cropType: value('cropType'),
+            quality: value('quality'),
+            unit: value('unit') || 'kg',
+            quantity: parseFloat(value('quantity')) || null,
+            location: value('location'),
+            latitude: value('latitude'),
+            longitude: value('longitude'),
+            price: parseFloat(value('price')) || null
+        };
+    }
+
+    updateSuggestion() {
+        this.suggestion = this.suggestPrice(this.getFormValues());
+        this.renderSuggestion();
+    }
+
+    // Cached prices are used as-is, so this also works offline
+    getMarketPrices(cropType) {
+        const registry = window.unitRegistry;
+        const prices = window.marketDataManager?.getCurrentPrices()?.local ||
+            JSON.parse(localStorage.getItem('mkulima_prices') || '{}').local || [];
+
+        if (!registry) return [];
+
+        // Kenyan, Ugandan and Rwandan markets quote in their own currency; compare everything in TSH
+        return prices
+            .filter(p => p.crop === cropType)
+            .map(p => registry.normalizeMarketPrice(p))
+            .map(p => p.currency === 'TSH' ? p : {
+                ...p,
+                currency: 'TSH',
+                pricePerKg: window.currencyService?.convert(p.pricePerKg, p.currency, 'TSH', p.date || new Date()) ?? null
+            })
+            .filter(p => p.pricePerKg !== null);
+    }
+
+    suggestPrice({ cropType, quality, unit, quantity, location, latitude, longitude }) {
+        const registry = window.unitRegistry;
+        const locations = window.locationManager;
+        if (!cropType || !registry) return null;
+
+        const prices = this.getMarketPrices(cropType);
+        if (prices.length === 0) return null;
+
+        // Farm location: device coordinates or the typed region/market
+        const farm = locations?.resolveCoordinates({ location, latitude, longitude });
+        const hasFarm = farm && farm.latitude !== null;
+        const quantityKg = (quantity && registry.toKg(quantity, unit, cropType)) || this.settings.defaultQuantityKg;
+        // Market prices are for average produce
+        const gradeFactor = window.cropCatalog?.getGradeFactor(cropType, quality) ?? 1;
+
+        const markets = prices.map(price => {
+            const marketRegion = locations?.resolveRegion(price.market);
+            const distance = hasFarm && marketRegion
+                ? locations.distanceKm(farm.latitude, farm.longitude, marketRegion.latitude, marketRegion.longitude)
+                : null;
+            // Farmer pays to get produce to market, so subtract it from the market price
+            const transportPerKg = distance !== null
+                ? locations.estimateTransportCost(distance, quantityKg, 'kg') / quantityKg
+                : 0;
+
+            return {
+                market: price.market,
+                distance,
+                marketPricePerKg: price.pricePerKg,
+                farmGatePerKg: Math.max(0, price.pricePerKg * gradeFactor - transportPerKg)
+            };
+        });
+
+        // Nearest markets first; without a known distance every market counts equally
+        const located = markets.filter(m => m.distance !== null);
+        const nearest = located.length > 0
+            ? located.sort((a, b) => a.distance - b.distance).slice(0, this.settings.nearestMarkets)
+            : markets;
+
+        const perKg = nearest.map(m => m.farmGatePerKg);
+        let lowPerKg = Math.min(...perKg);
+        let highPerKg = Math.max(...perKg);
+
+        if (lowPerKg === highPerKg) {
+            lowPerKg *= 1 - this.settings.singleMarketSpread;
+            highPerKg *= 1 + this.settings.singleMarketSpread;
+        }
+
+        const unitWeight = registry.getUnitWeightKg(unit, cropType) || 1;
+
+        return {
+            low: Math.round(lowPerKg * unitWeight),
+            high: Math.round(highPerKg * unitWeight),
+            unit,
+            cropType,
+            markets: nearest,
+            usesLocation: located.length > 0,
+            pricesUpdated: window.marketDataManager?.cachedTime || localStorage.getItem('mkulima_prices_timestamp')
+        };
+    }
+
+    // How far the entered price falls outside the range, as a fraction; 0 when inside
+    getDeviation(price, suggestion = this.suggestion) {
+        if (!price || !suggestion) return 0;
+        if (price < suggestion.low) return (price - suggestion.low) / suggestion.low;
+        if (price > suggestion.high) return (price - suggestion.high) / suggestion.high;
+        return 0;
+    }
+
+    renderSuggestion() {
+        const container = this.getContainer();
+        if (!container) return;
+
+        const suggestion = this.suggestion;
+        if (!suggestion) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const registry = window.unitRegistry;
+        const unitName = registry ? registry.formatUnit(suggestion.unit, 1) : suggestion.unit;
+        const price = this.getFormValues().price;
+        const deviation = this.getDeviation(price);
+        const isOffline = !navigator.onLine;
+
+        let warning = '';
+        if (Math.abs(deviation) > this.settings.warnOutside) {
+            warning = deviation < 0
+                ? `<p class="price-warning">Your price is ${Math.round(-deviation * 100)}% below the suggested range. You may be underselling.</p>`
+                : `<p class="price-warning">Your price is ${Math.round(deviation * 100)}% above the suggested range. Buyers may look elsewhere.</p>`;
+        }
+
+        container.innerHTML = `
+            <p>
+                <strong>Suggested:</strong> ${suggestion.low.toLocaleString()} - ${suggestion.high.toLocaleString()} TSH per ${unitName}
+                <button type="button" class="btn btn-sm btn-outline" onclick="priceSuggestion.useSuggestion()">Use</button>
+            </p>
+            <small>
+                Based on ${suggestion.markets.map(m => m.distance !== null ? `${m.market} (${Math.round(m.distance)} km)` : m.market).join(', ')}
+                ${suggestion.usesLocation ? ', less transport to market' : '. Add your location for a closer estimate'}
+                ${isOffline && suggestion.pricesUpdated ? `<br>Offline - using prices from ${new Date(parseInt(suggestion.pricesUpdated)).toLocaleDateString()}` : ''}
+            </small>
+            ${warning}
+        `;
+    }
+
+    getContainer() {
+        let container = document.getElementById('priceSuggestion');
+        const priceInput = document.getElementById('price');
+
+        if (!container && priceInput) {
+            container = document.createElement('div');
+            container.id = 'priceSuggestion';
+            container.className = 'price-suggestion';
+            priceInput.insertAdjacentElement('afterend', container);
+        }
+
+        return container;
+    }
+
+    // Fill the price field with the middle of the range
+    useSuggestion() {
+        const priceInput = document.getElementById('price');
+        if (!priceInput || !this.suggestion) return;
+
+        priceInput.value = Math.round((this.suggestion.low + this.suggestion.high) / 2);
+        this.renderSuggestion();
+    }
+
+    // Public API
+    getSuggestion(listingData) {
+        return this.suggestPrice({ unit: 'kg', ...listingData });
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.priceSuggestion = new PriceSuggestion();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PriceSuggestion;
+}
@@ -0,0 +1,376 @@
+// qrCode.js - Offline QR code generation (SVG) for Mkulima Connect
+
+class QrCodeGenerator {
+    constructor() {
+        // Byte mode, error correction level M, versions 1-10 (up to 213 bytes) -
+        // plenty for a listing link and readable on a creased market flyer
+        this.MAX_VERSION = 10;
+        this.ECC_CODEWORDS_PER_BLOCK = [10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+        this.NUM_BLOCKS = [1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+        this.TOTAL_CODEWORDS = [26, 44, 70, 100, 134, 172, 196, 242, 292, 346];
+        this.ALIGNMENT_POSITIONS = [
+            [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+            [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+        ];
+        this.ECC_LEVEL_BITS = 0; // Level M
+        this.QUIET_ZONE = 4;
+    }
+
+    // Returns a square matrix of booleans (true = dark module)
+    encode(text) {
+        const bytes = this.toUtf8(text);
+        const version = this.chooseVersion(bytes.length);
+        const size = version * 4 + 17;
+
+        this.modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        this.isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+        this.size = size;
+
+        this.drawFunctionPatterns(version);
+        this.drawCodewords(this.addEccAndInterleave(this.buildDataCodewords(bytes, version), version));
+
+        // Keep the mask with the lowest penalty; applying a mask twice undoes it
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+        for (let mask = 0; mask < 8; mask++) {
+            this.applyMask(mask);
+            this.drawFormatBits(mask);
+            const penalty = this.getPenalty();
+            if (penalty < bestPenalty) {
+                bestMask = mask;
+                bestPenalty = penalty;
+            }
+            this.applyMask(mask);
+        }
+
+        this.applyMask(bestMask);
+        this.drawFormatBits(bestMask);
+
+        return this.modules;
+    }
+
+    toSvg(text, options = {}) {
+        const modules = this.encode(text);
+        const margin = options.margin ?? this.QUIET_ZONE;
+        const dimension = modules.length + margin * 2;
+        const path = [];
+
+        modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (dark) path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+            });
+        });
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" class="${options.className || 'qr-code'}" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges" role="img" aria-label="${options.label || 'QR code'}">` +
+            `<rect width="100%" height="100%" fill="#fff"/><path d="${path.join('')}" fill="#000"/></svg>`;
+    }
+
+    toUtf8(text) {
+        if (typeof TextEncoder !== 'undefined') {
+            return Array.from(new TextEncoder().encode(text));
+        }
+        return Array.from(unescape(encodeURIComponent(text)), c => c.charCodeAt(0));
+    }
+
+    getDataCapacity(version) {
+        return this.TOTAL_CODEWORDS[version - 1] -
+            this.ECC_CODEWORDS_PER_BLOCK[version - 1] * this.NUM_BLOCKS[version - 1];
+    }
+
+    chooseVersion(length) {
+        for (let version = 1; version <= this.MAX_VERSION; version++) {
+            const countBits = version < 10 ? 8 : 16;
+            if (4 + countBits + length * 8 <= this.getDataCapacity(version) * 8) {
+                return version;
+            }
+        }
+
+        throw new Error('Text is too long for a QR code');
+    }
+
+    // Mode indicator, length, data, terminator and padding
+    buildDataCodewords(bytes, version) {
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+
+        const capacityBits = this.getDataCapacity(version) * 8;
+        append(0b0100, 4);
+        append(bytes.length, version < 10 ? 8 : 16);
+        bytes.forEach(b => append(b, 8));
+        append(0, Math.min(4, capacityBits - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+
+        for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+            append(pad, 8);
+        }
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        return codewords;
+    }
+
+    // Split into blocks, add Reed-Solomon codewords to each, then interleave
+    addEccAndInterleave(data, version) {
+        const numBlocks = this.NUM_BLOCKS[version - 1];
+        const eccLength = this.ECC_CODEWORDS_PER_BLOCK[version - 1];
+        const rawCodewords = this.TOTAL_CODEWORDS[version - 1];
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+        const divisor = this.reedSolomonDivisor(eccLength);
+
+        const blocks = [];
+        for (let i = 0, k = 0; i < numBlocks; i++) {
+            const dataLength = shortBlockLength - eccLength + (i < numShortBlocks ? 0 : 1);
+            const block = data.slice(k, k + dataLength);
+            k += dataLength;
+
+            const ecc = this.reedSolomonRemainder(block, divisor);
+            if (i < numShortBlocks) block.push(0);
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                // Skip the padding byte of short blocks
+                if (i !== shortBlockLength - eccLength || j >= numShortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+
+    reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = this.gfMultiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = this.gfMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    reedSolomonRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= this.gfMultiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+
+    // Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+    gfMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    setFunctionModule(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.isFunction[y][x] = true;
+    }
+
+    drawFunctionPatterns(version) {
+        const size = this.size;
+
+        // Timing patterns
+        for (let i = 0; i < size; i++) {
+            this.setFunctionModule(6, i, i % 2 === 0);
+            this.setFunctionModule(i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with their separators
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    if (x >= 0 && x < size && y >= 0 && y < size) {
+                        this.setFunctionModule(x, y, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+
+        // Alignment patterns, except where they would overlap the finders
+        const positions = this.ALIGNMENT_POSITIONS[version - 1];
+        const last = positions.length - 1;
+        positions.forEach((cx, i) => {
+            positions.forEach((cy, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        this.setFunctionModule(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Reserve the format areas until the mask is chosen
+        this.drawFormatBits(0);
+        this.drawVersion(version);
+    }
+
+    drawFormatBits(mask) {
+        const data = (this.ECC_LEVEL_BITS << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) !== 0;
+        const size = this.size;
+
+        // Around the top-left finder
+        for (let i = 0; i <= 5; i++) this.setFunctionModule(8, i, bit(i));
+        this.setFunctionModule(8, 7, bit(6));
+        this.setFunctionModule(8, 8, bit(7));
+        this.setFunctionModule(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunctionModule(14 - i, 8, bit(i));
+
+        // Copy split between the other two finders
+        for (let i = 0; i < 8; i++) this.setFunctionModule(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunctionModule(8, size - 15 + i, bit(i));
+        this.setFunctionModule(8, size - 8, true);
+    }
+
+    drawVersion(version) {
+        if (version < 7) return;
+
+        let remainder = version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        const bits = (version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) !== 0;
+            const a = this.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.setFunctionModule(a, b, dark);
+            this.setFunctionModule(b, a, dark);
+        }
+    }
+
+    // Zigzag through the two-module columns from the bottom right
+    drawCodewords(codewords) {
+        const size = this.size;
+        let i = 0;
+
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vertical : vertical;
+                    if (!this.isFunction[y][x] && i < codewords.length * 8) {
+                        this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    applyMask(mask) {
+        const patterns = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+            (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+        ];
+
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && patterns[mask](x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    // Standard penalty rules: long runs, 2x2 blocks, finder-like patterns, dark/light balance
+    getPenalty() {
+        const size = this.size;
+        const finderLike = ['10111010000', '00001011101'];
+        let penalty = 0;
+        let dark = 0;
+
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(this.modules[i]);
+            lines.push(this.modules.map(row => row[i]));
+        }
+
+        lines.forEach(line => {
+            let runLength = 1;
+            for (let i = 1; i <= line.length; i++) {
+                if (i < line.length && line[i] === line[i - 1]) {
+                    runLength++;
+                } else {
+                    if (runLength >= 5) penalty += 3 + runLength - 5;
+                    runLength = 1;
+                }
+            }
+
+            const bits = line.map(m => (m ? '1' : '0')).join('');
+            finderLike.forEach(pattern => {
+                for (let i = bits.indexOf(pattern); i !== -1; i = bits.indexOf(pattern, i + 1)) {
+                    penalty += 40;
+                }
+            });
+        });
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (this.modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const color = this.modules[y][x];
+                    if (color === this.modules[y][x + 1] && color === this.modules[y + 1][x] && color === this.modules[y + 1][x + 1]) {
+                        penalty += 3;
+                    }
+                }
+            }
+        }
+
+        const total = size * size;
+        const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+        penalty += Math.max(k, 0) * 10;
+
+        return penalty;
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.qrCodeGenerator = new QrCodeGenerator();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QrCodeGenerator;
+}
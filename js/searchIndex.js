@@ -0,0 +1,216 @@
+// searchIndex.js - Bilingual, typo-tolerant listing search for Mkulima Connect
+
+class SearchIndex {
+    constructor() {
+        // Normalized term -> crop ids; cached so Swahili search works offline
+        this.synonyms = JSON.parse(localStorage.getItem('mkulima_crop_synonyms') || '{}');
+        // Relevance of a match in each listing field
+        this.FIELD_WEIGHTS = {
+            crop: 10,
+            location: 5,
+            farmer: 3,
+            quality: 2,
+            description: 1
+        };
+        this.init();
+    }
+
+    init() {
+        this.loadSynonyms();
+    }
+
+    async loadSynonyms() {
+        const synonyms = {};
+
+        // English, Swahili and local names from the crop catalog
+        try {
+            const response = await fetch('data/crops.json');
+            const data = await response.json();
+
+            data.crops.forEach(crop => {
+                [crop.id, crop.name, crop.swahiliName, ...(crop.synonyms || [])]
+                    .forEach(term => this.addSynonym(synonyms, term, crop.id));
+            });
+        } catch (error) {
+            console.error('Failed to load crop synonyms:', error);
+        }
+
+        // Crop names from every language in the translation dictionaries
+        this.getDictionaries().forEach(dictionary => {
+            Object.entries(dictionary).forEach(([key, value]) => {
+                if (key.startsWith('crops.')) {
+                    this.addSynonym(synonyms, value, key.slice('crops.'.length));
+                }
+            });
+        });
+
+        // Crops added to the catalog by admins
+        (window.cropCatalog?.getCrops() || []).forEach(crop => {
+            [crop.id, crop.name, crop.swahiliName, ...(crop.synonyms || [])]
+                .forEach(term => this.addSynonym(synonyms, term, crop.id));
+        });
+
+        if (Object.keys(synonyms).length > 0) {
+            this.synonyms = synonyms;
+            localStorage.setItem('mkulima_crop_synonyms', JSON.stringify(synonyms));
+        }
+    }
+
+    getDictionaries() {
+        const manager = window.translationManager;
+        if (!manager) return [];
+
+        return [manager.translations, manager.getDefaultTranslations?.()]
+            .filter(Boolean)
+            .flatMap(translations => Object.values(translations))
+            .filter(dictionary => dictionary && typeof dictionary === 'object' && !Array.isArray(dictionary));
+    }
+
+    addSynonym(synonyms, term, cropId) {
+        const words = this.tokenize(term);
+
+        // Index whole single-word names, and the meaningful words of phrases ("majani ya chai")
+        words
+            .filter(word => words.length === 1 || word.length >= 4)
+            .forEach(word => {
+                synonyms[word] = synonyms[word] || [];
+                if (!synonyms[word].includes(cropId)) {
+                    synonyms[word].push(cropId);
+                }
+            });
+    }
+
+    normalize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    tokenize(text) {
+        const normalized = this.normalize(text);
+        return normalized ? normalized.split(' ') : [];
+    }
+
+    // Rank listings by relevance; every query word must match some field
+    search(listings, query) {
+        const tokens = this.tokenize(query);
+        if (tokens.length === 0) return listings;
+
+        const results = [];
+
+        listings.forEach(listing => {
+            let score = 0;
+
+            for (const token of tokens) {
+                const tokenScore = this.scoreToken(token, listing);
+                if (tokenScore === 0) return;
+                score += tokenScore;
+            }
+
+            results.push({ listing, score });
+        });
+
+        return results
+            .sort((a, b) => b.score - a.score || new Date(b.listing.createdAt) - new Date(a.listing.createdAt))
+            .map(result => result.listing);
+    }
+
+    scoreToken(token, listing) {
+        let best = this.FIELD_WEIGHTS.crop * (this.matchCrops(token).get(listing.cropType) || 0);
+
+        const fields = {
+            crop: listing.cropType,
+            location: listing.location,
+            farmer: listing.farmerName,
+            quality: listing.quality,
+            description: listing.description
+        };
+
+        Object.entries(fields).forEach(([field, text]) => {
+            const quality = Math.max(0, ...this.tokenize(text).map(word => this.matchQuality(token, word)));
+            best = Math.max(best, this.FIELD_WEIGHTS[field] * quality);
+        });
+
+        return best;
+    }
+
+    // Crop ids a query word may refer to, with the best match quality for each
+    matchCrops(token) {
+        const matches = new Map();
+
+        Object.entries(this.synonyms).forEach(([term, cropIds]) => {
+            const quality = this.matchQuality(token, term);
+            if (quality === 0) return;
+
+            cropIds.forEach(cropId => {
+                matches.set(cropId, Math.max(matches.get(cropId) || 0, quality));
+            });
+        });
+
+        return matches;
+    }
+
+    matchQuality(token, word) {
+        if (word === token) return 1;
+
+        // Prefix matches keep results useful while the user is still typing
+        if (token.length >= 3 && word.startsWith(token)) return 0.8;
+
+        const allowed = this.allowedTypos(token);
+        if (allowed > 0 && Math.abs(word.length - token.length) <= allowed &&
+            this.editDistance(token, word) <= allowed) {
+            return 0.6;
+        }
+
+        return 0;
+    }
+
+    allowedTypos(token) {
+        if (token.length < 4) return 0;
+        if (token.length < 8) return 1;
+        return 2;
+    }
+
+    // Levenshtein distance counting adjacent transpositions ("mahnidi") as one edit
+    editDistance(a, b) {
+        const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+        for (let j = 1; j <= b.length; j++) {
+            d[0][j] = j;
+        }
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                d[i][j] = Math.min(
+                    d[i - 1][j] + 1,
+                    d[i][j - 1] + 1,
+                    d[i - 1][j - 1] + cost
+                );
+
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+                }
+            }
+        }
+
+        return d[a.length][b.length];
+    }
+
+    // Public API
+    getCropIdsForTerm(term) {
+        return Array.from(this.matchCrops(this.normalize(term)).keys());
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.searchIndex = new SearchIndex();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchIndex;
+}
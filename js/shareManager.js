@@ -0,0 +1,207 @@
+// shareManager.js - Listing deep links, WhatsApp share text and printable QR flyers for Mkulima Connect
+
+class ShareManager {
+    constructor() {
+        // Listings open from buy.html, which every buyer can reach
+        this.LISTING_PAGE = 'buy.html';
+        this.SHARE_TEXT = {
+            en: {
+                title: '{crop} for sale - {quantity} {unit}',
+                price: 'Price: {price}',
+                grade: 'Grade: {grade}',
+                location: 'Location: {location}',
+                farmer: 'Farmer: {farmer}',
+                negotiable: 'Price is negotiable',
+                link: 'View and order on Mkulima Connect: {url}',
+                scan: 'Scan to view and order'
+            },
+            sw: {
+                title: '{crop} inauzwa - {quantity} {unit}',
+                price: 'Bei: {price}',
+                grade: 'Daraja: {grade}',
+                location: 'Mahali: {location}',
+                farmer: 'Mkulima: {farmer}',
+                negotiable: 'Bei inajadilika',
+                link: 'Tazama na uagize kwenye Mkulima Connect: {url}',
+                scan: 'Skani kutazama na kuagiza'
+            }
+        };
+        this.init();
+    }
+
+    init() {
+        this.openLinkedListing();
+    }
+
+    // buy.html?listing=lst_... opens the listing straight away
+    openLinkedListing() {
+        const listingId = new URLSearchParams(window.location.search).get('listing');
+        if (!listingId || !window.listingManager) return;
+
+        const listing = window.listingManager.getListingById(listingId);
+        const user = window.userManager?.getCurrentUser();
+        const isOwner = listing && listing.farmerId === user?.id;
+
+        if (!listing || (!isOwner && !window.listingManager.isBrowsable(listing))) {
+            this.showNotification('This listing is no longer available', 'warning');
+            return;
+        }
+
+        window.listingManager.viewListing(listingId);
+    }
+
+    getLanguage() {
+        const lang = window.translationManager?.getCurrentLanguage() || localStorage.getItem('mkulima_lang') || 'en';
+        return this.SHARE_TEXT[lang] ? lang : 'en';
+    }
+
+    text(key, context = {}, lang = this.getLanguage()) {
+        return Object.entries(context).reduce(
+            (text, [name, value]) => text.replace(`{${name}}`, value),
+            this.SHARE_TEXT[lang][key]
+        );
+    }
+
+    getCropName(cropType, lang = this.getLanguage()) {
+        return window.cropCatalog?.getCropName(cropType, lang) || cropType;
+    }
+
+    formatPrice(listing) {
+        const unit = listing.unit || 'kg';
+        const amount = window.translationManager?.formatCurrency(listing.price) || `${parseFloat(listing.price).toLocaleString()} TSH`;
+        return `${amount} / ${window.unitRegistry?.formatUnit(unit, 1) || unit}`;
+    }
+
+    getTitle(listing, lang = this.getLanguage()) {
+        return this.text('title', {
+            crop: this.getCropName(listing.cropType, lang),
+            quantity: window.listingManager?.getAvailableQuantity(listing) ?? listing.quantity,
+            unit: listing.unit || 'kg'
+        }, lang);
+    }
+
+    // Plain text that reads well pasted into a WhatsApp chat or SMS
+    buildShareText(listing, lang = this.getLanguage()) {
+        const grade = window.verificationManager?.getEffectiveGrade(listing) ?? listing.quality;
+        const lines = [
+            `*${this.getTitle(listing, lang)}*`,
+            this.text('price', { price: this.formatPrice(listing) }, lang),
+            listing.isNegotiable ? this.text('negotiable', {}, lang) : null,
+            grade ? this.text('grade', { grade: window.verificationManager?.formatGrade(grade) || grade }, lang) : null,
+            listing.location ? this.text('location', { location: listing.location }, lang) : null,
+            this.text('farmer', { farmer: listing.farmerName }, lang),
+            '',
+            this.text('link', { url: this.getListingUrl(listing.id) }, lang)
+        ];
+
+        return lines.filter(line => line !== null).join('\n');
+    }
+
+    getWhatsAppUrl(listing) {
+        return `https://wa.me/?text=${encodeURIComponent(this.buildShareText(listing))}`;
+    }
+
+    renderQrCode(listing) {
+        if (!window.qrCodeGenerator) return '';
+
+        try {
+            return window.qrCodeGenerator.toSvg(this.getListingUrl(listing.id), {
+                className: 'qr-code',
+                label: `QR code for ${listing.cropType} listing`
+            });
+        } catch (error) {
+            console.error('QR code generation failed:', error);
+            return '';
+        }
+    }
+
+    openShareModal(listingId) {
+        const listing = window.listingManager?.getListingById(listingId);
+        if (!listing) return;
+
+        const url = this.getListingUrl(listing.id);
+        const shareText = this.buildShareText(listing);
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay share-modal';
+
+        modal.innerHTML = `
+            <div class="modal">
+                <div class="modal-header">
+                    <h2>Share Listing</h2>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div class="share-flyer">
+                        <h2>${this.getTitle(listing)}</h2>
+                        <p class="share-flyer-price">${this.formatPrice(listing)}</p>
+                        <p>${listing.location || ''} • ${listing.farmerName}</p>
+                        ${this.renderQrCode(listing)}
+                        <p><small>${this.text('scan')}</small></p>
+                        <p class="share-url">${url}</p>
+                    </div>
+                    <div class="form-group no-print">
+                        <label>Message</label>
+                        <textarea class="share-text" rows="8" readonly>${shareText}</textarea>
+                    </div>
+                </div>
+                <div class="modal-footer">
+                    <a class="btn btn-primary" href="${this.getWhatsAppUrl(listing)}" target="_blank" rel="noopener">Share on WhatsApp</a>
+                    ${navigator.share ? '<button class="btn btn-outline share-native">Share...</button>' : ''}
+                    <button class="btn btn-outline share-copy">Copy Link</button>
+                    <button class="btn btn-outline share-print">Print Flyer</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        modal.querySelector('.modal-close').addEventListener('click', () => modal.remove());
+
+        modal.querySelector('.share-copy').addEventListener('click', () => this.copyLink(url));
+        modal.querySelector('.share-print').addEventListener('click', () => this.printFlyer());
+        modal.querySelector('.share-native')?.addEventListener('click', () => {
+            navigator.share({ title: `${listing.cropType} - Mkulima Connect`, text: shareText, url })
+                .catch(() => { /* Dismissed by the user */ });
+        });
+    }
+
+    async copyLink(url) {
+        try {
+            await navigator.clipboard.writeText(url);
+            this.showNotification('Link copied', 'success');
+        } catch (error) {
+            // Clipboard API needs a secure context; let the user copy by hand
+            window.prompt('Copy this link:', url);
+        }
+    }
+
+    // print.css shows only the flyer while this class is on the body
+    printFlyer() {
+        document.body.classList.add('printing-flyer');
+        window.addEventListener('afterprint', () => document.body.classList.remove('printing-flyer'), { once: true });
+        window.print();
+    }
+
+    showNotification(message, type) {
+        if (window.mkulimaApp && window.mkulimaApp.showNotification) {
+            window.mkulimaApp.showNotification(message, type);
+        } else {
+            alert(`${type}: ${message}`);
+        }
+    }
+
+    // Public API
+    getListingUrl(listingId) {
+        return new URL(`${this.LISTING_PAGE}?listing=${encodeURIComponent(listingId)}`, window.location.href).href;
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.shareManager = new ShareManager();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShareManager;
+}
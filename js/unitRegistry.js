@@ -0,0 +1,171 @@
+// unitRegistry.js - Unit conversions and per-kg price normalization for Mkulima Connect
+
+class UnitRegistry {
+    constructor() {
+        // Weight of one unit in kg; crop entries override the default.
+        // Local measures vary by market, so these are typical Tanzanian/Kenyan values.
+        this.UNITS = {
+            kg: { name: 'kg', plural: 'kg', weights: { default: 1 } },
+            tons: { name: 'ton', plural: 'tons', weights: { default: 1000 } },
+            bags: {
+                name: 'bag',
+                plural: 'bags',
+                weights: { default: 90, maize: 90, beans: 90, rice: 100, coffee: 60, potatoes: 110, cassava: 90 }
+            },
+            gunia: {
+                name: 'gunia',
+                plural: 'magunia',
+                weights: { default: 100, maize: 100, beans: 100, rice: 100, potatoes: 120, cassava: 90 }
+            },
+            debe: {
+                name: 'debe',
+                plural: 'madebe',
+                weights: { default: 18, maize: 17, beans: 20, rice: 20 }
+            },
+            crates: {
+                name: 'crate',
+                plural: 'crates',
+                weights: { default: 30, tomatoes: 35, avocado: 25 }
+            },
+            bunches: {
+                name: 'bunch',
+                plural: 'bunches',
+                weights: { default: 20, bananas: 20 }
+            }
+        };
+        // Other spellings seen in imports and market feeds
+        this.ALIASES = {
+            kilogram: 'kg', kilograms: 'kg', kgs: 'kg', kilo: 'kg',
+            ton: 'tons', tonne: 'tons', tonnes: 'tons', t: 'tons', mt: 'tons',
+            bag: 'bags', sack: 'bags', sacks: 'bags',
+            magunia: 'gunia',
+            madebe: 'debe', tin: 'debe',
+            crate: 'crates', tenga: 'crates',
+            bunch: 'bunches', mkungu: 'bunches'
+        };
+        // Unit shown first for each crop when creating a listing
+        this.DEFAULT_UNITS = { maize: 'bags', beans: 'kg', rice: 'kg', coffee: 'kg', tomatoes: 'crates', bananas: 'bunches' };
+
+        this.loadOverrides();
+        this.init();
+    }
+
+    init() {
+        this.setupUnitSelect();
+    }
+
+    // Per-deployment weights, e.g. { "bags": { "maize": 100 } }
+    loadOverrides() {
+        const overrides = JSON.parse(localStorage.getItem('mkulima_unit_overrides') || '{}');
+
+        Object.entries(overrides).forEach(([unit, weights]) => {
+            if (this.UNITS[unit]) {
+                Object.assign(this.UNITS[unit].weights, weights);
+            }
+        });
+    }
+
+    // Show each unit's weight for the chosen crop on the listing form
+    setupUnitSelect() {
+        const cropSelect = document.getElementById('cropType');
+        const unitSelect = document.getElementById('unit');
+        if (!cropSelect || !unitSelect) return;
+
+        const update = (selected) => {
+            const cropType = cropSelect.value;
+
+            unitSelect.innerHTML = this.getUnitIds().map(unit => {
+                const weight = this.getUnitWeightKg(unit, cropType);
+                const label = unit === 'kg' ? 'kg' : `${this.formatUnit(unit, 2)} (~${weight} kg each)`;
+                return `<option value="${unit}">${label}</option>`;
+            }).join('');
+
+            unitSelect.value = selected;
+        };
+
+        cropSelect.addEventListener('change', () => update(this.getDefaultUnit(cropSelect.value)));
+        update(unitSelect.value || 'kg');
+    }
+
+    normalizeUnit(unit) {
+        const key = String(unit || 'kg').toLowerCase().trim();
+        if (this.UNITS[key]) return key;
+        return this.ALIASES[key] || null;
+    }
+
+    getUnitWeightKg(unit, cropType = null) {
+        const definition = this.UNITS[this.normalizeUnit(unit)];
+        if (!definition) return null;
+
+        return definition.weights[cropType] || definition.weights.default;
+    }
+
+    toKg(quantity, unit, cropType = null) {
+        const weight = this.getUnitWeightKg(unit, cropType);
+        return weight === null ? null : parseFloat(quantity) * weight;
+    }
+
+    fromKg(kg, unit, cropType = null) {
+        const weight = this.getUnitWeightKg(unit, cropType);
+        return weight === null ? null : kg / weight;
+    }
+
+    // Canonical price used for filtering, sorting and comparison
+    pricePerKg(price, unit, cropType = null) {
+        const weight = this.getUnitWeightKg(unit, cropType);
+        if (weight === null || isNaN(parseFloat(price))) return null;
+        return parseFloat(price) / weight;
+    }
+
+    getListingPricePerKg(listing) {
+        return this.pricePerKg(listing.price, listing.unit || 'kg', listing.cropType);
+    }
+
+    // Market feeds quote "TSH/kg", "USD/MT" and similar; global feeds name the crop "commodity"
+    normalizeMarketPrice(item) {
+        const [currency, unit] = String(item.unit || '').split('/');
+        const pricePerKg = this.pricePerKg(item.price, unit || 'kg', item.crop || item.commodity);
+
+        return {
+            ...item,
+            currency: currency || 'TSH',
+            pricePerKg
+        };
+    }
+
+    getDefaultUnit(cropType) {
+        return this.DEFAULT_UNITS[cropType] || 'kg';
+    }
+
+    formatUnit(unit, quantity = 2) {
+        const definition = this.UNITS[this.normalizeUnit(unit)];
+        if (!definition) return unit;
+        return parseFloat(quantity) === 1 ? definition.name : definition.plural;
+    }
+
+    // "850 TSH per bag (≈ 9 TSH/kg)" - keep the farmer's unit, add the per-kg equivalent
+    formatPrice(price, unit, cropType = null) {
+        const normalized = this.normalizeUnit(unit) || unit;
+        const base = `${parseFloat(price).toLocaleString()} TSH per ${this.formatUnit(normalized, 1)}`;
+
+        if (normalized === 'kg') return base;
+
+        const perKg = this.pricePerKg(price, normalized, cropType);
+        return perKg === null ? base : `${base} (≈ ${Math.round(perKg).toLocaleString()} TSH/kg)`;
+    }
+
+    // Public API
+    getUnitIds() {
+        return Object.keys(this.UNITS);
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.unitRegistry = new UnitRegistry();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UnitRegistry;
+}
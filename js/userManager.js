@@ -3,7 +3,9 @@
 class UserManager {
     constructor() {
         this.currentUser = null;
-        this.userTypes = ['farmer', 'buyer', 'cooperative', 'extension_officer'];
+        this.userTypes = ['farmer', 'buyer', 'cooperative', 'extension_officer', 'admin'];
+        // Platform staff (exchange rates, crop catalog, moderation); nobody can sign up as or switch to these
+        this.RESTRICTED_TYPES = ['admin'];
         this.init();
     }
 
@@ -150,6 +152,8 @@ class UserManager {
             throw new Error('Password must be at least 6 characters');
         }
 
+        this.validateUserType(userData.userType);
+
         // Check if user already exists
         const users = JSON.parse(localStorage.getItem('mkulima_users') || '[]');
         const existingUser = users.find(u => u.phone === userData.phone);
@@ -185,6 +189,10 @@ class UserManager {
             throw new Error('No user logged in');
         }
 
+        if (updates.userType && updates.userType !== this.currentUser.userType) {
+            this.validateUserType(updates.userType);
+        }
+
         // Update current user
         this.currentUser = { ...this.currentUser, ...updates };
         localStorage.setItem('mkulima_user', JSON.stringify(this.currentUser));
@@ -205,6 +213,18 @@ class UserManager {
         this.updateUserUI();
     }
 
+    validateUserType(userType) {
+        if (!userType) return;
+
+        if (!this.userTypes.includes(userType)) {
+            throw new Error(`Unknown account type: ${userType}`);
+        }
+
+        if (this.RESTRICTED_TYPES.includes(userType)) {
+            throw new Error('Admin accounts are set up by the platform team');
+        }
+    }
+
     handleLogout() {
         this.currentUser = null;
         localStorage.removeItem('mkulima_user');
@@ -132,6 +132,19 @@ class TranslationManager {
                 'weather.wind': 'Wind Speed',
                 'weather.conditions': 'Conditions',
 
+                // Crops
+                'crops.maize': 'Maize',
+                'crops.beans': 'Beans',
+                'crops.rice': 'Rice',
+                'crops.coffee': 'Coffee',
+                'crops.tea': 'Tea',
+                'crops.tomatoes': 'Tomatoes',
+                'crops.potatoes': 'Potatoes',
+                'crops.cassava': 'Cassava',
+                'crops.bananas': 'Bananas',
+                'crops.avocado': 'Avocado',
+                'crops.vegetables': 'Vegetables',
+
                 // Errors
                 'error.required': 'This field is required',
                 'error.invalid_phone': 'Invalid phone number',
@@ -245,6 +258,19 @@ class TranslationManager {
                 'weather.wind': 'Kasi ya Upepo',
                 'weather.conditions': 'Hali ya Hewa',
 
+                // Crops
+                'crops.maize': 'Mahindi',
+                'crops.beans': 'Maharage',
+                'crops.rice': 'Mchele',
+                'crops.coffee': 'Kahawa',
+                'crops.tea': 'Chai',
+                'crops.tomatoes': 'Nyanya',
+                'crops.potatoes': 'Viazi',
+                'crops.cassava': 'Muhogo',
+                'crops.bananas': 'Ndizi',
+                'crops.avocado': 'Parachichi',
+                'crops.vegetables': 'Mboga',
+
                 // Errors
                 'error.required': 'Sehemu hii inahitajika',
                 'error.invalid_phone': 'Namba ya simu batili',
@@ -21,6 +21,8 @@ class Validation {
             futureDate: 'Date must be in the future',
             pastDate: 'Date must be in the past'
         };
+        // Listings above these are posted but flagged for moderation
+        this.UNUSUAL_LISTING_LIMITS = { quantity: 10000, price: 1000000 };
         this.init();
     }
 
@@ -380,8 +382,7 @@ class Validation {
         if (!listing.price || listing.price <= 0) errors.push('Valid price is required');
         if (!listing.location) errors.push('Location is required');
 
-        if (listing.quantity > 10000) errors.push('Quantity seems unusually high');
-        if (listing.price > 1000000) errors.push('Price seems unusually high');
+        errors.push(...this.checkUnusualListing(listing).map(warning => warning.message));
 
         return {
             valid: errors.length === 0,
@@ -457,6 +458,20 @@ class Validation {
         return sanitized;
     }
 
+    // Unusual listing checks
+    checkUnusualListing(listing) {
+        const warnings = [];
+
+        if (parseFloat(listing.quantity) > this.UNUSUAL_LISTING_LIMITS.quantity) {
+            warnings.push({ code: 'high_quantity', message: 'Quantity seems unusually high' });
+        }
+        if (parseFloat(listing.price) > this.UNUSUAL_LISTING_LIMITS.price) {
+            warnings.push({ code: 'high_price', message: 'Price seems unusually high' });
+        }
+
+        return warnings;
+    }
+
     // Anti-duplication checks
     detectDuplicateListing(newListing, existingListings) {
         const duplicates = existingListings.filter(listing =>
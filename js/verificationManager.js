@@ -0,0 +1,324 @@
+// verificationManager.js - Extension officer inspections and quality badges for Mkulima Connect
+
+class VerificationManager {
+    constructor() {
+        this.inspections = JSON.parse(localStorage.getItem('mkulima_inspections') || '[]');
+        // Produce changes in storage, so a verification only vouches for recent stock
+        this.VALID_DAYS = 30;
+        // Maximum safe storage moisture (%) by crop
+        this.MOISTURE_LIMITS = {
+            default: 14,
+            maize: 13.5,
+            beans: 14,
+            rice: 14,
+            coffee: 12.5,
+            ...JSON.parse(localStorage.getItem('mkulima_moisture_limits') || '{}')
+        };
+        this.CERTIFICATES = {
+            organic: 'Organic',
+            organic_in_conversion: 'Organic (in progress)',
+            fair_trade: 'Fair Trade',
+            global_gap: 'GlobalG.A.P.',
+            tbs: 'TBS Standard'
+        };
+        this.init();
+    }
+
+    init() {
+        this.renderInspectionHistory();
+        this.renderUserCertifications();
+    }
+
+    isOfficer(user = window.userManager?.getCurrentUser()) {
+        return user?.userType === 'extension_officer';
+    }
+
+    recordInspection(listingId, inspectionData) {
+        const user = window.userManager?.getCurrentUser();
+        const listing = window.listingManager?.getListingById(listingId);
+
+        if (!this.isOfficer(user)) {
+            throw new Error('Only extension officers can verify listings');
+        }
+
+        if (!listing) {
+            throw new Error('Listing not found');
+        }
+
+        if (listing.farmerId === user.id) {
+            throw new Error('You cannot verify your own listing');
+        }
+
+        const moisture = parseFloat(inspectionData.moisture);
+        if (isNaN(moisture) || moisture < 0 || moisture > 100) {
+            throw new Error('Enter the measured moisture content (%)');
+        }
+
+        if (!this.getGrades(listing.cropType).some(g => g.id === inspectionData.grade)) {
+            throw new Error('Select the inspected grade');
+        }
+
+        const moistureLimit = this.MOISTURE_LIMITS[listing.cropType] || this.MOISTURE_LIMITS.default;
+        const now = new Date();
+
+        const inspection = {
+            id: this.generateInspectionId(),
+            listingId,
+            cropType: listing.cropType,
+            farmerId: listing.farmerId,
+            farmerName: listing.farmerName,
+            officerId: user.id,
+            officerName: user.name,
+            moisture,
+            moistureLimit,
+            grade: inspectionData.grade,
+            declaredGrade: listing.quality || null,
+            notes: (inspectionData.notes || '').trim(),
+            certificates: (inspectionData.certificates || []).filter(c => this.CERTIFICATES[c.type]),
+            // Produce too wet to store safely can't be verified whatever its grade
+            passed: moisture <= moistureLimit,
+            inspectedAt: now.toISOString(),
+            validUntil: new Date(now.getTime() + this.VALID_DAYS * 24 * 60 * 60 * 1000).toISOString()
+        };
+
+        this.inspections.unshift(inspection);
+        this.saveInspections();
+
+        window.listingManager.setVerification(listingId, {
+            inspectionId: inspection.id,
+            officerName: inspection.officerName,
+            grade: inspection.grade,
+            moisture: inspection.moisture,
+            certificates: inspection.certificates,
+            passed: inspection.passed,
+            verifiedAt: inspection.inspectedAt,
+            validUntil: inspection.validUntil
+        });
+
+        this.notifyUser(
+            listing.farmerId,
+            inspection.passed
+                ? `${user.name} verified your ${listing.cropType} as ${this.formatGrade(inspection.grade, listing.cropType)}`
+                : `${user.name} inspected your ${listing.cropType}: moisture ${moisture}% is above the ${moistureLimit}% limit`,
+            inspection.passed ? 'success' : 'warning',
+            { listingId, inspectionId: inspection.id }
+        );
+
+        this.renderInspectionHistory();
+        return inspection;
+    }
+
+    isVerified(listing) {
+        const verification = listing?.verification;
+        return !!verification?.passed && new Date(verification.validUntil) >= new Date();
+    }
+
+    // Inspected grade takes precedence over the farmer's own
+    getEffectiveGrade(listing) {
+        return this.isVerified(listing) ? listing.verification.grade : listing.quality;
+    }
+
+    // UI
+    renderBadge(listing) {
+        if (!this.isVerified(listing)) return '';
+
+        const { grade, certificates = [] } = listing.verification;
+        return `
+            <span class="badge badge-verified" title="Inspected by ${listing.verification.officerName}">✓ Verified ${this.formatGrade(grade, listing.cropType)}</span>
+            ${certificates.map(c => `<span class="badge badge-certificate">${this.CERTIFICATES[c.type]}</span>`).join('')}
+        `;
+    }
+
+    renderVerificationDetails(listing) {
+        const verification = listing.verification;
+        if (!verification) return '';
+
+        const status = this.isVerified(listing)
+            ? 'Verified'
+            : verification.passed ? 'Verification expired' : 'Failed inspection';
+
+        return `
+            <div class="verification-details">
+                <p><strong>Inspection:</strong> ${status} by ${verification.officerName} on ${new Date(verification.verifiedAt).toLocaleDateString()}</p>
+                <p><strong>Inspected Grade:</strong> ${this.formatGrade(verification.grade, listing.cropType)} • <strong>Moisture:</strong> ${verification.moisture}%</p>
+                ${verification.certificates?.length ? `
+                <p><strong>Certificates:</strong> ${verification.certificates.map(c =>
+            `${this.CERTIFICATES[c.type]}${c.reference ? ` (${c.reference})` : ''}`).join(', ')}</p>` : ''}
+            </div>
+        `;
+    }
+
+    canInspect(listing) {
+        const user = window.userManager?.getCurrentUser();
+        return this.isOfficer(user) && listing.farmerId !== user.id;
+    }
+
+    openInspectionForm(listingId) {
+        const listing = window.listingManager?.getListingById(listingId);
+        if (!listing) return;
+
+        const moistureLimit = this.MOISTURE_LIMITS[listing.cropType] || this.MOISTURE_LIMITS.default;
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+
+        modal.innerHTML = `
+            <div class="modal">
+                <div class="modal-header">
+                    <h2>Inspect ${listing.cropType} from ${listing.farmerName}</h2>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <form class="modal-body inspection-form">
+                    <p>Declared grade: ${this.formatGrade(listing.quality, listing.cropType)}</p>
+                    <div class="form-group">
+                        <label>Moisture (%)* <small>limit ${moistureLimit}%</small></label>
+                        <input type="number" name="moisture" required min="0" max="100" step="0.1">
+                    </div>
+                    <div class="form-group">
+                        <label>Inspected Grade*</label>
+                        <select name="grade">
+                            ${this.getGrades(listing.cropType).map(grade => `
+                            <option value="${grade.id}" ${listing.quality === grade.id ? 'selected' : ''}>${grade.label}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label>Notes</label>
+                        <textarea name="notes" rows="3" placeholder="Foreign matter, pests, storage..."></textarea>
+                    </div>
+                    <div class="form-group">
+                        <label>Certificates</label>
+                        ${Object.entries(this.CERTIFICATES).map(([type, label]) => `
+                            <div class="certificate-option">
+                                <label><input type="checkbox" name="certificate" value="${type}"> ${label}</label>
+                                <input type="text" name="reference_${type}" placeholder="Certificate no.">
+                            </div>
+                        `).join('')}
+                    </div>
+                    <div class="modal-footer">
+                        <button type="submit" class="btn btn-primary">Record Inspection</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        modal.querySelector('.modal-close').addEventListener('click', () => modal.remove());
+        modal.querySelector('.inspection-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+
+            try {
+                const inspection = this.recordInspection(listingId, {
+                    moisture: formData.get('moisture'),
+                    grade: formData.get('grade'),
+                    notes: formData.get('notes'),
+                    certificates: formData.getAll('certificate').map(type => ({
+                        type,
+                        reference: (formData.get(`reference_${type}`) || '').trim()
+                    }))
+                });
+
+                this.showNotification(inspection.passed ? 'Listing verified' : 'Inspection recorded: listing not verified', inspection.passed ? 'success' : 'warning');
+                modal.remove();
+            } catch (error) {
+                this.showNotification(error.message, 'error');
+            }
+        });
+    }
+
+    // Officer's own inspections (profile.html)
+    renderInspectionHistory() {
+        const container = document.getElementById('inspectionHistory');
+        if (!container) return;
+
+        const user = window.userManager?.getCurrentUser();
+        if (!this.isOfficer(user)) {
+            container.closest('section')?.setAttribute('hidden', '');
+            return;
+        }
+
+        const inspections = this.inspections.filter(i => i.officerId === user.id);
+
+        if (inspections.length === 0) {
+            container.innerHTML = '<div class="no-listings">No inspections yet</div>';
+            return;
+        }
+
+        container.innerHTML = inspections.map(inspection => `
+            <div class="listing-item">
+                <div class="item-info">
+                    <h4>${inspection.cropType} - ${inspection.farmerName}</h4>
+                    <p>${this.formatGrade(inspection.grade, inspection.cropType)} (declared ${this.formatGrade(inspection.declaredGrade, inspection.cropType)}) • ${inspection.moisture}% moisture</p>
+                    <span class="listing-status ${inspection.passed ? 'completed' : 'failed'}">${inspection.passed ? 'Verified' : 'Not verified'}</span>
+                    ${inspection.notes ? `<small>${inspection.notes}</small>` : ''}
+                </div>
+                <small>${new Date(inspection.inspectedAt).toLocaleDateString()}</small>
+            </div>
+        `).join('');
+    }
+
+    // Farmer's certificates from their verified listings
+    renderUserCertifications() {
+        const container = document.getElementById('userCertifications');
+        if (!container) return;
+
+        const user = window.userManager?.getCurrentUser();
+        const listings = JSON.parse(localStorage.getItem('mkulima_listings') || '[]')
+            .filter(l => l.farmerId === user?.id && this.isVerified(l));
+        const types = [...new Set(listings.flatMap(l => l.verification.certificates || []).map(c => c.type))];
+
+        container.textContent = types.length > 0
+            ? types.map(type => this.CERTIFICATES[type]).join(', ')
+            : 'None verified yet';
+    }
+
+    // The crop's own grade scale from the catalog; crops without one use Grade A-C
+    getGrades(cropType) {
+        return window.cropCatalog?.getGrades(cropType) ||
+            ['grade_a', 'grade_b', 'grade_c'].map(id => ({ id, label: this.formatGrade(id) }));
+    }
+
+    formatGrade(grade, cropType = null) {
+        if (grade && cropType && window.cropCatalog) {
+            return window.cropCatalog.getGradeLabel(cropType, grade);
+        }
+        return { grade_a: 'Grade A', grade_b: 'Grade B', grade_c: 'Grade C' }[grade] || grade || 'Not specified';
+    }
+
+    saveInspections() {
+        localStorage.setItem('mkulima_inspections', JSON.stringify(this.inspections));
+    }
+
+    generateInspectionId() {
+        return 'insp_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    notifyUser(userId, message, type, meta) {
+        if (window.mkulimaApp && window.mkulimaApp.notifyUser) {
+            window.mkulimaApp.notifyUser(userId, message, type, meta);
+        }
+    }
+
+    showNotification(message, type) {
+        if (window.mkulimaApp && window.mkulimaApp.showNotification) {
+            window.mkulimaApp.showNotification(message, type);
+        } else {
+            alert(`${type}: ${message}`);
+        }
+    }
+
+    // Public API
+    getListingInspections(listingId) {
+        return this.inspections.filter(i => i.listingId === listingId);
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.verificationManager = new VerificationManager();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VerificationManager;
+}
@@ -0,0 +1,444 @@
+// watchlist.js - Saved searches and listing watchlists for Mkulima Connect
+
+class WatchlistManager {
+    constructor() {
+        this.savedSearches = JSON.parse(localStorage.getItem('mkulima_saved_searches') || '[]');
+        this.watchlist = JSON.parse(localStorage.getItem('mkulima_watchlist') || '[]');
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        // Catch up on listings created or changed while this page was closed
+        this.checkSavedSearches();
+        this.checkWatchedListings();
+        this.renderSavedSearches();
+        this.renderWatchlist();
+        this.renderWatchButtons();
+    }
+
+    setupEventListeners() {
+        const saveSearchBtn = document.getElementById('saveSearchBtn');
+        if (saveSearchBtn) {
+            saveSearchBtn.addEventListener('click', () => this.openSaveSearchForm());
+        }
+    }
+
+    // Saved searches
+    saveSearch(name, filters, notifyBySMS = false) {
+        const user = window.userManager?.getCurrentUser();
+        if (!user) {
+            throw new Error('You must be logged in to save a search');
+        }
+
+        const activeFilters = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+        if (Object.keys(activeFilters).length === 0) {
+            throw new Error('Choose at least one filter to save');
+        }
+
+        const search = {
+            id: this.generateId('srch'),
+            userId: user.id,
+            phone: user.phone,
+            name: name || this.describeFilters(activeFilters),
+            filters: activeFilters,
+            notifyBySMS,
+            matchedListingIds: [],
+            createdAt: new Date().toISOString()
+        };
+
+        // Existing matches are already visible; only new listings trigger alerts
+        search.matchedListingIds = (window.listingManager?.getBrowsableListings() || [])
+            .filter(listing => this.matchesSearch(search, listing))
+            .map(listing => listing.id);
+
+        this.savedSearches.unshift(search);
+        this.saveSavedSearches();
+        this.renderSavedSearches();
+
+        return search;
+    }
+
+    deleteSearch(searchId) {
+        this.savedSearches = this.savedSearches.filter(s => s.id !== searchId);
+        this.saveSavedSearches();
+        this.renderSavedSearches();
+    }
+
+    applySearch(searchId) {
+        const search = this.savedSearches.find(s => s.id === searchId);
+        if (!search || !window.listingManager) return;
+
+        window.listingManager.setFilterValues(search.filters);
+        window.listingManager.applyFilters();
+    }
+
+    matchesSearch(search, listing) {
+        if (search.userId === listing.farmerId) return false;
+        return window.listingManager?.matchesFilters(listing, search.filters) || false;
+    }
+
+    // Called by ListingManager when a listing is published or relisted
+    checkNewListing(listing) {
+        let changed = false;
+
+        this.savedSearches.forEach(search => {
+            if (search.matchedListingIds.includes(listing.id) || !this.matchesSearch(search, listing)) {
+                return;
+            }
+
+            search.matchedListingIds.push(listing.id);
+            changed = true;
+
+            this.deliver(
+                search,
+                `New listing for "${search.name}": ${listing.quantity} ${listing.unit || 'kg'} of ${listing.cropType} at ${listing.price} TSH in ${listing.location}`,
+                { searchId: search.id, listingId: listing.id }
+            );
+        });
+
+        if (changed) {
+            this.saveSavedSearches();
+        }
+    }
+
+    checkSavedSearches() {
+        const listings = window.listingManager?.getBrowsableListings() || [];
+        listings.forEach(listing => this.checkNewListing(listing));
+    }
+
+    // Watchlist
+    watchListing(listingId, notifyBySMS = false) {
+        const user = window.userManager?.getCurrentUser();
+        if (!user) {
+            throw new Error('You must be logged in to watch listings');
+        }
+
+        const listing = window.listingManager?.getListingById(listingId);
+        if (!listing) {
+            throw new Error('Listing not found');
+        }
+
+        if (listing.farmerId === user.id) {
+            throw new Error('You cannot watch your own listing');
+        }
+
+        if (this.isWatching(listingId, user.id)) {
+            return;
+        }
+
+        this.watchlist.unshift({
+            id: this.generateId('wch'),
+            userId: user.id,
+            phone: user.phone,
+            listingId,
+            notifyBySMS,
+            // Last seen values; a difference triggers a notification
+            lastPrice: listing.price,
+            lastStatus: listing.status,
+            createdAt: new Date().toISOString()
+        });
+
+        this.saveWatchlist();
+        this.renderWatchlist();
+    }
+
+    unwatchListing(listingId) {
+        const user = window.userManager?.getCurrentUser();
+        if (!user) return;
+
+        this.watchlist = this.watchlist.filter(w => !(w.listingId === listingId && w.userId === user.id));
+        this.saveWatchlist();
+        this.renderWatchlist();
+    }
+
+    toggleWatch(listingId) {
+        const user = window.userManager?.getCurrentUser();
+
+        try {
+            if (user && this.isWatching(listingId, user.id)) {
+                this.unwatchListing(listingId);
+                this.showNotification('Removed from your watchlist', 'info');
+            } else {
+                this.watchListing(listingId);
+                this.showNotification('Added to your watchlist', 'success');
+            }
+
+            this.renderWatchButtons();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    toggleSMS(watchId) {
+        const watch = this.watchlist.find(w => w.id === watchId);
+        if (!watch) return;
+
+        watch.notifyBySMS = !watch.notifyBySMS;
+        this.saveWatchlist();
+        this.renderWatchlist();
+    }
+
+    // Called by ListingManager whenever a listing's price or status may have changed
+    checkListingChange(listing) {
+        let changed = false;
+
+        this.watchlist.forEach(watch => {
+            if (watch.listingId !== listing.id) return;
+
+            const changes = [];
+            if (parseFloat(watch.lastPrice) !== parseFloat(listing.price)) {
+                changes.push(`price changed from ${watch.lastPrice} to ${listing.price} TSH`);
+            }
+            if (watch.lastStatus !== listing.status) {
+                const status = window.listingManager?.formatStatus(listing.status) || listing.status;
+                changes.push(`is now ${status}`);
+            }
+
+            if (changes.length === 0) return;
+
+            watch.lastPrice = listing.price;
+            watch.lastStatus = listing.status;
+            changed = true;
+
+            this.deliver(
+                watch,
+                `Watched ${listing.cropType} listing in ${listing.location}: ${changes.join(', ')}`,
+                { listingId: listing.id }
+            );
+        });
+
+        if (changed) {
+            this.saveWatchlist();
+            this.renderWatchlist();
+        }
+    }
+
+    checkWatchedListings() {
+        const listingIds = [...new Set(this.watchlist.map(w => w.listingId))];
+
+        listingIds.forEach(listingId => {
+            const listing = window.listingManager?.getListingById(listingId);
+            if (listing) {
+                this.checkListingChange(listing);
+            }
+        });
+    }
+
+    // In-app notification, plus SMS for users who asked for it and are not in the app
+    deliver(record, message, meta) {
+        this.notifyUser(record.userId, message, 'info', meta);
+
+        const isActiveUser = window.userManager?.getCurrentUser()?.id === record.userId;
+        if (record.notifyBySMS && record.phone && !isActiveUser && window.offlineManager) {
+            window.offlineManager.sendSMSFallback(record.phone, `Mkulima Connect: ${message}`, 'alert');
+        }
+    }
+
+    // UI
+    openSaveSearchForm() {
+        const filters = window.listingManager?.getFilterValues() || {};
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+
+        modal.innerHTML = `
+            <div class="modal">
+                <div class="modal-header">
+                    <h2>Save Search</h2>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p>${this.describeFilters(filters) || 'No filters selected'}</p>
+                    <form class="save-search-form">
+                        <div class="form-group">
+                            <label>Name</label>
+                            <input type="text" name="name" placeholder="${this.describeFilters(filters)}">
+                        </div>
+                        <div class="form-group">
+                            <label><input type="checkbox" name="notifyBySMS"> Also alert me by SMS</label>
+                        </div>
+                        <div class="form-actions">
+                            <button type="submit" class="btn btn-primary">Save Search</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        modal.querySelector('.modal-close').addEventListener('click', () => modal.remove());
+        modal.querySelector('.save-search-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const data = Object.fromEntries(new FormData(e.target));
+
+            try {
+                this.saveSearch(data.name.trim(), filters, data.notifyBySMS === 'on');
+                modal.remove();
+                this.showNotification('Search saved. We will alert you about new matching listings.', 'success');
+            } catch (error) {
+                this.showNotification(error.message, 'error');
+            }
+        });
+    }
+
+    describeFilters(filters) {
+        const parts = [];
+        if (filters.cropType) parts.push(filters.cropType);
+        if (filters.quality) parts.push(filters.quality.replace('_', ' '));
+        if (filters.region) parts.push(`in ${filters.region}`);
+        if (filters.maxPrice) parts.push(`up to ${filters.maxPrice} TSH/kg`);
+        if (filters.verifiedOnly) parts.push('(verified only)');
+        return parts.join(' ');
+    }
+
+    renderSavedSearches() {
+        const container = document.getElementById('savedSearches');
+        if (!container) return;
+
+        const user = window.userManager?.getCurrentUser();
+        const searches = user ? this.getUserSearches(user.id) : [];
+
+        if (searches.length === 0) {
+            container.innerHTML = '<div class="no-listings">No saved searches</div>';
+            return;
+        }
+
+        container.innerHTML = '';
+
+        searches.forEach(search => {
+            const item = document.createElement('div');
+            item.className = 'listing-item';
+            item.dataset.id = search.id;
+
+            item.innerHTML = `
+                <div class="item-info">
+                    <h4>${search.name}</h4>
+                    <p>${this.describeFilters(search.filters)}${search.notifyBySMS ? ' • SMS alerts' : ''}</p>
+                </div>
+                <div class="item-actions">
+                    <button class="btn btn-sm btn-primary" onclick="watchlistManager.applySearch('${search.id}')">Apply</button>
+                    <button class="btn btn-sm btn-outline" onclick="watchlistManager.deleteSearch('${search.id}')">Delete</button>
+                </div>
+            `;
+
+            container.appendChild(item);
+        });
+    }
+
+    renderWatchlist() {
+        const container = document.getElementById('watchlist');
+        if (!container) return;
+
+        const user = window.userManager?.getCurrentUser();
+        const watched = user ? this.getUserWatchlist(user.id) : [];
+
+        if (watched.length === 0) {
+            container.innerHTML = '<div class="no-listings">No watched listings</div>';
+            return;
+        }
+
+        container.innerHTML = '';
+
+        watched.forEach(watch => {
+            const listing = window.listingManager?.getListingById(watch.listingId);
+            const item = document.createElement('div');
+            item.className = 'listing-item';
+            item.dataset.id = watch.id;
+
+            item.innerHTML = listing ? `
+                <div class="item-info">
+                    <h4>${listing.cropType} - ${listing.price} TSH per ${listing.unit || 'kg'}</h4>
+                    <p>${listing.farmerName} • ${listing.location}</p>
+                    <span class="listing-status ${listing.status}">${window.listingManager.formatStatus(listing.status)}</span>
+                </div>
+                <div class="item-actions">
+                    <button class="btn btn-sm btn-primary" onclick="listingManager.viewListing('${listing.id}')">View</button>
+                    <button class="btn btn-sm" onclick="watchlistManager.toggleSMS('${watch.id}')">${watch.notifyBySMS ? 'SMS Alerts On' : 'SMS Alerts Off'}</button>
+                    <button class="btn btn-sm btn-outline" onclick="watchlistManager.toggleWatch('${listing.id}')">Remove</button>
+                </div>
+            ` : `
+                <div class="item-info">
+                    <h4>Listing removed</h4>
+                </div>
+                <div class="item-actions">
+                    <button class="btn btn-sm btn-outline" onclick="watchlistManager.toggleWatch('${watch.listingId}')">Remove</button>
+                </div>
+            `;
+
+            container.appendChild(item);
+        });
+    }
+
+    renderWatchButton(listing) {
+        const user = window.userManager?.getCurrentUser();
+        if (!user || listing.farmerId === user.id) return '';
+
+        const watching = this.isWatching(listing.id, user.id);
+        return `<button class="btn btn-sm btn-outline watch-btn${watching ? ' watching' : ''}" onclick="watchlistManager.toggleWatch('${listing.id}')">
+                <i class="${watching ? 'fas' : 'far'} fa-star"></i> ${watching ? 'Watching' : 'Watch'}
+            </button>`;
+    }
+
+    // Add watch buttons to rendered listing cards
+    renderWatchButtons(container = document) {
+        container.querySelectorAll('.listing-card').forEach(card => {
+            const listing = window.listingManager?.getListingById(card.dataset.id);
+            const actions = card.querySelector('.listing-actions');
+            if (!listing || !actions) return;
+
+            actions.querySelector('.watch-btn')?.remove();
+            actions.insertAdjacentHTML('beforeend', this.renderWatchButton(listing));
+        });
+    }
+
+    saveSavedSearches() {
+        localStorage.setItem('mkulima_saved_searches', JSON.stringify(this.savedSearches));
+    }
+
+    saveWatchlist() {
+        localStorage.setItem('mkulima_watchlist', JSON.stringify(this.watchlist));
+    }
+
+    generateId(prefix) {
+        return prefix + '_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    notifyUser(userId, message, type, meta) {
+        if (window.mkulimaApp && window.mkulimaApp.notifyUser) {
+            window.mkulimaApp.notifyUser(userId, message, type, meta);
+        }
+    }
+
+    showNotification(message, type) {
+        if (window.mkulimaApp && window.mkulimaApp.showNotification) {
+            window.mkulimaApp.showNotification(message, type);
+        } else {
+            alert(`${type}: ${message}`);
+        }
+    }
+
+    // Public API
+    isWatching(listingId, userId) {
+        return this.watchlist.some(w => w.listingId === listingId && w.userId === userId);
+    }
+
+    getUserSearches(userId) {
+        return this.savedSearches.filter(s => s.userId === userId);
+    }
+
+    getUserWatchlist(userId) {
+        return this.watchlist.filter(w => w.userId === userId);
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.watchlistManager = new WatchlistManager();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WatchlistManager;
+}